@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+const { postOutbound } = require("../security/outboundUrl");
+
+// Notification channels share one shape: { name, isConfigured(settings), send(settings, payload) }.
+// `settings` is the user's alert_settings row; `payload` is the JSON alert body.
+
+// Sign `${timestamp}.${body}` so receivers can verify origin and reject replays
+function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Webhooks go to public addresses only, unless `allowPrivate` (a local
+// stand-in during development)
+function createWebhookChannel(options = {}) {
+  const timeoutMs = options.timeoutMs || 10000;
+  const defaultSecret = options.secret;
+  const allowPrivate = Boolean(options.allowPrivate);
+
+  return {
+    name: "webhook",
+
+    isConfigured(settings) {
+      return Boolean(settings.webhook_url) && Boolean(settings.webhook_secret || defaultSecret);
+    },
+
+    async send(settings, payload) {
+      const body = JSON.stringify(payload);
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const signature = signWebhook(settings.webhook_secret || defaultSecret, timestamp, body);
+
+      const { status } = await postOutbound(settings.webhook_url, {
+        headers: {
+          "Content-Type": "application/json",
+          "X-Food-Alert-Timestamp": timestamp,
+          "X-Food-Alert-Signature": `sha256=${signature}`
+        },
+        body,
+        timeoutMs,
+        allowPrivate
+      });
+
+      if (status < 200 || status >= 300) {
+        const error = new Error(`Webhook responded with HTTP ${status}`);
+        error.expose = true;
+        throw error;
+      }
+    }
+  };
+}
+
+function formatEmail(payload) {
+  const count = payload.items.length;
+  const lines = payload.items.map(item => {
+    const date = item.expiresAt ? item.expiresAt.slice(0, 10) : "unknown date";
+    return `- ${item.foodName} (${item.category}): expires ${date}. ${item.estimatedExpiry || ""}`.trim();
+  });
+
+  return {
+    subject: `${count} item${count !== 1 ? "s" : ""} expiring soon`,
+    text: `These items in your inventory expire soon:\n\n${lines.join("\n")}\n`
+  };
+}
+
+// SMTP email through nodemailer. Point SMTP_HOST/SMTP_PORT at a local stand-in
+// (e.g. MailHog on localhost:1025) to test without a real mail server.
+function createEmailChannel(options = {}) {
+  const transport = options.transport || nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    ignoreTLS: options.ignoreTLS,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+
+  return {
+    name: "email",
+
+    isConfigured(settings) {
+      return Boolean(settings.email);
+    },
+
+    async send(settings, payload) {
+      const { subject, text } = formatEmail(payload);
+      await transport.sendMail({ from: options.from, to: settings.email, subject, text });
+    }
+  };
+}
+
+// Build the channels from the service configuration (email only with an SMTP host)
+function createChannelsFromConfig(config) {
+  const { alerts, smtp, secrets } = config;
+  const channels = {
+    webhook: createWebhookChannel({
+      secret: secrets.alertWebhookSecret,
+      timeoutMs: alerts.webhookTimeoutMs,
+      allowPrivate: alerts.allowPrivateWebhooks
+    })
+  };
+
+  if (smtp.host) {
+    channels.email = createEmailChannel({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      ignoreTLS: smtp.ignoreTls,
+      user: smtp.user,
+      pass: secrets.smtpPass,
+      from: alerts.emailFrom
+    });
+  }
+
+  return channels;
+}
+
+module.exports = { createWebhookChannel, createEmailChannel, createChannelsFromConfig, signWebhook };
@@ -0,0 +1,204 @@
+const { log } = require("../observability/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Deliveries stuck in "sending" longer than this (e.g. after a crash) are retried
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+function alertItem(row) {
+  return {
+    id: row.id,
+    foodName: row.food_name,
+    category: row.food_category,
+    expiresAt: row.expires_at,
+    estimatedExpiry: row.estimated_expiry,
+    storageLocation: row.storage_location
+  };
+}
+
+// Periodically finds inventory items whose expiry falls inside each user's
+// alert window and notifies them through the enabled channels. Delivery state
+// lives in alert_deliveries: one row per item, channel and expiry (the
+// dedupe_key), so an item is announced once unless its expiry changes.
+// Failed sends are retried with exponential backoff up to maxAttempts.
+function createAlertScheduler({ supabase, channels, intervalMs, maxAttempts = 5, retryBaseMs = 60000 }) {
+  let timer = null;
+  let running = false;
+
+  // Create pending deliveries for items entering their owner's alert window.
+  // Items already past their expiry are left out, so items saved expired
+  // (or expired by a safety discard) are not announced as expiring soon.
+  async function queueDeliveries(settings) {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + settings.window_days * DAY_MS).toISOString();
+    const { data: items, error } = await supabase
+      .from("food_freshness")
+      .select("*")
+      .eq("user_id", settings.user_id)
+      .eq("status", "active")
+      .gte("expires_at", now.toISOString())
+      .lte("expires_at", windowEnd);
+
+    if (error) throw new Error(`Failed to load items for ${settings.user_id}: ${error.message}`);
+
+    const deliveries = [];
+    for (const item of items) {
+      for (const name of settings.channels || []) {
+        const channel = channels[name];
+        if (!channel || !channel.isConfigured(settings)) continue;
+
+        deliveries.push({
+          user_id: settings.user_id,
+          item_id: item.id,
+          channel: name,
+          dedupe_key: `${item.id}:${name}:${item.expires_at}`,
+          status: "pending",
+          attempts: 0,
+          next_attempt_at: now.toISOString(),
+          payload: alertItem(item)
+        });
+      }
+    }
+
+    if (deliveries.length === 0) return 0;
+
+    // Existing keys are left alone, which is what makes alerts fire once
+    const { error: insertError } = await supabase
+      .from("alert_deliveries")
+      .upsert(deliveries, { onConflict: "dedupe_key", ignoreDuplicates: true });
+
+    if (insertError) throw new Error(`Failed to queue alerts: ${insertError.message}`);
+    return deliveries.length;
+  }
+
+  // Claim due deliveries so concurrent instances do not send them twice
+  async function claimDueDeliveries() {
+    const now = new Date();
+
+    await supabase
+      .from("alert_deliveries")
+      .update({ status: "pending" })
+      .eq("status", "sending")
+      .lt("claimed_at", new Date(now.getTime() - STALE_CLAIM_MS).toISOString());
+
+    const { data: due, error } = await supabase
+      .from("alert_deliveries")
+      .select("id")
+      .eq("status", "pending")
+      .lte("next_attempt_at", now.toISOString());
+
+    if (error) throw new Error(`Failed to load due alerts: ${error.message}`);
+    if (due.length === 0) return [];
+
+    const { data: claimed, error: claimError } = await supabase
+      .from("alert_deliveries")
+      .update({ status: "sending", claimed_at: now.toISOString() })
+      .in("id", due.map(d => d.id))
+      .eq("status", "pending")
+      .select();
+
+    if (claimError) throw new Error(`Failed to claim alerts: ${claimError.message}`);
+    return claimed;
+  }
+
+  // Send claimed deliveries, one notification per user and channel
+  async function sendDeliveries(deliveries, settingsByUser) {
+    const groups = new Map();
+    for (const delivery of deliveries) {
+      const key = `${delivery.user_id}:${delivery.channel}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(delivery);
+    }
+
+    for (const group of groups.values()) {
+      const { user_id: userId, channel: name } = group[0];
+      const settings = settingsByUser.get(userId);
+      const channel = channels[name];
+      const ids = group.map(d => d.id);
+      const attempts = Math.max(...group.map(d => d.attempts)) + 1;
+
+      try {
+        if (!settings || !channel || !channel.isConfigured(settings)) {
+          const error = new Error(`Channel ${name} is no longer configured`);
+          error.expose = true;
+          throw error;
+        }
+
+        await channel.send(settings, {
+          event: "items.expiring",
+          sentAt: new Date().toISOString(),
+          userId,
+          items: group.map(d => d.payload)
+        });
+
+        await supabase
+          .from("alert_deliveries")
+          .update({ status: "sent", attempts, sent_at: new Date().toISOString(), last_error: null })
+          .in("id", ids);
+
+        log.info("Alert sent", { channel: name, items: group.length, userId });
+      } catch (error) {
+        const exhausted = attempts >= maxAttempts;
+        const retryAt = new Date(Date.now() + retryBaseMs * 2 ** (attempts - 1)).toISOString();
+
+        await supabase
+          .from("alert_deliveries")
+          .update({
+            status: exhausted ? "failed" : "pending",
+            attempts,
+            last_error: error.expose ? error.message : "Delivery failed",
+            next_attempt_at: retryAt
+          })
+          .in("id", ids);
+
+        log.error("Alert delivery failed", { channel: name, userId, attempt: attempts, maxAttempts, error: error.message });
+      }
+    }
+  }
+
+  async function runOnce() {
+    if (running) return;
+    running = true;
+
+    try {
+      const { data: settingsRows, error } = await supabase
+        .from("alert_settings")
+        .select("*")
+        .eq("enabled", true);
+
+      if (error) throw new Error(`Failed to load alert settings: ${error.message}`);
+
+      const settingsByUser = new Map(settingsRows.map(s => [s.user_id, s]));
+      for (const settings of settingsRows) {
+        try {
+          await queueDeliveries(settings);
+        } catch (queueError) {
+          log.error("Alert queueing failed", { error: queueError.message });
+        }
+      }
+
+      const claimed = await claimDueDeliveries();
+      await sendDeliveries(claimed, settingsByUser);
+    } catch (error) {
+      log.error("Alert run failed", { error: error.message });
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(runOnce, intervalMs);
+    timer.unref();
+    log.info("Expiry alert scheduler started", { intervalSeconds: intervalMs / 1000 });
+    runOnce();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, runOnce };
+}
+
+module.exports = { createAlertScheduler };
@@ -0,0 +1,55 @@
+const jwt = require("jsonwebtoken");
+const { log } = require("./observability/logger");
+
+// Bearer-token authentication for Supabase users. Tokens are verified locally
+// with the project's JWT secret (SUPABASE_JWT_SECRET) when it is configured,
+// otherwise by asking Supabase Auth who the token belongs to.
+function createAuth({ supabase, jwtSecret }) {
+  async function verifyToken(token) {
+    if (jwtSecret) {
+      const payload = jwt.verify(token, jwtSecret, { algorithms: ["HS256"], audience: "authenticated" });
+      return { id: payload.sub, email: payload.email, role: payload.role };
+    }
+
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) {
+      throw new Error(error?.message || "Invalid token");
+    }
+    return { id: data.user.id, email: data.user.email, role: data.user.role };
+  }
+
+  function readBearerToken(req) {
+    const header = req.headers.authorization || "";
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+  }
+
+  // Attach req.user when a bearer token is sent; reject invalid tokens
+  function authenticate({ required }) {
+    return async (req, res, next) => {
+      const token = readBearerToken(req);
+
+      if (!token) {
+        if (required) {
+          return res.status(401).json({ error: "Authentication required" });
+        }
+        return next();
+      }
+
+      try {
+        req.user = await verifyToken(token);
+        next();
+      } catch (error) {
+        log.error("Token verification failed", { error: error.message });
+        res.status(401).json({ error: "Invalid or expired token" });
+      }
+    };
+  }
+
+  return {
+    requireAuth: authenticate({ required: true }),
+    optionalAuth: authenticate({ required: false })
+  };
+}
+
+module.exports = { createAuth };
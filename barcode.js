@@ -0,0 +1,292 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+const sharp = require("sharp");
+const jsQR = require("jsqr");
+const {
+  BarcodeFormat,
+  BinaryBitmap,
+  DecodeHintType,
+  HybridBinarizer,
+  MultiFormatReader,
+  NotFoundException,
+  ChecksumException,
+  FormatException,
+  RGBLuminanceSource
+} = require("@zxing/library");
+
+// Longest edge the decoders work on: an EAN-13 across a third of the image
+// still gets 3 pixels per module, and decoding stays well under 100 ms
+const MAX_DECODE_SIZE = 1000;
+
+// Barcode candidates: at least this many consecutive short bars and spaces
+// (an EAN-13 has 59 between its guards), each differing from the next by
+// at least MIN_STRIPE_CONTRAST grey levels, on one of STRIPE_LINES sampled
+// rows or columns
+const MIN_STRIPES = 40;
+const MIN_STRIPE_CONTRAST = 48;
+const STRIPE_LINES = 24;
+
+// Check digit of a GTIN body (all digits but the last), GS1 mod-10
+function gtinCheckDigit(body) {
+  const sum = body.split("").reverse().reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+// Normalize a product code for catalog lookups: UPC-A (12 digits), EAN-13 and
+// GTIN-14 with a zero indicator all become the 13-digit GTIN. Returns null for
+// numeric codes of other lengths or with a wrong check digit; anything
+// non-numeric (a QR payload) is returned trimmed.
+function normalizeCode(code) {
+  const value = String(code).trim();
+  if (!/^\d+$/.test(value)) return value || null;
+
+  let digits = value;
+  if (digits.length === 12) digits = `0${digits}`;
+  if (digits.length === 14 && digits.startsWith("0")) digits = digits.slice(1);
+  if (digits.length !== 13) return null;
+
+  return gtinCheckDigit(digits.slice(0, 12)) === digits[12] ? digits : null;
+}
+
+// GTIN carried by a QR payload: a GS1 Digital Link URL (".../01/<gtin>") or a
+// GS1 element string ("(01)<gtin>..."). Null when the payload has none.
+function gtinFromQr(text) {
+  const match = text.match(/\/01\/(\d{12,14})(?:[/?#]|$)/) || text.match(/^\(01\)(\d{14})/);
+  return match ? normalizeCode(match[1]) : null;
+}
+
+function createLinearReader(tryHarder) {
+  const reader = new MultiFormatReader();
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, [BarcodeFormat.EAN_13, BarcodeFormat.UPC_A]);
+  if (tryHarder) hints.set(DecodeHintType.TRY_HARDER, true);
+  reader.setHints(hints);
+  return reader;
+}
+
+// Longest streak of short, contrasting runs (bars and spaces) along one line
+// of `length` pixels read by `at(i)`
+function stripeStreak(at, length) {
+  let sum = 0;
+  for (let i = 0; i < length; i++) sum += at(i);
+  const threshold = sum / length;
+  const maxRun = Math.max(4, Math.ceil(length / 24));
+
+  let best = 0;
+  let streak = 0;
+  let previousMean = null;
+  let runStart = 0;
+  let runSum = 0;
+  for (let i = 0; i <= length; i++) {
+    if (i < length && i > runStart && (at(i) >= threshold) === (at(runStart) >= threshold)) {
+      runSum += at(i);
+      continue;
+    }
+    if (i > runStart) {
+      const mean = runSum / (i - runStart);
+      const fits = i - runStart <= maxRun && (previousMean === null || Math.abs(mean - previousMean) >= MIN_STRIPE_CONTRAST);
+      streak = fits ? streak + 1 : 0;
+      best = Math.max(best, streak);
+      previousMean = mean;
+    }
+    runStart = i;
+    runSum = i < length ? at(i) : 0;
+  }
+  return best;
+}
+
+// Whether sampled rows (or, `vertical`, columns) cross something that looks
+// like a barcode; a cheap check before the thorough decoding passes
+function hasStripes(grey, width, height, vertical) {
+  const [lines, length] = vertical ? [width, height] : [height, width];
+  for (let n = 1; n <= STRIPE_LINES; n++) {
+    const line = Math.floor((lines * n) / (STRIPE_LINES + 1));
+    const at = vertical ? i => grey[i * width + line] : i => grey[line * width + i];
+    if (stripeStreak(at, length) >= MIN_STRIPES) return true;
+  }
+  return false;
+}
+
+// Greyscale pixels turned a quarter clockwise
+function rotateQuarter(pixels, width, height) {
+  const rotated = Buffer.alloc(pixels.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      rotated[x * height + (height - 1 - y)] = pixels[y * width + x];
+    }
+  }
+  return { pixels: rotated, width: height, height: width };
+}
+
+function readLinear(reader, view, turned) {
+  const source = new RGBLuminanceSource(new Uint8ClampedArray(view.pixels), view.width, view.height);
+
+  let result;
+  try {
+    result = reader.decodeWithState(new BinaryBitmap(new HybridBinarizer(source)));
+  } catch (error) {
+    if (error instanceof NotFoundException || error instanceof ChecksumException || error instanceof FormatException) return null;
+    throw error;
+  } finally {
+    reader.reset();
+  }
+
+  const points = result.getResultPoints() || [];
+  const centre = points.length === 0 ? null : {
+    x: points.reduce((sum, p) => sum + p.getX(), 0) / points.length / view.width,
+    y: points.reduce((sum, p) => sum + p.getY(), 0) / points.length / view.height
+  };
+
+  const text = result.getText();
+  return {
+    format: result.getBarcodeFormat() === BarcodeFormat.UPC_A ? "upca" : "ean13",
+    text,
+    code: normalizeCode(text),
+    // Back in the orientation of the original image
+    position: centre && (turned ? { x: centre.y, y: 1 - centre.x } : centre)
+  };
+}
+
+// EAN-13/UPC-A barcode in greyscale pixels. A quick pass reads a barcode
+// across the middle of the image; only when sampled rows or columns show
+// stripes elsewhere or sideways are the slow passes run (every row, and the
+// image turned a quarter for barcodes printed sideways).
+function decodeLinear(grey, width, height) {
+  const upright = { pixels: grey, width, height };
+  const quick = readLinear(createLinearReader(false), upright, false);
+  if (quick) return quick;
+
+  const thorough = createLinearReader(true);
+  if (hasStripes(grey, width, height, false)) {
+    const result = readLinear(thorough, upright, false);
+    if (result) return result;
+  }
+  if (hasStripes(grey, width, height, true)) {
+    return readLinear(thorough, rotateQuarter(grey, width, height), true);
+  }
+  return null;
+}
+
+// QR code in greyscale pixels; jsQR wants RGBA, and dark-on-light codes only
+function decodeQr(grey, width, height) {
+  const rgba = new Uint8ClampedArray(grey.length * 4);
+  for (let i = 0; i < grey.length; i++) {
+    rgba[i * 4] = rgba[i * 4 + 1] = rgba[i * 4 + 2] = grey[i];
+    rgba[i * 4 + 3] = 255;
+  }
+
+  const result = jsQR(rgba, width, height, { inversionAttempts: "dontInvert" });
+  if (!result || !result.data) return null;
+
+  const { topLeftCorner, bottomRightCorner } = result.location;
+  return {
+    format: "qr",
+    text: result.data,
+    code: gtinFromQr(result.data) || normalizeCode(result.data),
+    position: {
+      x: (topLeftCorner.x + bottomRightCorner.x) / 2 / width,
+      y: (topLeftCorner.y + bottomRightCorner.y) / 2 / height
+    }
+  };
+}
+
+// Codes in greyscale pixels, barcodes first. Synchronous and CPU-bound: the
+// server runs it on worker threads (see createCodeDecoder).
+function decodePixels(grey, width, height) {
+  return [decodeLinear(grey, width, height), decodeQr(grey, width, height)].filter(Boolean);
+}
+
+// Greyscale pixels of an image, upright and scaled to MAX_DECODE_SIZE;
+// sharp does this on its own threads
+async function readPixels(imageBuffer) {
+  const { data, info } = await sharp(imageBuffer)
+    .rotate()
+    .resize(MAX_DECODE_SIZE, MAX_DECODE_SIZE, { fit: "inside", withoutEnlargement: true })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { grey: data, width: info.width, height: info.height };
+}
+
+// Decode EAN-13/UPC-A barcodes and QR codes in an image (any format sharp
+// reads), locally. Returns [{ format: "ean13"|"upca"|"qr", text, code,
+// position }] with barcodes first: `code` is the normalized lookup code (see
+// normalizeCode; null for an invalid GTIN) and `position` the normalized
+// centre of the code in the image. Empty when nothing decodes. Decodes on
+// the calling thread.
+async function decodeCodes(imageBuffer) {
+  const { grey, width, height } = await readPixels(imageBuffer);
+  return decodePixels(grey, width, height);
+}
+
+// decodeCodes on a pool of up to `workers` threads (started as needed), so
+// decoding never blocks the event loop; 0 decodes on the calling thread.
+// A worker that dies fails its decode and is replaced by the next one.
+function createCodeDecoder({ workers }) {
+  if (workers === 0) return { decode: decodeCodes, close: async () => {} };
+
+  const queue = [];
+  const idle = [];
+  // Every live worker and its task (null while idle)
+  const tasks = new Map();
+  let closed = false;
+
+  function spawn() {
+    const worker = new Worker(path.join(__dirname, "barcodeWorker.js"));
+    tasks.set(worker, null);
+
+    const fail = error => {
+      if (!tasks.has(worker)) return;
+      const task = tasks.get(worker);
+      tasks.delete(worker);
+      if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+      if (task) task.reject(error);
+      dispatch();
+    };
+    worker.on("error", fail);
+    worker.on("exit", code => fail(new Error(`Barcode worker exited with code ${code}`)));
+    worker.on("message", ({ codes, error }) => {
+      const task = tasks.get(worker);
+      tasks.set(worker, null);
+      idle.push(worker);
+      if (error) task.reject(new Error(error));
+      else task.resolve(codes);
+      dispatch();
+    });
+    return worker;
+  }
+
+  function dispatch() {
+    while (!closed && queue.length > 0) {
+      const worker = idle.pop() || (tasks.size < workers ? spawn() : null);
+      if (!worker) return;
+
+      const task = queue.shift();
+      tasks.set(worker, task);
+      worker.postMessage(task.pixels, [task.pixels.grey.buffer]);
+    }
+  }
+
+  async function decode(imageBuffer) {
+    const { grey, width, height } = await readPixels(imageBuffer);
+    if (closed) throw new Error("Barcode decoder is closed");
+
+    // A copy the worker can own: sharp's buffer may be a view of a shared pool
+    const pixels = { grey: new Uint8Array(grey), width, height };
+    return new Promise((resolve, reject) => {
+      queue.push({ pixels, resolve, reject });
+      dispatch();
+    });
+  }
+
+  // Stop the workers; queued and running decodes fail
+  async function close() {
+    closed = true;
+    for (const task of queue.splice(0)) task.reject(new Error("Barcode decoder is closed"));
+    await Promise.all([...tasks.keys()].map(worker => worker.terminate()));
+  }
+
+  return { decode, close };
+}
+
+module.exports = { decodeCodes, decodePixels, createCodeDecoder, normalizeCode, gtinCheckDigit };
@@ -0,0 +1,12 @@
+const { parentPort } = require("worker_threads");
+const { decodePixels } = require("./barcode");
+
+// Worker thread of barcode.createCodeDecoder: decodes the greyscale pixels
+// it is sent and answers { codes } or { error }
+parentPort.on("message", ({ grey, width, height }) => {
+  try {
+    parentPort.postMessage({ codes: decodePixels(Buffer.from(grey.buffer, grey.byteOffset, grey.length), width, height) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
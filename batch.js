@@ -0,0 +1,93 @@
+const path = require("path");
+const AdmZip = require("adm-zip");
+
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp"];
+
+// Run `fn` over `items` with at most `limit` calls in flight, preserving order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+function isZip(file) {
+  return file.mimetype === "application/zip" ||
+    file.mimetype === "application/x-zip-compressed" ||
+    path.extname(file.originalname || "").toLowerCase() === ".zip";
+}
+
+function rejected(message) {
+  const error = new Error(message);
+  error.expose = true;
+  error.status = 400;
+  return error;
+}
+
+// Flatten multer files into { name, buffer } images, extracting image entries
+// from ZIP archives: at most `maxImages` images of at most `maxImageBytes`
+// each, `maxTotalBytes` in all. ZIP entries are checked by their declared
+// size before they are decompressed, and adm-zip inflates no more than that
+// size, so a ZIP bomb is refused without being inflated. Throws an exposed
+// 400 for the first limit exceeded.
+function expandUploads(files, { maxImages = Infinity, maxImageBytes = Infinity, maxTotalBytes = Infinity } = {}) {
+  const images = [];
+  let totalBytes = 0;
+
+  function add(name, size, read) {
+    if (images.length >= maxImages) {
+      throw rejected(`Too many images: at most ${maxImages} per batch`);
+    }
+    if (size > maxImageBytes) {
+      throw rejected(`Image too large: ${name} (at most ${maxImageBytes} bytes)`);
+    }
+    if (totalBytes + size > maxTotalBytes) {
+      throw rejected(`Upload too large: at most ${maxTotalBytes} bytes of images per batch`);
+    }
+
+    totalBytes += size;
+    images.push({ name, buffer: read() });
+  }
+
+  for (const file of files) {
+    if (!isZip(file)) {
+      add(file.originalname, file.buffer.length, () => file.buffer);
+      continue;
+    }
+
+    let entries;
+    try {
+      entries = new AdmZip(file.buffer).getEntries();
+    } catch (error) {
+      throw rejected(`Invalid ZIP archive: ${file.originalname}`);
+    }
+
+    for (const entry of entries) {
+      const name = entry.entryName;
+      // Skip folders, macOS resource forks, non-image and empty files (adm-zip
+      // does not bound inflating an entry declared empty)
+      if (entry.isDirectory || name.startsWith("__MACOSX/") || path.basename(name).startsWith(".")) continue;
+      if (!IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase())) continue;
+      if (entry.header.size === 0) continue;
+
+      add(`${file.originalname}/${name}`, entry.header.size, () => entry.getData());
+    }
+  }
+
+  return images;
+}
+
+module.exports = { mapWithConcurrency, expandUploads };
@@ -0,0 +1,51 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { log } = require("../observability/logger");
+
+// One JSON file per entry, named by the SHA-256 of the key so any key is a
+// safe file name. Writes go through a temp file and a rename, so readers never
+// see a partial entry and concurrent writers of the same key simply race.
+function createDiskStore({ dir }) {
+  if (!dir) throw new Error("Disk cache needs a directory");
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = key => path.join(dir, `${crypto.createHash("sha256").update(key).digest("hex")}.json`);
+
+  async function get(key) {
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(fileFor(key), "utf8"));
+      return stored.key === key ? stored.entry : undefined;
+    } catch (error) {
+      if (error.code !== "ENOENT") log.error("Cache read error", { error: error.message });
+      return undefined;
+    }
+  }
+
+  async function set(key, entry) {
+    const file = fileFor(key);
+    const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify({ key, entry }));
+    await fs.promises.rename(temp, file);
+  }
+
+  async function remove(key) {
+    await fs.promises.rm(fileFor(key), { force: true });
+  }
+
+  async function clear() {
+    for (const name of await fs.promises.readdir(dir)) {
+      if (name.endsWith(".json") || name.endsWith(".tmp")) {
+        await fs.promises.rm(path.join(dir, name), { force: true });
+      }
+    }
+  }
+
+  function info() {
+    return { backend: "disk", dir };
+  }
+
+  return { get, set, delete: remove, clear, info };
+}
+
+module.exports = { createDiskStore };
@@ -0,0 +1,93 @@
+const os = require("os");
+const path = require("path");
+const { createMemoryStore } = require("./memory");
+const { createDiskStore } = require("./disk");
+const { log } = require("../observability/logger");
+
+const DEFAULT_DIR = path.join(os.tmpdir(), "food-vision-cache");
+
+// Key/value cache with a TTL over a memory (LRU) or disk store, counting hits
+// and misses. Values must survive JSON serialization (the disk store writes
+// them out) and must not be mutated by callers (the memory store shares them).
+// A store failure is logged and treated as a miss so caching never breaks a request.
+function createCache({ name, store, ttlMs }) {
+  const counts = { hits: 0, misses: 0, expired: 0, writes: 0, errors: 0 };
+
+  async function get(key) {
+    let entry;
+    try {
+      entry = await store.get(key);
+    } catch (error) {
+      counts.errors++;
+      log.error("Cache read failed", { cache: name, error: error.message });
+    }
+
+    if (entry && ttlMs > 0 && entry.storedAt + ttlMs < Date.now()) {
+      counts.expired++;
+      entry = undefined;
+      store.delete(key).catch(() => {});
+    }
+
+    if (entry === undefined) {
+      counts.misses++;
+      return undefined;
+    }
+
+    counts.hits++;
+    return entry.value;
+  }
+
+  async function set(key, value) {
+    try {
+      await store.set(key, { storedAt: Date.now(), value });
+      counts.writes++;
+    } catch (error) {
+      counts.errors++;
+      log.error("Cache write failed", { cache: name, error: error.message });
+    }
+  }
+
+  // Return the cached value, or compute, store and return it. `hit` tells the
+  // caller which happened.
+  async function wrap(key, compute) {
+    const cached = await get(key);
+    if (cached !== undefined) return { value: cached, hit: true };
+
+    const value = await compute();
+    await set(key, value);
+    return { value, hit: false };
+  }
+
+  function stats() {
+    const lookups = counts.hits + counts.misses;
+    return {
+      name,
+      ...store.info(),
+      ttlSeconds: ttlMs / 1000,
+      ...counts,
+      hitRate: lookups > 0 ? Math.round((counts.hits / lookups) * 1000) / 1000 : null
+    };
+  }
+
+  return { get, set, wrap, clear: () => store.clear(), stats };
+}
+
+// Build a named cache from the `cache` settings: backend (memory | disk | none),
+// ttlSeconds, maxEntries (memory) and dir (disk; each cache gets its own
+// subdirectory). Returns null when caching is disabled.
+function createCacheFromConfig(name, settings) {
+  const ttlMs = settings.ttlSeconds * 1000;
+
+  switch (settings.backend) {
+    case "none":
+      return null;
+    case "memory":
+      return createCache({ name, ttlMs, store: createMemoryStore({ maxEntries: settings.maxEntries }) });
+    case "disk":
+      return createCache({ name, ttlMs, store: createDiskStore({ dir: path.join(settings.dir || DEFAULT_DIR, name) }) });
+    default:
+      throw new Error(`Unknown cache backend: ${settings.backend}`);
+  }
+}
+
+module.exports = { createCache, createCacheFromConfig };
@@ -0,0 +1,41 @@
+// In-process LRU store. Map iteration order is insertion order, so reading an
+// entry re-inserts it at the end and the first key is always the least recent.
+function createMemoryStore({ maxEntries = 1000 } = {}) {
+  const entries = new Map();
+  let evictions = 0;
+
+  async function get(key) {
+    const entry = entries.get(key);
+    if (entry === undefined) return undefined;
+
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  }
+
+  async function set(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      evictions++;
+    }
+  }
+
+  async function remove(key) {
+    entries.delete(key);
+  }
+
+  async function clear() {
+    entries.clear();
+  }
+
+  function info() {
+    return { backend: "memory", size: entries.size, maxEntries, evictions };
+  }
+
+  return { get, set, delete: remove, clear, info };
+}
+
+module.exports = { createMemoryStore };
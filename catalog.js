@@ -0,0 +1,270 @@
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+const { normalizeCode } = require("./barcode");
+
+const DEFAULT_FILE = path.join(__dirname, "knowledge", "catalog.json");
+const SCHEMA_FILE = path.join(__dirname, "knowledge", "schema", "catalog.schema.json");
+
+// Columns an imported CSV catalog may have; numeric ones are parsed as integers
+const CSV_COLUMNS = ["code", "name", "brand", "category", "food", "storage", "shelfLifeDays", "openedShelfLifeDays"];
+const NUMERIC_COLUMNS = new Set(["shelfLifeDays", "openedShelfLifeDays"]);
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+function invalid(message) {
+  const error = new Error(message);
+  error.expose = true;
+  error.status = 400;
+  return error;
+}
+
+const ajv = new Ajv({ allErrors: true });
+ajv.addSchema(readJson(SCHEMA_FILE));
+const validateCatalog = ajv.getSchema("catalog.schema.json");
+const validateProduct = ajv.getSchema("catalog.schema.json#/definitions/product");
+
+// Rows of RFC 4180 CSV text: quoted fields may hold commas, doubled quotes and
+// line breaks. Blank lines are skipped.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === "\"" && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some(value => value !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw invalid("Invalid CSV: unterminated quoted field");
+  row.push(field);
+  if (row.some(value => value !== "")) rows.push(row);
+  return rows;
+}
+
+// Products of a CSV catalog with a header row naming CSV_COLUMNS (any order;
+// code, name, category and shelfLifeDays are required). Empty cells are left out.
+function productsFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim());
+  const unknown = columns.filter(name => !CSV_COLUMNS.includes(name));
+  if (unknown.length > 0) {
+    throw invalid(`Invalid CSV header: unknown column ${unknown.join(", ")}; expected any of ${CSV_COLUMNS.join(", ")}`);
+  }
+
+  return rows.map(values => {
+    const product = {};
+    columns.forEach((name, i) => {
+      const value = (values[i] || "").trim();
+      if (value === "") return;
+      product[name] = NUMERIC_COLUMNS.has(name) && /^\d+$/.test(value) ? Number(value) : value;
+    });
+    return product;
+  });
+}
+
+// Products of an uploaded catalog file: JSON (an array of products or a
+// catalog object with `products`) or CSV, told apart by the file name and
+// then by content. Throws an exposed 400 when the file cannot be parsed.
+function parseCatalogFile(buffer, fileName = "") {
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  const looksJson = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && /^\s*[[{]/.test(text));
+
+  if (!looksJson) return productsFromCsv(text);
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw invalid(`Invalid JSON: ${error.message}`);
+  }
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.products)) return data.products;
+  throw invalid("Invalid JSON: expected an array of products or an object with a products array");
+}
+
+// Validate catalog products against the schema and the knowledge base.
+// Codes are normalized (see barcode.normalizeCode) so a UPC-A and its EAN-13
+// match the same product; all-digit codes must be valid GTINs, other text is
+// taken as a QR payload. Returns the normalized products and every problem
+// found, each prefixed with `where` and the product's index.
+function validateProducts(products, knowledgeBase, where = "products") {
+  const problems = [];
+  const valid = [];
+  const knownFoods = new Set(knowledgeBase.foods.map(food => food.name));
+  const seen = new Set();
+
+  products.forEach((product, index) => {
+    const at = `${where}/${index}`;
+    if (!validateProduct(product)) {
+      problems.push(...validateProduct.errors.map(e => `${at}${e.instancePath || ""}: ${e.message}`));
+      return;
+    }
+
+    const before = problems.length;
+    const code = normalizeCode(product.code);
+    if (!code) problems.push(`${at}/code: "${product.code}" is all digits but not a valid EAN-13, UPC-A or GTIN-14`);
+    else if (seen.has(code)) problems.push(`${at}/code: duplicate code ${code}`);
+    if (!knowledgeBase.categories[product.category]) problems.push(`${at}/category: unknown category "${product.category}"`);
+    if (product.food !== undefined && !knownFoods.has(product.food)) problems.push(`${at}/food: unknown food "${product.food}"`);
+    if (product.storage !== undefined && !knowledgeBase.storageConditions.includes(product.storage)) {
+      problems.push(`${at}/storage: unknown storage condition "${product.storage}"`);
+    }
+    if (product.openedShelfLifeDays > product.shelfLifeDays) {
+      problems.push(`${at}/openedShelfLifeDays: longer than shelfLifeDays`);
+    }
+    if (problems.length > before) return;
+
+    seen.add(code);
+    valid.push({ ...product, code });
+  });
+
+  return { products: valid, problems };
+}
+
+// Load and validate the bundled (or configured) product catalog. Throws with
+// every problem found.
+function loadCatalog(knowledgeBase, file) {
+  const catalogFile = file || DEFAULT_FILE;
+  const name = path.basename(catalogFile);
+  const data = readJson(catalogFile);
+
+  if (!validateCatalog(data)) {
+    throw new Error(`Invalid catalog: ${validateCatalog.errors.map(e => `${name}${e.instancePath || ""}: ${e.message}`).join("; ")}`);
+  }
+
+  const { products, problems } = validateProducts(data.products, knowledgeBase, `${name}/products`);
+  if (problems.length > 0) {
+    throw new Error(`Invalid catalog: ${problems.join("; ")}`);
+  }
+
+  return { ...data, products };
+}
+
+// A product_catalog row as a catalog product
+function fromRow(row) {
+  const product = { code: row.code, name: row.name, category: row.food_category, shelfLifeDays: row.shelf_life_days };
+  if (row.brand) product.brand = row.brand;
+  if (row.food) product.food = row.food;
+  if (row.storage) product.storage = row.storage;
+  if (row.opened_shelf_life_days !== null && row.opened_shelf_life_days !== undefined) {
+    product.openedShelfLifeDays = row.opened_shelf_life_days;
+  }
+  return product;
+}
+
+function toRow(product, userId) {
+  return {
+    user_id: userId,
+    code: product.code,
+    name: product.name,
+    brand: product.brand || null,
+    food_category: product.category,
+    food: product.food || null,
+    storage: product.storage || null,
+    shelf_life_days: product.shelfLifeDays,
+    opened_shelf_life_days: product.openedShelfLifeDays ?? null,
+    updated_at: new Date().toISOString()
+  };
+}
+
+// Product lookups for decoded codes: a user's imported products (the
+// product_catalog table) take precedence over the bundled catalog. Database
+// errors throw; callers decide whether a failed lookup is fatal.
+function createCatalog(bundled, { supabase }) {
+  const byCode = new Map(bundled.products.map(product => [product.code, product]));
+
+  // The first decoded code with a catalog product, as { code, format, text,
+  // source: "imported"|"bundled", product }, or null. Imported products are
+  // only searched for a signed-in user.
+  async function lookup(codes, userId = null) {
+    const candidates = codes.filter(c => c.code);
+    if (candidates.length === 0) return null;
+
+    let imported = new Map();
+    if (userId) {
+      const { data, error } = await supabase
+        .from("product_catalog")
+        .select("*")
+        .eq("user_id", userId)
+        .in("code", [...new Set(candidates.map(c => c.code))]);
+      if (error) throw new Error(`Catalog lookup failed: ${error.message}`);
+      imported = new Map(data.map(row => [row.code, fromRow(row)]));
+    }
+
+    for (const candidate of candidates) {
+      const source = imported.has(candidate.code) ? "imported" : byCode.has(candidate.code) ? "bundled" : null;
+      if (!source) continue;
+      const product = source === "imported" ? imported.get(candidate.code) : byCode.get(candidate.code);
+      return { code: candidate.code, format: candidate.format, text: candidate.text, source, product };
+    }
+    return null;
+  }
+
+  // Add or replace a user's products by code
+  async function importProducts(userId, products) {
+    const { data, error } = await supabase
+      .from("product_catalog")
+      .upsert(products.map(product => toRow(product, userId)), { onConflict: "user_id,code" })
+      .select();
+    if (error) throw new Error(`Catalog import failed: ${error.message}`);
+    return data.map(fromRow);
+  }
+
+  async function listProducts(userId) {
+    const { data, error } = await supabase
+      .from("product_catalog")
+      .select("*")
+      .eq("user_id", userId)
+      .order("code", { ascending: true });
+    if (error) throw new Error(`Catalog listing failed: ${error.message}`);
+    return data.map(fromRow);
+  }
+
+  // Delete a user's imported product; false when there was none
+  async function deleteProduct(userId, code) {
+    const { data, error } = await supabase
+      .from("product_catalog")
+      .delete()
+      .eq("user_id", userId)
+      .eq("code", code)
+      .select();
+    if (error) throw new Error(`Catalog delete failed: ${error.message}`);
+    return data.length > 0;
+  }
+
+  return { version: bundled.version, size: byCode.size, lookup, importProducts, listProducts, deleteProduct };
+}
+
+module.exports = { loadCatalog, createCatalog, parseCatalogFile, validateProducts, DEFAULT_CATALOG_FILE: DEFAULT_FILE };
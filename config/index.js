@@ -0,0 +1,256 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const Ajv = require("ajv");
+
+const CONFIG_DIR = __dirname;
+
+// Environment variables that override non-secret settings
+const ENV_OVERRIDES = {
+  PORT: "server.port",
+  PUBLIC_URL: "server.publicUrl",
+  LOG_LEVEL: "observability.logLevel",
+  METRICS_ENABLED: "observability.metricsEnabled",
+  HEALTH_CHECK_TIMEOUT_MS: "observability.healthCheckTimeoutMs",
+  SHUTDOWN_TIMEOUT_MS: "observability.shutdownTimeoutMs",
+  DEV_MODE: "security.devMode",
+  REQUIRE_API_KEY: "security.requireApiKey",
+  TRUST_PROXY: "security.trustProxy",
+  CORS_ORIGINS: "security.corsOrigins",
+  RATE_LIMIT_ENABLED: "security.rateLimit.enabled",
+  RATE_LIMIT_WINDOW_SECONDS: "security.rateLimit.windowSeconds",
+  RATE_LIMIT_PER_IP: "security.rateLimit.perIp",
+  RATE_LIMIT_PER_KEY: "security.rateLimit.perKey",
+  SUPABASE_URL: "supabase.url",
+  STORAGE_BACKEND: "storage.backend",
+  STORAGE_BUCKET: "storage.bucket",
+  STORAGE_SIGNED_URL_TTL_SECONDS: "storage.signedUrlTtlSeconds",
+  STORAGE_VERIFY_ON_STARTUP: "storage.verifyOnStartup",
+  STORAGE_LOCAL_DIR: "storage.local.dir",
+  S3_ENDPOINT: "storage.s3.endpoint",
+  S3_REGION: "storage.s3.region",
+  S3_FORCE_PATH_STYLE: "storage.s3.forcePathStyle",
+  VISION_PROVIDER: "vision.provider",
+  GOOGLE_APPLICATION_CREDENTIALS: "vision.credentialsFile",
+  VISION_FIXTURES_DIR: "vision.fixturesDir",
+  VISION_RECORD_DIR: "vision.recordDir",
+  KNOWLEDGE_BASE_DIR: "knowledgeBase.dir",
+  RULES_FILE: "rules.file",
+  NUTRITION_FILE: "nutrition.file",
+  RECIPES_FILE: "recipes.file",
+  CATALOG_FILE: "catalog.file",
+  CATALOG_MAX_IMPORT_BYTES: "catalog.maxImportBytes",
+  CATALOG_MAX_IMPORT_PRODUCTS: "catalog.maxImportProducts",
+  PRICES_FILE: "reports.pricesFile",
+  REPORTS_MAX_RANGE_DAYS: "reports.maxRangeDays",
+  SAFETY_RULES_FILE: "safety.file",
+  LEARNING_ENABLED: "learning.enabled",
+  LEARNING_INTERVAL_MINUTES: "learning.intervalMinutes",
+  LEARNING_MIN_SUPPORT: "learning.minSupport",
+  LOCALES_DIR: "locales.dir",
+  DEFAULT_LANGUAGE: "locales.defaultLanguage",
+  OCR_DATE_ORDER: "ocr.dateOrder",
+  IMAGE_MAX_BYTES: "images.maxBytes",
+  IMAGE_MAX_PIXELS: "images.maxPixels",
+  IMAGE_ANALYSIS_MAX_SIZE: "images.analysisMaxSize",
+  IMAGE_THUMBNAIL_SIZE: "images.thumbnailSize",
+  IMAGE_DECODE_WORKERS: "images.decodeWorkers",
+  BATCH_MAX_FILES: "batch.maxFiles",
+  BATCH_MAX_IMAGES: "batch.maxImages",
+  BATCH_CONCURRENCY: "batch.concurrency",
+  BATCH_MAX_UPLOAD_BYTES: "batch.maxUploadBytes",
+  CACHE_BACKEND: "cache.backend",
+  CACHE_TTL_SECONDS: "cache.ttlSeconds",
+  CACHE_MAX_ENTRIES: "cache.maxEntries",
+  CACHE_DIR: "cache.dir",
+  JOBS_WORKERS_ENABLED: "jobs.workersEnabled",
+  JOBS_CONCURRENCY: "jobs.concurrency",
+  JOBS_MAX_ATTEMPTS: "jobs.maxAttempts",
+  JOBS_RETRY_BASE_MS: "jobs.retryBaseMs",
+  JOBS_POLL_INTERVAL_MS: "jobs.pollIntervalMs",
+  JOBS_CALLBACK_TIMEOUT_MS: "jobs.callbackTimeoutMs",
+  LIVE_ENABLED: "live.enabled",
+  LIVE_MAX_SESSIONS: "live.maxSessions",
+  LIVE_MAX_FRAME_BYTES: "live.maxFrameBytes",
+  LIVE_MIN_INTERVAL_MS: "live.minIntervalMs",
+  ALERTS_ENABLED: "alerts.enabled",
+  ALERT_INTERVAL_MINUTES: "alerts.intervalMinutes",
+  ALERT_MAX_ATTEMPTS: "alerts.maxAttempts",
+  ALERT_RETRY_BASE_MS: "alerts.retryBaseMs",
+  ALERT_WEBHOOK_TIMEOUT_MS: "alerts.webhookTimeoutMs",
+  ALERT_ALLOW_PRIVATE_WEBHOOKS: "alerts.allowPrivateWebhooks",
+  ALERT_EMAIL_FROM: "alerts.emailFrom",
+  SMTP_HOST: "smtp.host",
+  SMTP_PORT: "smtp.port",
+  SMTP_SECURE: "smtp.secure",
+  SMTP_IGNORE_TLS: "smtp.ignoreTls",
+  SMTP_USER: "smtp.user"
+};
+
+// Overrides holding comma-separated lists
+const LIST_OVERRIDES = new Set(["CORS_ORIGINS"]);
+
+// Secrets are read from the environment only and never from config files
+const SECRETS = {
+  SUPABASE_ANON_KEY: "supabaseAnonKey",
+  SUPABASE_SERVICE_ROLE_KEY: "supabaseServiceRoleKey",
+  SUPABASE_JWT_SECRET: "supabaseJwtSecret",
+  S3_ACCESS_KEY: "s3AccessKey",
+  S3_SECRET_KEY: "s3SecretKey",
+  STORAGE_SIGNING_SECRET: "storageSigningSecret",
+  GOOGLE_APPLICATION_CREDENTIALS_JSON: "googleCredentialsJson",
+  ALERT_WEBHOOK_SECRET: "alertWebhookSecret",
+  JOBS_CALLBACK_SECRET: "jobsCallbackSecret",
+  API_KEYS: "apiKeys",
+  METRICS_TOKEN: "metricsToken",
+  SMTP_PASS: "smtpPass"
+};
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Merge `override` into `base`; nested objects merge, everything else replaces
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isObject(value) && isObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split(".");
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function formatErrors(source, errors) {
+  return errors.map(e => {
+    const extra = e.params && e.params.additionalProperty ? ` "${e.params.additionalProperty}"` : "";
+    return `${source}${e.instancePath || ""}: ${e.message}${extra}`;
+  });
+}
+
+// Settings that only make sense together, e.g. credentials for the selected
+// storage backend. Returns a list of problems.
+function checkConfig(config, envName) {
+  const problems = [];
+  const { secrets } = config;
+  const expect = (condition, message) => {
+    if (!condition) problems.push(message);
+  };
+
+  expect(config.supabase.url, "SUPABASE_URL is required");
+  expect(secrets.supabaseAnonKey, "SUPABASE_ANON_KEY is required");
+  expect(secrets.supabaseServiceRoleKey, "SUPABASE_SERVICE_ROLE_KEY is required");
+
+  for (const [name, value] of [["supabase.url", config.supabase.url], ["server.publicUrl", config.server.publicUrl], ["storage.s3.endpoint", config.storage.s3.endpoint]]) {
+    if (value && !/^https?:\/\/[^\s/]+/.test(value)) {
+      problems.push(`${name}: expected an http(s) URL`);
+    }
+  }
+
+  switch (config.storage.backend) {
+    case "s3":
+      expect(config.storage.s3.region, "S3_REGION is required for the s3 storage backend");
+      expect(secrets.s3AccessKey && secrets.s3SecretKey, "S3_ACCESS_KEY and S3_SECRET_KEY are required for the s3 storage backend");
+      break;
+    case "local":
+      // Signed URLs must survive restarts (and be shared by instances) in production
+      expect(envName !== "production" || secrets.storageSigningSecret, "STORAGE_SIGNING_SECRET is required for the local storage backend in production");
+      break;
+  }
+
+  expect(config.reports.defaultRangeDays <= config.reports.maxRangeDays, "reports.defaultRangeDays must not exceed reports.maxRangeDays");
+  expect(config.live.stableFrames <= config.live.windowFrames, "live.stableFrames must not exceed live.windowFrames");
+  expect(!config.security.requireApiKey || secrets.apiKeys, "API_KEYS is required when security.requireApiKey is on");
+
+  if (config.vision.provider === "google") {
+    expect(config.vision.credentialsFile || secrets.googleCredentialsJson, "GOOGLE_APPLICATION_CREDENTIALS or GOOGLE_APPLICATION_CREDENTIALS_JSON is required for the google vision provider");
+  }
+  if (config.vision.provider === "fixture") {
+    expect(config.vision.fixturesDir, "VISION_FIXTURES_DIR is required for the fixture vision provider");
+  }
+
+  return problems;
+}
+
+// Load the service configuration: config/default.json, then the file for the
+// current environment (APP_ENV or NODE_ENV, e.g. config/production.json) if it
+// exists, then environment variable overrides. Secrets come from the
+// environment only, under `config.secrets`. Pass `check: false` for tools
+// that do not talk to Supabase or storage (the evaluation CLI).
+// Throws with every problem found.
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const dir = options.dir || env.CONFIG_DIR || CONFIG_DIR;
+  const envName = env.APP_ENV || env.NODE_ENV || "development";
+
+  const ajv = new Ajv({ allErrors: true, coerceTypes: true, allowUnionTypes: true });
+  const validate = ajv.compile(readJson(path.join(CONFIG_DIR, "schema.json")));
+  const problems = [];
+
+  // Each file is validated on its own so errors name the file at fault
+  let config = {};
+  const files = [path.join(dir, "default.json"), path.join(dir, `${envName}.json`)];
+  for (const file of files) {
+    if (file !== files[0] && !fs.existsSync(file)) continue;
+
+    const data = readJson(file);
+    if (!validate(data)) {
+      problems.push(...formatErrors(path.basename(file), validate.errors));
+      continue;
+    }
+    config = mergeConfig(config, data);
+  }
+
+  const overrides = {};
+  for (const [name, dottedPath] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] === undefined || env[name] === "") continue;
+    const value = LIST_OVERRIDES.has(name) ? env[name].split(",").map(item => item.trim()).filter(Boolean) : env[name];
+    setPath(overrides, dottedPath, value);
+  }
+  config = mergeConfig(config, overrides);
+
+  // Coerces environment strings to the types in the schema
+  if (!validate(config)) {
+    problems.push(...formatErrors("config", validate.errors));
+  }
+
+  config.env = envName;
+  config.secrets = {};
+  for (const [name, key] of Object.entries(SECRETS)) {
+    config.secrets[key] = env[name] || null;
+  }
+
+  if (problems.length === 0 && options.check !== false) {
+    problems.push(...checkConfig(config, envName));
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration (${envName}): ${problems.join("; ")}`);
+  }
+
+  // Without a configured secret, locally signed URLs stop working on restart
+  if (!config.secrets.storageSigningSecret && config.storage.backend === "local") {
+    config.secrets.storageSigningSecret = crypto.randomBytes(32).toString("hex");
+    config.secrets.generatedStorageSigningSecret = true;
+  }
+
+  return config;
+}
+
+module.exports = { loadConfig, ENV_OVERRIDES, SECRETS };
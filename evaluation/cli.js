@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+// Replay a labelled dataset of recorded Vision responses through the detection
+// and freshness pipeline, report accuracy and calibration, and optionally
+// grid-search the rules and write the tuned file.
+//
+//   npm run evaluate -- --data <dir> [--rules <file>] [--bins 5] [--json]
+//   npm run evaluate -- --data <dir> --tune [--rounds 3] [--write [--out <file>]]
+//
+// --min-category-accuracy and --max-freshness-mae make the command exit 1 when
+// the (tuned) rules fall short, so it can gate changes to the heuristics.
+const path = require("path");
+const { parseArgs } = require("util");
+const { loadKnowledgeBase } = require("../knowledgeBase");
+const { loadRules, saveRules, DEFAULT_RULES_FILE } = require("../rules");
+const { loadConfig } = require("../config");
+const { loadDataset, evaluateRules } = require("./index");
+const { tuneRules } = require("./tune");
+
+// Same knowledge base and rules file as the server would use
+const config = loadConfig({ check: false });
+
+const { values: args } = parseArgs({
+  options: {
+    data: { type: "string", default: path.join(__dirname, "datasets", "sample") },
+    rules: { type: "string", default: config.rules.file || DEFAULT_RULES_FILE },
+    bins: { type: "string", default: "5" },
+    tune: { type: "boolean", default: false },
+    rounds: { type: "string", default: "3" },
+    write: { type: "boolean", default: false },
+    out: { type: "string" },
+    json: { type: "boolean", default: false },
+    "min-category-accuracy": { type: "string" },
+    "max-freshness-mae": { type: "string" }
+  }
+});
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+
+function printReport(title, report) {
+  console.log(`\n${title} (rules v${report.rulesVersion}, ${report.samples} samples)`);
+  console.log(`  Category accuracy: ${percent(report.categoryAccuracy)}`);
+  console.log(`  Food accuracy:     ${percent(report.foodAccuracy)}`);
+  console.log(`  Freshness MAE:     ${report.freshness.mae} (${report.freshness.samples} labelled)`);
+  console.log(`  Objective:         ${report.objective}`);
+
+  const categories = [...new Set([
+    ...Object.keys(report.confusion),
+    ...Object.values(report.confusion).flatMap(row => Object.keys(row))
+  ])].sort();
+  const width = Math.max(10, ...categories.map(c => c.length)) + 2;
+
+  console.log("\n  Confusion matrix (rows: expected, columns: predicted)");
+  console.log(`  ${"".padEnd(width)}${categories.map(c => c.padStart(width)).join("")}`);
+  for (const expected of categories) {
+    if (!report.confusion[expected]) continue;
+    const cells = categories.map(predicted => String(report.confusion[expected][predicted] || 0).padStart(width));
+    console.log(`  ${expected.padEnd(width)}${cells.join("")}`);
+  }
+
+  const { bins, expectedCalibrationError } = report.freshness.calibration;
+  console.log(`\n  Freshness calibration (ECE ${expectedCalibrationError})`);
+  console.log("  bin          count  predicted  actual");
+  for (const bin of bins) {
+    const predicted = bin.meanPredicted === null ? "-" : bin.meanPredicted.toFixed(3);
+    const actual = bin.meanActual === null ? "-" : bin.meanActual.toFixed(3);
+    console.log(`  ${`${bin.from.toFixed(2)}-${bin.to.toFixed(2)}`.padEnd(13)}${String(bin.count).padStart(5)}${predicted.padStart(11)}${actual.padStart(8)}`);
+  }
+
+  if (report.mistakes.length > 0) {
+    console.log("\n  Mistakes");
+    for (const m of report.mistakes) {
+      console.log(`  ${m.id}: expected ${m.expected.food} (${m.expected.category}), got ${m.predicted.food} (${m.predicted.category})`);
+    }
+  }
+}
+
+// Next patch version, so tuned files are distinguishable from hand-edited ones
+function bumpVersion(version) {
+  const [major, minor, patch] = version.split(".").map(Number);
+  return `${major}.${minor}.${patch + 1}`;
+}
+
+function main() {
+  const knowledgeBase = loadKnowledgeBase(config.knowledgeBase.dir);
+  const rules = loadRules(args.rules);
+  const dataset = loadDataset(args.data, knowledgeBase);
+  const options = { bins: parseInt(args.bins, 10) || 5, rounds: parseInt(args.rounds, 10) || 3 };
+
+  if (dataset.samples.length === 0) {
+    throw new Error(`Dataset ${dataset.name} has no samples`);
+  }
+
+  let report;
+  let tuned = null;
+
+  if (args.tune) {
+    tuned = tuneRules(dataset.samples, knowledgeBase, rules, options);
+    report = tuned.report;
+  } else {
+    report = evaluateRules(dataset.samples, knowledgeBase, rules, options);
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(tuned ? { baseline: tuned.baseline, tuned: report, changes: tuned.changes } : report, null, 2));
+  } else if (tuned) {
+    printReport(`Baseline on ${dataset.name}`, tuned.baseline);
+    console.log(`\nGrid search: ${tuned.evaluations} evaluations, ${tuned.changes.length} change(s)`);
+    for (const change of tuned.changes) {
+      console.log(`  round ${change.round}: ${change.parameter} ${change.change} (objective ${change.objective})`);
+    }
+    printReport(`Tuned on ${dataset.name}`, report);
+  } else {
+    printReport(`Evaluation on ${dataset.name}`, report);
+  }
+
+  if (args.write) {
+    if (!tuned) throw new Error("--write requires --tune");
+
+    const file = args.out || args.rules;
+    if (tuned.changes.length === 0) {
+      console.log(`\nℹ️ No improvement found; ${file} left unchanged`);
+    } else {
+      saveRules(file, {
+        ...tuned.rules,
+        version: bumpVersion(rules.version),
+        tuning: {
+          tunedAt: new Date().toISOString(),
+          dataset: dataset.name,
+          samples: dataset.samples.length,
+          objective: report.objective,
+          baselineObjective: tuned.baseline.objective
+        }
+      });
+      console.log(`\n✅ Wrote tuned rules v${bumpVersion(rules.version)} to ${file}`);
+    }
+  }
+
+  const failures = [];
+  const minAccuracy = args["min-category-accuracy"];
+  const maxMae = args["max-freshness-mae"];
+  if (minAccuracy !== undefined && report.categoryAccuracy < parseFloat(minAccuracy)) {
+    failures.push(`category accuracy ${report.categoryAccuracy} is below ${minAccuracy}`);
+  }
+  if (maxMae !== undefined && report.freshness.mae > parseFloat(maxMae)) {
+    failures.push(`freshness MAE ${report.freshness.mae} is above ${maxMae}`);
+  }
+
+  if (failures.length > 0) {
+    console.error(`\n❌ Evaluation failed: ${failures.join("; ")}`);
+    process.exitCode = 1;
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("❌ Evaluation error:", error.message);
+  process.exitCode = 1;
+}
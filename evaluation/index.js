@@ -0,0 +1,172 @@
+const fs = require("fs");
+const path = require("path");
+const { normalizeAnnotation } = require("../providers/normalize");
+const { createScorer } = require("../scoring");
+
+// Numeric freshness for labelled samples ("fresh", "aging", "spoiled")
+const FRESHNESS_LABELS = {
+  fresh: 0.9,
+  aging: 0.5,
+  spoiled: 0.1
+};
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+// Load a labelled dataset: `ground-truth.json` in `dir` lists samples as
+// { response, food, category?, freshness? } where `response` is a raw Vision
+// response recorded with VISION_RECORD_DIR, `category` defaults to the food's
+// knowledge base category and `freshness` is 0-1 or a FRESHNESS_LABELS key.
+function loadDataset(dir, knowledgeBase) {
+  const truth = readJson(path.join(dir, "ground-truth.json"));
+  const problems = [];
+
+  const samples = (truth.samples || []).map((entry, index) => {
+    const where = `ground-truth.json/samples/${index}`;
+    if (!entry.response || !entry.food) {
+      problems.push(`${where}: response and food are required`);
+      return null;
+    }
+
+    const food = knowledgeBase.findFood(entry.food);
+    const category = entry.category || (food ? food.category : "other");
+    if (!knowledgeBase.categories[category]) {
+      problems.push(`${where}: unknown category "${category}"`);
+    }
+
+    let freshness = null;
+    if (typeof entry.freshness === "number") {
+      freshness = entry.freshness;
+    } else if (entry.freshness !== undefined) {
+      freshness = FRESHNESS_LABELS[entry.freshness] ?? null;
+      if (freshness === null) problems.push(`${where}: unknown freshness label "${entry.freshness}"`);
+    }
+
+    const file = path.join(dir, entry.response);
+    if (!fs.existsSync(file)) {
+      problems.push(`${where}: response file ${entry.response} not found`);
+      return null;
+    }
+
+    return {
+      id: entry.response,
+      annotation: normalizeAnnotation(readJson(file)),
+      food: food ? food.name : entry.food.toLowerCase(),
+      category,
+      freshness
+    };
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid dataset: ${problems.join("; ")}`);
+  }
+
+  return { name: truth.name || path.basename(path.resolve(dir)), samples };
+}
+
+// Run one recorded annotation through the same pipeline as /analyze (OCR
+// labels, item detection and freshness scoring) and return the primary item
+function replaySample(scorer, annotation) {
+  const { colors, text, objects } = annotation;
+  const labels = scorer.addTextLabels(annotation.labelAnnotations, text);
+  const items = scorer.detectFoodItems(null, labels, colors, objects, text.length > 0);
+
+  return items[0];
+}
+
+// Predicted vs. labelled freshness in equal-width score bins. Expected
+// calibration error is the count-weighted mean gap between the two.
+function calibrationCurve(pairs, binCount) {
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    from: Math.round((i / binCount) * 100) / 100,
+    to: Math.round(((i + 1) / binCount) * 100) / 100,
+    count: 0,
+    predicted: 0,
+    actual: 0
+  }));
+
+  for (const { predicted, actual } of pairs) {
+    const bin = bins[Math.min(binCount - 1, Math.floor(predicted * binCount))];
+    bin.count++;
+    bin.predicted += predicted;
+    bin.actual += actual;
+  }
+
+  let expectedError = 0;
+  const curve = bins.map(bin => {
+    if (bin.count === 0) return { from: bin.from, to: bin.to, count: 0, meanPredicted: null, meanActual: null };
+
+    const meanPredicted = bin.predicted / bin.count;
+    const meanActual = bin.actual / bin.count;
+    expectedError += (bin.count / pairs.length) * Math.abs(meanPredicted - meanActual);
+    return { from: bin.from, to: bin.to, count: bin.count, meanPredicted: round(meanPredicted), meanActual: round(meanActual) };
+  });
+
+  return { bins: curve, expectedCalibrationError: pairs.length > 0 ? round(expectedError) : null };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Score every sample with the given rules and summarize: category and food
+// accuracy, a confusion matrix (expected category -> predicted category ->
+// count), freshness MAE and the calibration curve. `objective` (category
+// accuracy minus freshness MAE) is what tuning maximizes.
+function evaluateRules(samples, knowledgeBase, rules, options = {}) {
+  const scorer = createScorer(knowledgeBase, rules);
+  const confusion = {};
+  const mistakes = [];
+  const pairs = [];
+  let categoryHits = 0;
+  let foodHits = 0;
+
+  for (const sample of samples) {
+    const item = replaySample(scorer, sample.annotation);
+    const predictedFood = knowledgeBase.findFood(item.foodInfo.name);
+    const predicted = {
+      food: predictedFood ? predictedFood.name : item.foodInfo.name.toLowerCase(),
+      category: item.foodInfo.category,
+      freshness: item.freshnessScore
+    };
+
+    confusion[sample.category] = confusion[sample.category] || {};
+    confusion[sample.category][predicted.category] = (confusion[sample.category][predicted.category] || 0) + 1;
+
+    if (predicted.category === sample.category) categoryHits++;
+    if (predicted.food === sample.food) foodHits++;
+    if (sample.freshness !== null) pairs.push({ predicted: predicted.freshness, actual: sample.freshness });
+
+    if (predicted.category !== sample.category || predicted.food !== sample.food) {
+      mistakes.push({ id: sample.id, expected: { food: sample.food, category: sample.category }, predicted: { food: predicted.food, category: predicted.category } });
+    }
+  }
+
+  const total = samples.length;
+  const categoryAccuracy = total > 0 ? categoryHits / total : 0;
+  const freshnessMae = pairs.length > 0
+    ? pairs.reduce((sum, p) => sum + Math.abs(p.predicted - p.actual), 0) / pairs.length
+    : 0;
+
+  return {
+    rulesVersion: rules.version,
+    samples: total,
+    categoryAccuracy: round(categoryAccuracy),
+    foodAccuracy: total > 0 ? round(foodHits / total) : 0,
+    confusion,
+    freshness: {
+      samples: pairs.length,
+      mae: round(freshnessMae),
+      calibration: calibrationCurve(pairs, options.bins || 5)
+    },
+    objective: round(categoryAccuracy - freshnessMae),
+    mistakes
+  };
+}
+
+module.exports = { loadDataset, evaluateRules, replaySample, readJson, FRESHNESS_LABELS };
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// Check the food-safety rules against hand-written cases: for each item the
+// rules that fire must be exactly the expected ones, with the expected
+// severity and discard override. Exits 1 on any mismatch.
+//
+//   node evaluation/safety.js [--cases <file>] [--rules <file>]
+const path = require("path");
+const { parseArgs } = require("util");
+const { loadKnowledgeBase } = require("../knowledgeBase");
+const { loadLocales, createLocalizer } = require("../locales");
+const { loadSafetyRules, createSafetyEngine, DEFAULT_SAFETY_FILE } = require("../safety");
+const { loadConfig } = require("../config");
+const { readJson } = require("./index");
+
+// Same knowledge base, locales and rules file as the server would use
+const config = loadConfig({ check: false });
+
+const { values: args } = parseArgs({
+  options: {
+    cases: { type: "string", default: path.join(__dirname, "datasets", "safety", "cases.json") },
+    rules: { type: "string", default: config.safety.file || DEFAULT_SAFETY_FILE }
+  }
+});
+
+// The scored item a case describes: a knowledge base food with the case's
+// category, confidence, freshness and labels
+function caseItem(entry, food) {
+  return {
+    foodInfo: { name: food.name, category: entry.category || food.category, confidence: entry.confidence ?? 0.9 },
+    freshnessScore: entry.freshness ?? 0.8,
+    labels: entry.labels || [],
+    storageAdvice: { current: null }
+  };
+}
+
+// Kept in `context.storage`, else the food's default storage
+function caseContext(context = {}, food, locale, now) {
+  return {
+    storageContext: {
+      storage: context.storage || food.defaultStorage,
+      opened: context.opened,
+      purchaseDate: context.purchaseDate ? new Date(context.purchaseDate) : undefined
+    },
+    packageInfo: { useBy: context.useBy, bestBefore: context.bestBefore },
+    locale,
+    now
+  };
+}
+
+const sameRules = (a, b) => [...a].sort().join() === [...b].sort().join();
+
+function main() {
+  const knowledgeBase = loadKnowledgeBase(config.knowledgeBase.dir);
+  const localizer = createLocalizer(loadLocales(knowledgeBase, config.locales.dir), knowledgeBase, { defaultLanguage: config.locales.defaultLanguage });
+  const locale = localizer.forLanguage(localizer.defaultLanguage);
+  const engine = createSafetyEngine(loadSafetyRules(knowledgeBase, args.rules), { locale });
+
+  const dataset = readJson(args.cases);
+  const now = new Date(dataset.now);
+  const failures = [];
+
+  console.log(`\nSafety rules on ${dataset.name} (${dataset.cases.length} cases)`);
+  for (const entry of dataset.cases) {
+    let problem = null;
+    try {
+      const food = knowledgeBase.findFood(entry.item.food);
+      if (!food) throw new Error(`unknown food "${entry.item.food}"`);
+
+      const safety = engine.evaluate(caseItem(entry.item, food), caseContext(entry.context, food, locale, now));
+      const fired = safety.warnings.map(warning => warning.rule);
+      const { expected } = entry;
+
+      if (!sameRules(fired, expected.rules)) {
+        problem = `expected rules [${expected.rules.join(", ")}], fired [${fired.join(", ")}]`;
+      } else if (safety.severity !== expected.severity) {
+        problem = `expected severity ${expected.severity}, got ${safety.severity}`;
+      } else if ((safety.override?.rule || null) !== expected.override) {
+        problem = `expected override ${expected.override}, got ${safety.override?.rule || null}`;
+      }
+    } catch (error) {
+      problem = error.message;
+    }
+
+    console.log(`  ${problem ? "✗" : "✓"} ${entry.id}${problem ? `: ${problem}` : ""}`);
+    if (problem) failures.push(entry.id);
+  }
+
+  if (failures.length > 0) {
+    console.error(`\n❌ Safety rules failed ${failures.length} case(s): ${failures.join(", ")}`);
+    process.exitCode = 1;
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("❌ Safety rules error:", error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,99 @@
+const { evaluateRules } = require("./index");
+
+function steps(from, to, step) {
+  const values = [];
+  for (let value = from; value <= to + 1e-9; value += step) {
+    values.push(Math.round(value * 100) / 100);
+  }
+  return values;
+}
+
+// Factors tried on whole indicator lists, so their relative weights are kept
+const WEIGHT_SCALES = [0.5, 0.75, 1.25, 1.5];
+
+// Tunable rules: scalar thresholds with the values to try, and indicator
+// lists whose weights are scaled together
+const PARAMETERS = [
+  { path: ["detection", "exactMatchMinScore"], values: steps(0.5, 0.9, 0.05) },
+  { path: ["detection", "partialMatchMinScore"], values: steps(0.5, 0.9, 0.05) },
+  { path: ["detection", "genericMatchMinScore"], values: steps(0.4, 0.9, 0.05) },
+  { path: ["freshness", "baseScore"], values: steps(0.3, 0.7, 0.05) },
+  { path: ["freshness", "badColorCap"], values: steps(0.1, 0.5, 0.05) },
+  { path: ["freshness", "spoilageTextCap"], values: steps(0.1, 0.5, 0.05) },
+  { path: ["text", "spoilageWeight"], values: steps(-0.6, -0.1, 0.05) },
+  { path: ["freshness", "spoilageIndicators"], scales: WEIGHT_SCALES },
+  { path: ["freshness", "freshnessIndicators"], scales: WEIGHT_SCALES }
+];
+
+function getValue(rules, [section, key]) {
+  return rules[section][key];
+}
+
+function withValue(rules, [section, key], value) {
+  return { ...rules, [section]: { ...rules[section], [key]: value } };
+}
+
+function scaleWeights(indicators, factor) {
+  return indicators.map(indicator => ({
+    ...indicator,
+    weight: Math.max(-1, Math.min(1, Math.round(indicator.weight * factor * 1000) / 1000))
+  }));
+}
+
+// Candidate rules for one parameter, each with a description of the change
+function candidates(rules, parameter) {
+  const current = getValue(rules, parameter.path);
+
+  if (parameter.scales) {
+    return parameter.scales.map(factor => ({
+      rules: withValue(rules, parameter.path, scaleWeights(current, factor)),
+      change: `x${factor}`
+    }));
+  }
+
+  return parameter.values
+    .filter(value => value !== current)
+    .map(value => ({ rules: withValue(rules, parameter.path, value), change: `${current} -> ${value}` }));
+}
+
+// Coordinate-wise grid search: for each parameter in turn, try every value
+// on its grid with the others held fixed and keep the best objective. Repeats
+// until a round brings no improvement or `rounds` is reached. Ties keep the
+// current value, so rules only move when the dataset supports it.
+function tuneRules(samples, knowledgeBase, rules, options = {}) {
+  const rounds = options.rounds || 3;
+  const evaluate = candidate => evaluateRules(samples, knowledgeBase, candidate, options);
+
+  const baseline = evaluate(rules);
+  let best = { rules, report: baseline };
+  const changes = [];
+  let evaluations = 1;
+
+  for (let round = 1; round <= rounds; round++) {
+    let improved = false;
+
+    for (const parameter of PARAMETERS) {
+      let roundBest = null;
+
+      for (const candidate of candidates(best.rules, parameter)) {
+        const report = evaluate(candidate.rules);
+        evaluations++;
+        if (report.objective > (roundBest ? roundBest.report.objective : best.report.objective)) {
+          roundBest = { ...candidate, report };
+        }
+      }
+
+      if (roundBest) {
+        changes.push({ round, parameter: parameter.path.join("."), change: roundBest.change, objective: roundBest.report.objective });
+        best = { rules: roundBest.rules, report: roundBest.report };
+        improved = true;
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return { rules: best.rules, report: best.report, baseline, changes, evaluations };
+}
+
+module.exports = { tuneRules, PARAMETERS };
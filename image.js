@@ -0,0 +1,89 @@
+const jpeg = require("jpeg-js");
+const { PNG } = require("pngjs");
+
+// Upper bound on pixels inspected per image; larger images are sampled with a stride
+const MAX_SAMPLED_PIXELS = 100000;
+// Number of dominant colors reported, matching what Vision usually returns
+const MAX_COLORS = 10;
+// Bits kept per channel when bucketing pixels into colors
+const QUANTIZE_BITS = 4;
+
+// Decode a JPEG or PNG buffer into RGBA pixels
+function decodeImage(imageBuffer) {
+  if (imageBuffer[0] === 0xff && imageBuffer[1] === 0xd8 && imageBuffer[2] === 0xff) {
+    return jpeg.decode(imageBuffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 512 });
+  }
+
+  if (imageBuffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return PNG.sync.read(imageBuffer);
+  }
+
+  throw new Error("Unsupported image format: only JPEG and PNG can be analyzed locally");
+}
+
+// Copy the region described by a normalized bounding box ({ x, y, width, height } in 0..1)
+function cropImage(image, box) {
+  const left = Math.max(0, Math.floor(box.x * image.width));
+  const top = Math.max(0, Math.floor(box.y * image.height));
+  const right = Math.min(image.width, Math.ceil((box.x + box.width) * image.width));
+  const bottom = Math.min(image.height, Math.ceil((box.y + box.height) * image.height));
+  const width = Math.max(0, right - left);
+  const height = Math.max(0, bottom - top);
+  const data = Buffer.alloc(width * height * 4);
+
+  for (let row = 0; row < height; row++) {
+    const sourceStart = ((top + row) * image.width + left) * 4;
+    data.set(image.data.subarray(sourceStart, sourceStart + width * 4), row * width * 4);
+  }
+
+  return { width, height, data };
+}
+
+// Bucket pixels by quantized color and return the most common buckets,
+// averaged back to full precision, in the same shape Vision uses
+function computeDominantColors({ width, height, data }) {
+  const totalPixels = width * height;
+  const stride = Math.max(1, Math.floor(totalPixels / MAX_SAMPLED_PIXELS));
+  const shift = 8 - QUANTIZE_BITS;
+  const buckets = new Map();
+  let sampled = 0;
+
+  for (let i = 0; i < totalPixels; i += stride) {
+    const offset = i * 4;
+    // Skip (mostly) transparent PNG pixels
+    if (data[offset + 3] < 128) continue;
+
+    const r = data[offset];
+    const g = data[offset + 1];
+    const b = data[offset + 2];
+    const key = ((r >> shift) << (QUANTIZE_BITS * 2)) | ((g >> shift) << QUANTIZE_BITS) | (b >> shift);
+
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { count: 0, red: 0, green: 0, blue: 0 };
+      buckets.set(key, bucket);
+    }
+    bucket.count++;
+    bucket.red += r;
+    bucket.green += g;
+    bucket.blue += b;
+    sampled++;
+  }
+
+  if (sampled === 0) return [];
+
+  return [...buckets.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_COLORS)
+    .map(bucket => ({
+      color: {
+        red: Math.round(bucket.red / bucket.count),
+        green: Math.round(bucket.green / bucket.count),
+        blue: Math.round(bucket.blue / bucket.count)
+      },
+      score: bucket.count / sampled,
+      pixelFraction: bucket.count / sampled
+    }));
+}
+
+module.exports = { decodeImage, cropImage, computeDominantColors };
@@ -0,0 +1,337 @@
+const crypto = require("crypto");
+const { signWebhook } = require("../alerts/channels");
+const { checkOutboundUrl } = require("../security/outboundUrl");
+const { log } = require("../observability/logger");
+
+// Jobs stuck in "processing" longer than this (e.g. the process died) are picked up again
+const DEFAULT_STALE_MS = 5 * 60 * 1000;
+
+// Public view of an analysis_jobs row
+function toJobStatus(row) {
+  return {
+    jobId: row.id,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    nextAttemptAt: row.status === "queued" ? row.next_attempt_at : null,
+    error: row.last_error,
+    result: row.result,
+    callback: row.callback_url
+      ? { url: row.callback_url, status: row.callback_status, attempts: row.callback_attempts, error: row.callback_error }
+      : null,
+    statusUrl: `/jobs/${row.id}`,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at
+  };
+}
+
+// Durable analysis queue on the analysis_jobs table. A pool of up to
+// `concurrency` jobs runs `handler(job)` at a time; failures are retried with
+// exponential backoff up to the job's max_attempts, except client errors
+// (an exposed 4xx) which fail right away. Jobs are claimed with a conditional
+// update, so several instances can share the table, and claims left behind by
+// a crashed process count as a failed attempt after `staleMs`. When a job finishes,
+// its callback URL (if any) receives the job status, signed like alert
+// webhooks when `callbackSecret` is set, and is retried the same way.
+function createJobQueue({
+  supabase,
+  handler,
+  concurrency = 2,
+  maxAttempts = 5,
+  retryBaseMs = 2000,
+  pollIntervalMs = 2000,
+  staleMs = DEFAULT_STALE_MS,
+  callbackSecret,
+  callbackTimeoutMs = 10000,
+  callbackMaxAttempts = 5
+}) {
+  let timer = null;
+  let polling = false;
+  const active = new Set();
+
+  // Insert a queued job; `upload` and `options` are whatever the handler needs
+  async function enqueue({ userId, upload, options, callbackUrl }) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from("analysis_jobs")
+      .insert({
+        id: crypto.randomUUID(),
+        user_id: userId || null,
+        status: "queued",
+        attempts: 0,
+        max_attempts: maxAttempts,
+        next_attempt_at: now,
+        upload,
+        options,
+        callback_url: callbackUrl || null,
+        callback_attempts: 0,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      log.error("Error queueing analysis job", { error });
+      const queueError = new Error("Failed to queue analysis");
+      queueError.expose = true;
+      queueError.status = 503;
+      throw queueError;
+    }
+
+    if (timer) setImmediate(poll);
+    return data;
+  }
+
+  async function get(id) {
+    const { data, error } = await supabase.from("analysis_jobs").select("*").eq("id", id).maybeSingle();
+    if (error) throw new Error(`Failed to load job ${id}: ${error.message}`);
+    return data;
+  }
+
+  async function update(id, changes) {
+    const { data, error } = await supabase
+      .from("analysis_jobs")
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to update job ${id}: ${error.message}`);
+    return data;
+  }
+
+  // Count a stale claim as a failed attempt: requeue the job with backoff, or
+  // fail it (and queue its callback) once it has used up its attempts, so a
+  // job that crashes the process every time does not run forever. Each update
+  // is conditional on the claim, so another instance releasing it too is a no-op.
+  async function releaseStaleJobs(now) {
+    const { data: stale, error } = await supabase
+      .from("analysis_jobs")
+      .select("id, attempts, max_attempts, claimed_at, callback_url")
+      .eq("status", "processing")
+      .lt("claimed_at", new Date(now.getTime() - staleMs).toISOString());
+
+    if (error) throw new Error(`Failed to load stale jobs: ${error.message}`);
+
+    for (const job of stale) {
+      const attempts = job.attempts + 1;
+      const exhausted = attempts >= job.max_attempts;
+      log.error("Job claim went stale", { jobId: job.id, attempt: attempts, maxAttempts: job.max_attempts });
+
+      const { error: releaseError } = await supabase
+        .from("analysis_jobs")
+        .update({
+          status: exhausted ? "failed" : "queued",
+          attempts,
+          last_error: "Analysis did not finish",
+          next_attempt_at: new Date(now.getTime() + retryBaseMs * 2 ** (attempts - 1)).toISOString(),
+          updated_at: now.toISOString(),
+          ...(exhausted ? { completed_at: now.toISOString() } : {}),
+          ...(exhausted && job.callback_url ? { callback_status: "pending", callback_next_attempt_at: now.toISOString() } : {})
+        })
+        .eq("id", job.id)
+        .eq("status", "processing")
+        .eq("claimed_at", job.claimed_at);
+
+      if (releaseError) log.error("Failed to release stale job", { jobId: job.id, error: releaseError.message });
+    }
+  }
+
+  // Claim up to `limit` due jobs so concurrent workers do not run them twice
+  async function claimJobs(limit) {
+    const now = new Date();
+    await releaseStaleJobs(now);
+
+    const { data: due, error } = await supabase
+      .from("analysis_jobs")
+      .select("id")
+      .eq("status", "queued")
+      .lte("next_attempt_at", now.toISOString())
+      .order("created_at", { ascending: true })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to load due jobs: ${error.message}`);
+    if (due.length === 0) return [];
+
+    const { data: claimed, error: claimError } = await supabase
+      .from("analysis_jobs")
+      .update({ status: "processing", claimed_at: now.toISOString() })
+      .in("id", due.map(j => j.id))
+      .eq("status", "queued")
+      .select();
+
+    if (claimError) throw new Error(`Failed to claim jobs: ${claimError.message}`);
+    return claimed;
+  }
+
+  async function runJob(job) {
+    const attempts = job.attempts + 1;
+    let result;
+    let failure = null;
+
+    try {
+      result = await handler(job);
+    } catch (error) {
+      failure = error;
+    }
+
+    const permanent = failure && failure.expose && failure.status >= 400 && failure.status < 500;
+    const exhausted = !failure || permanent || attempts >= job.max_attempts;
+    const claimCallback = exhausted && job.callback_url
+      ? { callback_status: "sending", callback_claimed_at: new Date().toISOString() }
+      : {};
+
+    let finished;
+    try {
+      if (!failure) {
+        finished = await update(job.id, {
+          status: "succeeded",
+          attempts,
+          result,
+          last_error: null,
+          completed_at: new Date().toISOString(),
+          ...claimCallback
+        });
+        log.info("Job succeeded", { jobId: job.id, attempt: attempts });
+      } else {
+        log.error("Job failed", { jobId: job.id, attempt: attempts, maxAttempts: job.max_attempts, error: failure.message });
+        finished = await update(job.id, {
+          status: exhausted ? "failed" : "queued",
+          attempts,
+          last_error: failure.expose ? failure.message : "Analysis failed",
+          next_attempt_at: new Date(Date.now() + retryBaseMs * 2 ** (attempts - 1)).toISOString(),
+          ...(exhausted ? { completed_at: new Date().toISOString() } : {}),
+          ...claimCallback
+        });
+      }
+    } catch (updateError) {
+      // The claim goes stale and the job is picked up again
+      log.error("Failed to record job outcome", { jobId: job.id, error: updateError.message });
+      return;
+    }
+
+    if (finished.callback_status === "sending") {
+      await sendCallback(finished);
+    }
+  }
+
+  // POST the job status to its callback URL; the row must be claimed ("sending").
+  // The URL is checked again before each attempt and redirects are not
+  // followed, so a callback never reaches a private address. The error kept
+  // on the job is the HTTP status or a generic message: network errors would
+  // tell the caller which hosts and ports answer.
+  async function sendCallback(job) {
+    const attempts = job.callback_attempts + 1;
+
+    try {
+      await checkOutboundUrl(job.callback_url);
+
+      const body = JSON.stringify(toJobStatus(job));
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = { "Content-Type": "application/json", "X-Food-Job-Timestamp": timestamp };
+      if (callbackSecret) {
+        headers["X-Food-Job-Signature"] = `sha256=${signWebhook(callbackSecret, timestamp, body)}`;
+      }
+
+      const response = await fetch(job.callback_url, {
+        method: "POST",
+        headers,
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(callbackTimeoutMs)
+      });
+
+      if (!response.ok) {
+        const statusError = new Error(`Callback responded with HTTP ${response.status}`);
+        statusError.expose = true;
+        throw statusError;
+      }
+
+      await update(job.id, { callback_status: "sent", callback_attempts: attempts, callback_error: null });
+    } catch (error) {
+      const exhausted = attempts >= callbackMaxAttempts;
+      log.error("Job callback failed", { jobId: job.id, attempt: attempts, maxAttempts: callbackMaxAttempts, error: error.message });
+
+      try {
+        await update(job.id, {
+          callback_status: exhausted ? "failed" : "pending",
+          callback_attempts: attempts,
+          callback_error: error.expose ? error.message : "Callback could not be delivered",
+          callback_next_attempt_at: new Date(Date.now() + retryBaseMs * 2 ** (attempts - 1)).toISOString()
+        });
+      } catch (updateError) {
+        log.error("Failed to record callback outcome", { jobId: job.id, error: updateError.message });
+      }
+    }
+  }
+
+  // Claim and resend callbacks whose retry time has come
+  async function retryCallbacks() {
+    const now = new Date();
+
+    await supabase
+      .from("analysis_jobs")
+      .update({ callback_status: "pending" })
+      .eq("callback_status", "sending")
+      .lt("callback_claimed_at", new Date(now.getTime() - staleMs).toISOString());
+
+    const { data: claimed, error } = await supabase
+      .from("analysis_jobs")
+      .update({ callback_status: "sending", callback_claimed_at: now.toISOString() })
+      .eq("callback_status", "pending")
+      .lte("callback_next_attempt_at", now.toISOString())
+      .select();
+
+    if (error) throw new Error(`Failed to claim callbacks: ${error.message}`);
+
+    for (const job of claimed) {
+      await sendCallback(job);
+    }
+  }
+
+  // Fill free worker slots with due jobs, then retry due callbacks
+  async function poll() {
+    if (polling) return;
+    polling = true;
+
+    try {
+      const free = concurrency - active.size;
+      if (free > 0) {
+        for (const job of await claimJobs(free)) {
+          const run = runJob(job).finally(() => {
+            active.delete(run);
+            if (timer) setImmediate(poll);
+          });
+          active.add(run);
+        }
+      }
+
+      await retryCallbacks();
+    } catch (error) {
+      log.error("Job poll failed", { error: error.message });
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(poll, pollIntervalMs);
+    timer.unref();
+    log.info("Analysis job workers started", { concurrency });
+    poll();
+  }
+
+  // Stop claiming new jobs; resolves once the running ones have finished
+  async function stop() {
+    clearInterval(timer);
+    timer = null;
+    await Promise.allSettled([...active]);
+  }
+
+  return { enqueue, get, start, stop, runOnce: poll };
+}
+
+module.exports = { createJobQueue, toJobStatus };
@@ -0,0 +1,167 @@
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+
+const DEFAULT_DIR = path.join(__dirname, "knowledge");
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+function formatErrors(file, errors) {
+  return errors.map(e => `${file}${e.instancePath || ""}: ${e.message}`).join("; ");
+}
+
+// Load and validate the food knowledge base (manifest + one file per category).
+// Throws with every problem found so a bad edit fails fast at startup.
+// Without `dir` (config knowledgeBase.dir) the bundled knowledge base is used.
+function loadKnowledgeBase(knowledgeDir) {
+  const dir = knowledgeDir || DEFAULT_DIR;
+  const ajv = new Ajv({ allErrors: true });
+  const validateManifest = ajv.compile(readJson(path.join(dir, "schema", "manifest.schema.json")));
+  const validateFoods = ajv.compile(readJson(path.join(dir, "schema", "foods.schema.json")));
+
+  const manifest = readJson(path.join(dir, "manifest.json"));
+  if (!validateManifest(manifest)) {
+    throw new Error(`Invalid knowledge base: ${formatErrors("manifest.json", validateManifest.errors)}`);
+  }
+
+  const problems = [];
+  const storageConditions = manifest.storageConditions;
+
+  for (const [name, category] of Object.entries(manifest.categories)) {
+    for (const storage of [category.defaultStorage, ...Object.keys(category.shelfLife), ...Object.keys(category.openedShelfLife || {})]) {
+      if (!storageConditions.includes(storage)) {
+        problems.push(`manifest.json/categories/${name}: unknown storage condition "${storage}"`);
+      }
+    }
+    if (category.shelfLife[category.defaultStorage] === undefined) {
+      problems.push(`manifest.json/categories/${name}: no shelf life for default storage "${category.defaultStorage}"`);
+    }
+  }
+
+  const foods = [];
+  const termIndex = new Map();
+
+  for (const file of manifest.files) {
+    const data = readJson(path.join(dir, file));
+    if (!validateFoods(data)) {
+      problems.push(formatErrors(file, validateFoods.errors));
+      continue;
+    }
+
+    if (!manifest.categories[data.category]) {
+      problems.push(`${file}: unknown category "${data.category}"`);
+      continue;
+    }
+
+    for (const food of data.foods) {
+      const entry = {
+        name: food.name,
+        category: data.category,
+        synonyms: food.synonyms || [],
+        defaultStorage: food.defaultStorage || manifest.categories[data.category].defaultStorage,
+        shelfLife: food.shelfLife || {},
+        openedShelfLife: food.openedShelfLife || {},
+        colors: { healthy: food.colors?.healthy || [], spoiled: food.colors?.spoiled || [] },
+        labelRules: food.labelRules || []
+      };
+
+      for (const storage of [entry.defaultStorage, ...Object.keys(entry.shelfLife), ...Object.keys(entry.openedShelfLife)]) {
+        if (!storageConditions.includes(storage)) {
+          problems.push(`${file}/${food.name}: unknown storage condition "${storage}"`);
+        }
+      }
+
+      const categoryShelfLife = manifest.categories[data.category].shelfLife;
+      if (entry.shelfLife[entry.defaultStorage] === undefined && categoryShelfLife[entry.defaultStorage] === undefined) {
+        problems.push(`${file}/${food.name}: no shelf life for default storage "${entry.defaultStorage}"`);
+      }
+
+      for (const range of [...entry.colors.healthy, ...entry.colors.spoiled]) {
+        if (range.min.some((value, i) => value > range.max[i])) {
+          problems.push(`${file}/${food.name}: color range "${range.name}" has min above max`);
+        }
+      }
+
+      for (const term of [entry.name, ...entry.synonyms]) {
+        if (termIndex.has(term)) {
+          problems.push(`${file}/${food.name}: "${term}" is already used by "${termIndex.get(term).name}"`);
+        } else {
+          termIndex.set(term, entry);
+        }
+      }
+
+      foods.push(entry);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid knowledge base: ${problems.join("; ")}`);
+  }
+
+  // Resolve a detected food name: exact name or synonym first, then the first
+  // food (in knowledge base order) whose name or synonym appears in it
+  function findFood(foodName) {
+    const name = foodName.toLowerCase();
+    if (termIndex.has(name)) return termIndex.get(name);
+
+    for (const food of foods) {
+      if ([food.name, ...food.synonyms].some(term => name.includes(term))) {
+        return food;
+      }
+    }
+
+    return null;
+  }
+
+  // Shelf life per storage condition for a food: the category defaults
+  // overridden by food-specific values, plus the condition it normally lives in
+  function getShelfLifeProfile(foodName, category) {
+    const food = findFood(foodName);
+    const categoryInfo = manifest.categories[food ? food.category : category] || manifest.categories.unknown;
+
+    return {
+      defaultStorage: food ? food.defaultStorage : categoryInfo.defaultStorage,
+      shelfLife: { ...categoryInfo.shelfLife, ...(food ? food.shelfLife : {}) },
+      openedShelfLife: { ...(categoryInfo.openedShelfLife || {}), ...(food ? food.openedShelfLife : {}) }
+    };
+  }
+
+  // Days of shelf life at full freshness, for the given storage condition or
+  // the food's default one. Opened packages keep for the shorter opened value.
+  function getShelfLife(foodName, category, storage, opened = false) {
+    return shelfLifeFromProfile(getShelfLifeProfile(foodName, category), storage, opened);
+  }
+
+  // getShelfLife for a profile shaped like getShelfLifeProfile's, e.g. one a
+  // catalog product overrides
+  function shelfLifeFromProfile(profile, storage, opened = false) {
+    const condition = storage && profile.shelfLife[storage] !== undefined ? storage : profile.defaultStorage;
+    let days = profile.shelfLife[condition];
+
+    if (opened && profile.openedShelfLife[condition] !== undefined) {
+      days = Math.min(days, profile.openedShelfLife[condition]);
+    }
+
+    return days;
+  }
+
+  return {
+    version: manifest.version,
+    storageConditions,
+    categories: manifest.categories,
+    genericFoodTerms: manifest.genericFoodTerms,
+    foods,
+    findFood,
+    getShelfLifeProfile,
+    getShelfLife,
+    shelfLifeFromProfile
+  };
+}
+
+module.exports = { loadKnowledgeBase };
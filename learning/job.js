@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const { learnRules, ruleKey } = require("./learner");
+const { log } = require("../observability/logger");
+
+// Supabase returns at most this many rows per request
+const PAGE_SIZE = 1000;
+
+// Identifies a set of active rules, so cached results scored with other rules miss
+function rulesVersion(rules) {
+  if (rules.length === 0) return "none";
+  const ids = rules.map(rule => rule.id).sort((a, b) => a - b).join(",");
+  return crypto.createHash("sha1").update(ids).digest("hex").slice(0, 8);
+}
+
+// A learned_rules row as the scorer uses it
+function toLearnedRule(row) {
+  return { id: row.id, kind: row.kind, label: row.label, food: row.food, delta: row.delta === null ? null : Number(row.delta) };
+}
+
+// Periodically relearns detection synonyms and freshness adjustments from
+// user corrections (see learnRules). Each run is recorded in learning_runs;
+// a changed rule is added as a new learned_rules row and the one it replaces
+// is marked superseded, so every rule the scorer ever used stays reviewable.
+// Rolled-back rules stay rolled back: their keys are not learned again.
+// `onChange({ version, rules })` receives the active rules after every change.
+function createLearningJob({ supabase, knowledgeBase, settings, intervalMs, onChange }) {
+  let timer = null;
+  let running = false;
+
+  // Every row of `table`, a page at a time; `what` names it in errors
+  async function loadAll(table, what) {
+    const rows = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from(table)
+        .select("*")
+        .order("id", { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+      if (error) throw new Error(`Failed to load ${what}: ${error.message}`);
+      rows.push(...data);
+      if (data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  const loadRules = () => loadAll("learned_rules", "learned rules");
+
+  // Hand the active rules to the scorer. Returns them with their version.
+  async function refresh() {
+    const active = (await loadRules()).filter(row => row.status === "active").map(toLearnedRule);
+    const learned = { version: rulesVersion(active), rules: active };
+    onChange(learned);
+    return learned;
+  }
+
+  // Learn from every correction so far. Returns the run summary, or null when
+  // a run is already in progress.
+  async function runOnce() {
+    if (running) return null;
+    running = true;
+
+    try {
+      const feedback = await loadAll("analysis_feedback", "feedback");
+
+      const rows = await loadRules();
+      const rejected = new Set(rows.filter(row => row.status === "rolled_back").map(ruleKey));
+      const learned = learnRules(feedback, { knowledgeBase, settings, rejected });
+
+      const activeByKey = new Map(rows.filter(row => row.status === "active").map(row => [ruleKey(row), row]));
+      const learnedKeys = new Set(learned.map(ruleKey));
+      const unchanged = rule => {
+        const current = activeByKey.get(ruleKey(rule));
+        return current && current.food === rule.food && (current.delta === null ? null : Number(current.delta)) === rule.delta;
+      };
+      const added = learned.filter(rule => !unchanged(rule));
+      const superseded = [...activeByKey.values()].filter(row => !learnedKeys.has(ruleKey(row)) || added.some(rule => ruleKey(rule) === ruleKey(row)));
+
+      const { data: run, error: runError } = await supabase
+        .from("learning_runs")
+        .insert({ feedback_count: feedback.length, rules_added: added.length, rules_superseded: superseded.length })
+        .select()
+        .single();
+      if (runError) throw new Error(`Failed to record learning run: ${runError.message}`);
+
+      if (superseded.length > 0) {
+        const { error } = await supabase
+          .from("learned_rules")
+          .update({ status: "superseded", superseded_at: new Date().toISOString() })
+          .in("id", superseded.map(row => row.id));
+        if (error) throw new Error(`Failed to supersede learned rules: ${error.message}`);
+      }
+
+      if (added.length > 0) {
+        const { error } = await supabase
+          .from("learned_rules")
+          .insert(added.map(rule => ({ ...rule, run_id: run.id, status: "active" })));
+        if (error) throw new Error(`Failed to save learned rules: ${error.message}`);
+      }
+
+      const { version } = await refresh();
+      log.info("Learning run finished", { runId: run.id, corrections: feedback.length, added: added.length, superseded: superseded.length });
+      return { runId: run.id, feedback: feedback.length, added: added.length, superseded: superseded.length, version };
+    } finally {
+      running = false;
+    }
+  }
+
+  // Roll back active rules by id or by the run that added them. Returns the
+  // rolled-back rows (empty when nothing was active).
+  async function rollback({ ruleId, runId, reason = null }) {
+    let query = supabase
+      .from("learned_rules")
+      .update({ status: "rolled_back", rolled_back_at: new Date().toISOString(), rollback_reason: reason })
+      .eq("status", "active");
+    query = ruleId !== undefined ? query.eq("id", ruleId) : query.eq("run_id", runId);
+
+    const { data, error } = await query.select();
+    if (error) throw new Error(`Failed to roll back learned rules: ${error.message}`);
+    if (data.length > 0) await refresh();
+    return data;
+  }
+
+  function start() {
+    if (timer) return;
+    const run = () => runOnce().catch(error => log.error("Learning run failed", { error: error.message }));
+    timer = setInterval(run, intervalMs);
+    timer.unref();
+    log.info("Rule learning started", { intervalSeconds: intervalMs / 1000 });
+    run();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, runOnce, refresh, rollback };
+}
+
+module.exports = { createLearningJob };
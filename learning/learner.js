@@ -0,0 +1,107 @@
+// Freshness scores user verdicts are pulled towards: a fresh verdict means the
+// score should have been at least FRESH_TARGET, a spoiled one at most
+// SPOILED_TARGET (below the spoiled threshold)
+const FRESH_TARGET = 0.75;
+const SPOILED_TARGET = 0.15;
+
+// Adjustments smaller than this are noise, not worth a rule
+const MIN_ADJUSTMENT = 0.02;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Key of a learned rule: what it applies to, whichever food it maps to or adjusts
+function ruleKey(rule) {
+  return rule.kind === "synonym" ? `synonym:${rule.label}` : `freshness:${rule.food}`;
+}
+
+// Turn user corrections (analysis_feedback rows) into learned rules:
+//
+// - synonym: a label the vision provider keeps giving for a food the user
+//   corrected the detection to ("plum tomato" → tomato). Labels that already
+//   are a knowledge base name or synonym, generic food terms and words of the
+//   package text (scored as labels at scan time) are skipped.
+// - freshness: a per-food score adjustment, the mean gap between the scores
+//   given and the users' fresh/spoiled verdicts, capped at maxAdjustment.
+//   Scores are taken before any learned adjustment applied at scan time.
+//
+// Support counts distinct users, so one user cannot teach the model alone;
+// agreement is the share of that evidence pointing the same way. Keys in
+// `rejected` (see ruleKey) were rolled back by an admin and are not relearned.
+function learnRules(feedback, { knowledgeBase, settings, rejected = new Set() }) {
+  const { minSupport, minAgreement, maxAdjustment, minLabelScore } = settings;
+  const exactTerms = new Set(knowledgeBase.foods.flatMap(food => [food.name, ...food.synonyms]));
+  const isGeneric = term => knowledgeBase.genericFoodTerms.includes(term) || Boolean(knowledgeBase.categories[term]);
+  const resolve = name => (name ? knowledgeBase.findFood(name)?.name || null : null);
+
+  // label → { users, byFood: food → users }
+  const labelVotes = new Map();
+  // food → { users, gaps: [{ user, gap }] }
+  const freshnessVotes = new Map();
+
+  for (const row of feedback) {
+    const originalFood = resolve(row.original_food_name);
+    const correctedFood = row.corrected_food_name || null;
+
+    if (correctedFood && correctedFood !== originalFood) {
+      const textWords = new Set((row.ocr_text || "").split(/\s+/).map(word => word.toLowerCase()));
+      const labels = new Set((row.labels || [])
+        .filter(label => (label.score ?? 0) >= minLabelScore)
+        .map(label => label.description.trim().toLowerCase())
+        .filter(label => label && !exactTerms.has(label) && !isGeneric(label) && !textWords.has(label)));
+
+      for (const label of labels) {
+        if (!labelVotes.has(label)) labelVotes.set(label, { users: new Set(), byFood: new Map() });
+        const votes = labelVotes.get(label);
+        votes.users.add(row.user_id);
+        if (!votes.byFood.has(correctedFood)) votes.byFood.set(correctedFood, new Set());
+        votes.byFood.get(correctedFood).add(row.user_id);
+      }
+    }
+
+    const food = correctedFood || originalFood;
+    if (row.freshness_verdict && food && row.original_freshness_score !== null && row.original_freshness_score !== undefined) {
+      const score = Number(row.original_freshness_score) - Number(row.applied_adjustment || 0);
+      const target = row.freshness_verdict === "fresh" ? Math.max(score, FRESH_TARGET) : Math.min(score, SPOILED_TARGET);
+      if (!freshnessVotes.has(food)) freshnessVotes.set(food, { users: new Set(), gaps: [] });
+      const votes = freshnessVotes.get(food);
+      votes.users.add(row.user_id);
+      votes.gaps.push(target - score);
+    }
+  }
+
+  const learned = [];
+
+  for (const [label, votes] of labelVotes) {
+    const [food, users] = [...votes.byFood].sort((a, b) => b[1].size - a[1].size)[0];
+    const rule = {
+      kind: "synonym",
+      label,
+      food,
+      delta: null,
+      support: users.size,
+      agreement: round2(users.size / votes.users.size)
+    };
+    if (rule.support >= minSupport && rule.agreement >= minAgreement && !rejected.has(ruleKey(rule))) learned.push(rule);
+  }
+
+  for (const [food, votes] of freshnessVotes) {
+    const mean = votes.gaps.reduce((sum, gap) => sum + gap, 0) / votes.gaps.length;
+    const delta = round2(Math.max(-maxAdjustment, Math.min(maxAdjustment, mean)));
+    const agreeing = votes.gaps.filter(gap => Math.sign(gap) === Math.sign(delta)).length;
+    const rule = {
+      kind: "freshness",
+      label: null,
+      food,
+      delta,
+      support: votes.users.size,
+      agreement: round2(agreeing / votes.gaps.length)
+    };
+    if (Math.abs(delta) >= MIN_ADJUSTMENT && rule.support >= minSupport && rule.agreement >= minAgreement && !rejected.has(ruleKey(rule))) {
+      learned.push(rule);
+    }
+  }
+
+  return learned;
+}
+
+module.exports = { learnRules, ruleKey };
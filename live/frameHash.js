@@ -0,0 +1,42 @@
+const sharp = require("sharp");
+
+// Difference hash (dHash) grid: 9×8 grayscale pixels give 64 bits, one per
+// horizontally adjacent pair
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Perceptual hash of a camera frame as 16 hex digits. Each bit records
+// whether a pixel of the tiny grayscale frame is brighter than its right
+// neighbour, so re-encoding, small shifts and exposure changes keep most bits
+// while a different view changes many. Throws for images that cannot be decoded.
+async function frameHash(buffer) {
+  const pixels = await sharp(buffer, { failOn: "error" })
+    .rotate()
+    .grayscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = pixels[y * HASH_WIDTH + x];
+      const right = pixels[y * HASH_WIDTH + x + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, "0");
+}
+
+// Number of differing bits between two frame hashes (0 = same view, 64 = opposite)
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+module.exports = { frameHash, hammingDistance };
@@ -0,0 +1,232 @@
+const { hammingDistance } = require("./frameHash");
+const { log } = require("../observability/logger");
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Items are tracked across frames by catalog product, or else by food name
+function itemKey(item) {
+  return item.product ? `product:${item.product.code}` : `food:${item.foodName.toLowerCase()}`;
+}
+
+// State of one live scan: camera frames come in faster than they can be
+// analyzed, results go out as the items seen settle.
+//
+// - Sampling: a frame is considered at most every minIntervalMs, and never
+//   while the previous one is still being analyzed; the others are skipped.
+// - De-duplication: a sampled frame whose perceptual hash is within
+//   duplicateDistance bits of the last analyzed frame shows the same view, so
+//   it counts as another sighting of that frame's items without a new analysis.
+// - Stabilizing: an item becomes stable once seen in stableFrames of the last
+//   windowFrames sampled frames. Tentative items not seen for windowFrames
+//   frames are dropped; stable items stay while the camera pans elsewhere.
+//   Freshness is the median over the item's recent sightings.
+// - Saving: nothing is persisted until confirm(), which saves the stable
+//   items with the frame each was detected in most confidently.
+//
+// `analyzeFrame(buffer)` returns { prepared, records, response } as
+// analyzeUpload does, `hashFrame(buffer)` a perceptual hash, `save(entries)`
+// persists [{ prepared, record }] returning the inserted rows, and
+// `send(message)` pushes a message to the client.
+function createScanSession({ id, settings, analyzeFrame, hashFrame, save, send }) {
+  const { minIntervalMs, duplicateDistance, stableFrames, windowFrames, maxItems } = settings;
+
+  let frames = 0;
+  let sampled = 0;
+  let lastSampledAt = 0;
+  let last = null;
+  let pending = null;
+  let state = "open";
+  const tracked = new Map();
+
+  function summarize(entry) {
+    const { item } = entry.best;
+    return {
+      key: entry.key,
+      status: entry.stable ? "stable" : "tentative",
+      foodName: item.foodName,
+      displayName: item.displayName,
+      category: item.category,
+      categoryName: item.categoryName,
+      product: item.product,
+      confidence: item.confidence,
+      freshnessScore: Math.round(median(entry.scores) * 100) / 100,
+      estimatedExpiry: item.estimatedExpiry,
+      expiresAt: item.expiresAt,
+      storageAdvice: item.storageAdvice,
+      count: entry.count,
+      sightings: entry.sightings
+    };
+  }
+
+  function items() {
+    return [...tracked.values()].map(summarize);
+  }
+
+  // Record the items of a sampled frame; returns the keys that changed, or
+  // null when nothing did
+  function observe(result) {
+    sampled += 1;
+    const changes = { added: [], stabilized: [], updated: [], dropped: [] };
+
+    // Several instances of a food in one frame (three apples) are one item
+    const instances = new Map();
+    result.response.items.forEach((item, index) => {
+      const key = itemKey(item);
+      if (!instances.has(key)) instances.set(key, []);
+      instances.get(key).push(index);
+    });
+
+    for (const [key, indexes] of instances) {
+      let entry = tracked.get(key);
+      if (!entry) {
+        if (tracked.size >= maxItems) continue;
+        entry = { key, stable: false, seen: [], scores: [], sightings: 0, count: 0, best: null };
+        tracked.set(key, entry);
+        changes.added.push(key);
+      }
+
+      const index = indexes.reduce((a, b) => result.response.items[b].confidence > result.response.items[a].confidence ? b : a);
+      const item = result.response.items[index];
+      const before = entry.stable ? summarize(entry).freshnessScore : null;
+
+      entry.seen.push(sampled);
+      entry.sightings += 1;
+      entry.scores = [...entry.scores, result.records[index].freshness_score].slice(-windowFrames);
+      entry.count = Math.max(entry.count, indexes.length);
+      if (!entry.best || item.confidence > entry.best.item.confidence) {
+        entry.best = { item, record: result.records[index], prepared: result.prepared };
+      }
+
+      if (before !== null && summarize(entry).freshnessScore !== before) changes.updated.push(key);
+    }
+
+    for (const entry of tracked.values()) {
+      entry.seen = entry.seen.filter(index => index > sampled - windowFrames);
+      if (!entry.stable && entry.seen.length >= stableFrames) {
+        entry.stable = true;
+        changes.stabilized.push(entry.key);
+      } else if (!entry.stable && entry.seen.length === 0) {
+        tracked.delete(entry.key);
+        changes.dropped.push(entry.key);
+      }
+    }
+
+    const changed = Object.values(changes).some(keys => keys.length > 0);
+    return changed ? changes : null;
+  }
+
+  async function processFrame(frame, buffer) {
+    try {
+      const hash = await hashFrame(buffer);
+      const duplicate = last !== null && hammingDistance(hash, last.hash) <= duplicateDistance;
+      if (!duplicate) {
+        last = { hash, result: await analyzeFrame(buffer) };
+      }
+      if (state === "closed") return;
+
+      const changes = observe(last.result);
+      send({ type: "frame", frame, status: duplicate ? "duplicate" : "analyzed", hash });
+      if (changes) send({ type: "items", frame, changes, items: items() });
+    } catch (error) {
+      if (!error.expose) log.error("Live frame analysis failed", { sessionId: id, frame, error });
+      send({ type: "frame", frame, status: "failed", error: error.expose ? error.message : "Failed to analyze frame" });
+    }
+  }
+
+  // A camera frame (JPEG, PNG or WebP bytes): sampled, then analyzed or
+  // matched against the last analyzed frame
+  function handleFrame(buffer) {
+    frames += 1;
+    const frame = frames;
+    if (state !== "open") {
+      return send({ type: "frame", frame, status: "skipped", reason: state });
+    }
+
+    if (pending) {
+      return send({ type: "frame", frame, status: "skipped", reason: "busy" });
+    }
+    const now = Date.now();
+    if (now - lastSampledAt < minIntervalMs) {
+      return send({ type: "frame", frame, status: "skipped", reason: "interval" });
+    }
+
+    lastSampledAt = now;
+    pending = processFrame(frame, buffer).finally(() => {
+      pending = null;
+    });
+  }
+
+  // Forget every tracked item, e.g. before scanning another shelf
+  function reset() {
+    tracked.clear();
+    last = null;
+    send({ type: "items", frame: frames, changes: null, items: [] });
+  }
+
+  // Save the stable items (after the frame being analyzed) as one scan whose
+  // id is the session id. Throws exposed errors; the session stays open when
+  // nothing was saved.
+  async function confirm() {
+    if (state !== "open") {
+      const error = new Error("Scan session is not open");
+      error.expose = true;
+      throw error;
+    }
+    state = "confirming";
+    try {
+      await pending;
+
+      const stable = [...tracked.values()].filter(entry => entry.stable);
+      if (stable.length === 0) {
+        const error = new Error("No stable items to save yet");
+        error.expose = true;
+        throw error;
+      }
+
+      const entries = stable.map((entry, index) => ({
+        prepared: entry.best.prepared,
+        record: {
+          ...entry.best.record,
+          scan_id: id,
+          item_index: index,
+          quantity: entry.count,
+          freshness_score: median(entry.scores),
+          analysis_data: {
+            ...entry.best.record.analysis_data,
+            liveScan: { sessionId: id, sightings: entry.sightings, freshnessScores: entry.scores }
+          }
+        }
+      }));
+
+      const rows = await save(entries);
+      state = "confirmed";
+      return stable.map((entry, index) => ({ ...summarize(entry), itemId: rows[index].id }));
+    } catch (error) {
+      if (state === "confirming") state = "open";
+      throw error;
+    }
+  }
+
+  // Stop taking frames; tracked items are discarded
+  function close() {
+    state = "closed";
+    tracked.clear();
+    last = null;
+  }
+
+  return {
+    id,
+    handleFrame,
+    reset,
+    confirm,
+    close,
+    items,
+    stats: () => ({ frames, sampled, items: tracked.size, stable: [...tracked.values()].filter(entry => entry.stable).length })
+  };
+}
+
+module.exports = { createScanSession };
@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const http = require("http");
+const { WebSocketServer, WebSocket } = require("ws");
+const { createScanSession } = require("./session");
+const { frameHash } = require("./frameHash");
+const { log, runWithContext } = require("../observability/logger");
+
+// The upgrade request's first bytes of the WebSocket stream, for the handshake
+const UPGRADE_HEAD = Symbol("upgradeHead");
+
+// Close codes: 1000/1001 from RFC 6455, 4000-4999 are ours
+const CLOSE_NORMAL = 1000;
+const CLOSE_GOING_AWAY = 1001;
+const CLOSE_IDLE = 4000;
+const CLOSE_TIME_LIMIT = 4001;
+
+// Clients get this long to answer a closing handshake before being cut off
+const CLOSE_GRACE_MS = 2000;
+
+// Live camera scans over WebSocket (see live/session.js). The client opens
+// GET /live, streams frames as binary messages and sends JSON text messages:
+// { "type": "confirm" } saves the stable items, { "type": "reset" } forgets
+// them and { "type": "cancel" } ends the session without saving. The server
+// answers { type: "ready" }, a { type: "frame" } status for every frame,
+// { type: "items" } whenever tracked items change, { type: "saved" } once
+// confirmed (then closes) and { type: "error" } for rejected messages.
+// Frames over maxFrameBytes close the connection (1009).
+//
+// `analyzeFrame(buffer, options)` analyzes a frame without storing it;
+// `saveScan(entries)` stores the chosen frames and saves their rows.
+function createLiveScanServer({ settings, analyzeFrame, saveScan }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: settings.maxFrameBytes });
+  const sockets = new Set();
+  let closing = false;
+
+  // Listener for the HTTP server's "upgrade" event. Upgrade requests go
+  // through the Express app like any other, so GET /live gets the usual
+  // request id, API key, rate limit and auth middleware; a rejection is sent
+  // as a plain HTTP response before any handshake. Unknown paths get a 404.
+  function handleUpgrade(app) {
+    return (req, socket, head) => {
+      socket.on("error", () => socket.destroy());
+      req[UPGRADE_HEAD] = head;
+
+      const res = new http.ServerResponse(req);
+      res.shouldKeepAlive = false;
+      res.assignSocket(socket);
+      res.on("finish", () => socket.end());
+      app.handle(req, res);
+    };
+  }
+
+  function start(ws, req, options) {
+    const id = crypto.randomUUID();
+    const context = { requestId: req.id, sessionId: id };
+    const started = Date.now();
+    sockets.add(ws);
+
+    const send = message => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+    };
+    const session = createScanSession({
+      id,
+      settings,
+      send,
+      hashFrame: frameHash,
+      analyzeFrame: buffer => analyzeFrame(buffer, options),
+      save: entries => saveScan(entries)
+    });
+
+    let idleTimer = null;
+    const touch = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => ws.close(CLOSE_IDLE, "Idle timeout"), settings.idleTimeoutSeconds * 1000);
+    };
+    const timeLimit = setTimeout(() => ws.close(CLOSE_TIME_LIMIT, "Session time limit reached"), settings.maxDurationSeconds * 1000);
+    touch();
+
+    async function confirm() {
+      try {
+        const items = await session.confirm();
+        log.info("Live scan saved", { ...session.stats(), saved: items.length });
+        send({ type: "saved", scanId: id, items });
+        ws.close(CLOSE_NORMAL, "Saved");
+      } catch (error) {
+        if (!error.expose) log.error("Live scan save failed", { error });
+        send({ type: "error", error: error.expose ? error.message : "Failed to save scan" });
+      }
+    }
+
+    ws.on("message", (data, isBinary) => runWithContext(context, () => {
+      touch();
+      if (isBinary) return session.handleFrame(data);
+
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        return send({ type: "error", error: "Invalid message: expected JSON" });
+      }
+
+      switch (message?.type) {
+        case "confirm":
+          return confirm();
+        case "reset":
+          return session.reset();
+        case "cancel":
+          return ws.close(CLOSE_NORMAL, "Cancelled");
+        default:
+          send({ type: "error", error: "Invalid message type: expected confirm, reset or cancel" });
+      }
+    }));
+
+    ws.on("error", error => runWithContext(context, () => log.warn("Live scan connection error", { error: error.message })));
+
+    ws.on("close", (code, reason) => runWithContext(context, () => {
+      clearTimeout(idleTimer);
+      clearTimeout(timeLimit);
+      sockets.delete(ws);
+      log.info("Live scan closed", { code, reason: reason.toString(), durationMs: Date.now() - started, ...session.stats() });
+      session.close();
+    }));
+
+    runWithContext(context, () => log.info("Live scan started"));
+    send({
+      type: "ready",
+      sessionId: id,
+      language: options.locale.language,
+      settings: {
+        minIntervalMs: settings.minIntervalMs,
+        stableFrames: settings.stableFrames,
+        windowFrames: settings.windowFrames,
+        maxFrameBytes: settings.maxFrameBytes
+      }
+    });
+  }
+
+  // Final handler of GET /live: completes the WebSocket handshake. Plain
+  // HTTP requests get 426; past maxSessions open sessions, 503.
+  function accept(req, res, options) {
+    const head = req[UPGRADE_HEAD];
+    if (!head) {
+      return res.status(426).set("Upgrade", "websocket").json({ error: "WebSocket upgrade required" });
+    }
+    if (closing || sockets.size >= settings.maxSessions) {
+      return res.status(503).json({ error: "Too many live scans, try again later" });
+    }
+
+    res.detachSocket(req.socket);
+    wss.handleUpgrade(req, req.socket, head, ws => start(ws, req, options));
+  }
+
+  // Close every session (1001) for shutdown; resolves once all are closed
+  function close() {
+    closing = true;
+    if (sockets.size === 0) return Promise.resolve();
+
+    return new Promise(resolve => {
+      for (const ws of sockets) {
+        ws.once("close", () => {
+          if (sockets.size === 0) resolve();
+        });
+        ws.close(CLOSE_GOING_AWAY, "Server shutting down");
+        setTimeout(() => ws.terminate(), CLOSE_GRACE_MS).unref();
+      }
+    });
+  }
+
+  return { handleUpgrade, accept, close, sessionCount: () => sockets.size };
+}
+
+module.exports = { createLiveScanServer };
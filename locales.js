@@ -0,0 +1,226 @@
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+
+const DEFAULT_DIR = path.join(__dirname, "knowledge", "locales");
+const SCHEMA_FILE = path.join(__dirname, "knowledge", "schema", "locale.schema.json");
+
+// Every other locale falls back to English message by message
+const BASE_LANGUAGE = "en";
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+// Placeholder names used by a message, across all its plural forms
+function placeholders(message) {
+  const forms = typeof message === "string" ? [message] : Object.values(message);
+  return new Set(forms.flatMap(form => [...form.matchAll(/\{(\w+)\}/g)].map(match => match[1])));
+}
+
+// Load and validate every <language>.json in the locales directory. English
+// is required and complete: it must name every category and storage
+// condition and defines the message keys other locales may translate.
+// Throws with every problem found.
+function loadLocales(knowledgeBase, localesDir) {
+  const dir = localesDir || DEFAULT_DIR;
+  const ajv = new Ajv({ allErrors: true });
+  const validate = ajv.compile(readJson(SCHEMA_FILE));
+
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith(".json")).sort();
+  } catch (error) {
+    throw new Error(`Cannot read ${dir}: ${error.message}`);
+  }
+
+  const problems = [];
+  const locales = {};
+  for (const file of files) {
+    const data = readJson(path.join(dir, file));
+    if (!validate(data)) {
+      problems.push(...validate.errors.map(e => `${file}${e.instancePath || ""}: ${e.message}`));
+      continue;
+    }
+    if (`${data.language}.json` !== file) {
+      problems.push(`${file}: language "${data.language}" does not match the file name`);
+      continue;
+    }
+    locales[data.language] = data;
+  }
+
+  const base = locales[BASE_LANGUAGE];
+  if (!base && problems.length === 0) {
+    problems.push(`${BASE_LANGUAGE}.json: the English locale is required`);
+  }
+
+  const knownFoods = new Set(knowledgeBase.foods.map(food => food.name));
+  for (const locale of Object.values(locales)) {
+    const file = `${locale.language}.json`;
+
+    for (const category of Object.keys(locale.categories).filter(c => !knowledgeBase.categories[c])) {
+      problems.push(`${file}/categories: unknown category "${category}"`);
+    }
+    for (const condition of Object.keys(locale.storageConditions).filter(c => !knowledgeBase.storageConditions.includes(c))) {
+      problems.push(`${file}/storageConditions: unknown storage condition "${condition}"`);
+    }
+    for (const food of Object.keys(locale.foods || {}).filter(f => !knownFoods.has(f))) {
+      problems.push(`${file}/foods: unknown food "${food}"`);
+    }
+    if (!base) continue;
+
+    for (const [key, message] of Object.entries(locale.messages)) {
+      if (!base.messages[key]) {
+        problems.push(`${file}/messages: "${key}" is not an English message`);
+        continue;
+      }
+      const expected = placeholders(base.messages[key]);
+      const unknown = [...placeholders(message)].filter(name => !expected.has(name));
+      if (unknown.length > 0) {
+        problems.push(`${file}/messages/${key}: unknown placeholders ${unknown.join(", ")}`);
+      }
+    }
+  }
+
+  if (base) {
+    for (const category of Object.keys(knowledgeBase.categories).filter(c => !base.categories[c])) {
+      problems.push(`${BASE_LANGUAGE}.json/categories: no name for category "${category}"`);
+    }
+    for (const condition of knowledgeBase.storageConditions.filter(c => !base.storageConditions[c])) {
+      problems.push(`${BASE_LANGUAGE}.json/storageConditions: no name for storage condition "${condition}"`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid locales: ${problems.join("; ")}`);
+  }
+
+  return locales;
+}
+
+// Per-language translators and request language negotiation. A locale
+// formats messages (`t`), food, category and storage names and dates; keys
+// and names it does not translate fall back to English.
+function createLocalizer(locales, knowledgeBase, options = {}) {
+  const defaultLanguage = options.defaultLanguage || BASE_LANGUAGE;
+  if (!locales[defaultLanguage]) {
+    throw new Error(`Unknown default language "${defaultLanguage}": expected one of ${Object.keys(locales).join(", ")}`);
+  }
+
+  const base = locales[BASE_LANGUAGE];
+  const cache = new Map();
+
+  function buildLocale(data) {
+    const pluralRules = new Map();
+    const dateFormat = new Intl.DateTimeFormat(data.intlLocale, { dateStyle: data.dateStyle, timeZone: "UTC" });
+
+    const pluralFor = source => {
+      if (!pluralRules.has(source.intlLocale)) pluralRules.set(source.intlLocale, new Intl.PluralRules(source.intlLocale));
+      return pluralRules.get(source.intlLocale);
+    };
+
+    // Message `key` with {placeholders} filled from `params`. Plural messages
+    // pick the form for params.count under the rules of the template's language.
+    function t(key, params = {}) {
+      const source = data.messages[key] ? data : base;
+      let template = source.messages[key];
+      if (template === undefined) throw new Error(`Unknown message "${key}"`);
+
+      if (typeof template !== "string") {
+        template = template[pluralFor(source).select(params.count ?? 0)] || template.other;
+      }
+      return template.replace(/\{(\w+)\}/g, (match, name) => params[name] === undefined ? match : String(params[name]));
+    }
+
+    // Display name of a detected food: the translation of the knowledge base
+    // food it resolves to, or the detected name itself
+    function foodName(name) {
+      const food = knowledgeBase.findFood(name);
+      const translated = food && data.foods && data.foods[food.name];
+      return capitalize(translated || name);
+    }
+
+    function categoryName(category) {
+      return data.categories[category] || base.categories[category] || category;
+    }
+
+    function storageName(condition) {
+      return data.storageConditions[condition] || base.storageConditions[condition] || condition;
+    }
+
+    // A date (Date or ISO string) in the locale's format. Dates are shown in
+    // UTC because printed dates are stored as the end of that UTC day.
+    function formatDate(date) {
+      return dateFormat.format(date instanceof Date ? date : new Date(date));
+    }
+
+    return { language: data.language, name: data.name, t, foodName, categoryName, storageName, formatDate };
+  }
+
+  function forLanguage(language) {
+    const code = locales[language] ? language : defaultLanguage;
+    if (!cache.has(code)) cache.set(code, buildLocale(locales[code]));
+    return cache.get(code);
+  }
+
+  // Language code for a tag like "de", "de-AT" or "PT_br", or null when unsupported
+  function matchLanguage(tag) {
+    const code = tag.trim().toLowerCase().split(/[-_]/)[0];
+    return locales[code] ? code : null;
+  }
+
+  // Best supported language of an Accept-Language header, by quality then order
+  function negotiate(header) {
+    if (!header) return defaultLanguage;
+
+    const ranges = header.split(",")
+      .map((part, index) => {
+        const [tag, ...params] = part.trim().split(";");
+        const quality = params.map(p => p.trim()).find(p => p.startsWith("q="));
+        return { tag, q: quality ? parseFloat(quality.slice(2)) : 1, index };
+      })
+      .filter(range => range.tag && range.q > 0)
+      .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    for (const range of ranges) {
+      if (range.tag === "*") return defaultLanguage;
+      const language = matchLanguage(range.tag);
+      if (language) return language;
+    }
+    return defaultLanguage;
+  }
+
+  // Locale for a request: an explicit `lang` (query parameter or form field)
+  // wins over Accept-Language. Sets Content-Language when `res` is given.
+  // Throws an exposed 400 for an unsupported `lang`.
+  function fromRequest(req, res) {
+    const lang = req.query.lang || req.body?.lang;
+    let language;
+    if (lang) {
+      language = matchLanguage(String(lang));
+      if (!language) {
+        const error = new Error(`Unsupported lang: expected one of ${Object.keys(locales).join(", ")}`);
+        error.expose = true;
+        error.status = 400;
+        throw error;
+      }
+    } else {
+      language = negotiate(req.get("Accept-Language"));
+    }
+
+    if (res) res.set("Content-Language", language);
+    return forLanguage(language);
+  }
+
+  return { languages: Object.keys(locales), defaultLanguage, forLanguage, negotiate, fromRequest };
+}
+
+module.exports = { loadLocales, createLocalizer, BASE_LANGUAGE, DEFAULT_LOCALES_DIR: DEFAULT_DIR };
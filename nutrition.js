@@ -0,0 +1,190 @@
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+
+const DEFAULT_FILE = path.join(__dirname, "knowledge", "nutrition.json");
+const SCHEMA_FILE = path.join(__dirname, "knowledge", "schema", "nutrition.schema.json");
+
+// Boxes at least this large are the whole-image fallback, not a localized object
+const WHOLE_IMAGE_EXTENT = 0.99;
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+const round1 = value => Math.round(value * 10) / 10;
+
+// Load and validate the nutrition dataset. Every food must exist in the
+// knowledge base and list exactly the declared nutrients, and every category
+// needs portion defaults. Throws with every problem found.
+function loadNutrition(knowledgeBase, file) {
+  const nutritionFile = file || DEFAULT_FILE;
+  const name = path.basename(nutritionFile);
+  const data = readJson(nutritionFile);
+
+  const ajv = new Ajv({ allErrors: true });
+  const validate = ajv.compile(readJson(SCHEMA_FILE));
+  if (!validate(data)) {
+    throw new Error(`Invalid nutrition data: ${validate.errors.map(e => `${name}${e.instancePath || ""}: ${e.message}`).join("; ")}`);
+  }
+
+  const problems = [];
+  const knownFoods = new Set(knowledgeBase.foods.map(food => food.name));
+  const nutrients = Object.keys(data.nutrients);
+
+  for (const [food, entry] of Object.entries(data.foods)) {
+    if (!knownFoods.has(food)) {
+      problems.push(`${name}/foods/${food}: not in the knowledge base`);
+    }
+    const missing = nutrients.filter(n => entry.per100g[n] === undefined);
+    const unknown = Object.keys(entry.per100g).filter(n => !nutrients.includes(n));
+    if (missing.length > 0) problems.push(`${name}/foods/${food}: missing ${missing.join(", ")}`);
+    if (unknown.length > 0) problems.push(`${name}/foods/${food}: unknown nutrients ${unknown.join(", ")}`);
+  }
+
+  for (const category of Object.keys(knowledgeBase.categories)) {
+    if (!data.categoryDefaults[category]) {
+      problems.push(`${name}/categoryDefaults: no defaults for category "${category}"`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid nutrition data: ${problems.join("; ")}`);
+  }
+
+  return data;
+}
+
+// Portion and nutrition estimates for detected items. Grams come from the
+// item's bounding box converted to square centimetres with a scale from a
+// reference in the photo, times the food's grams per visible cm²; without a
+// scale the food's typical portion stands in. Each method carries a relative
+// spread that becomes the low/high range of grams and nutrient totals.
+function createNutritionEstimator(nutrition, knowledgeBase) {
+  const { portion: settings } = nutrition;
+  const plateReference = settings.referenceObjects.find(ref => ref.name === "plate");
+
+  function findReference(object) {
+    const name = object.name.toLowerCase();
+    return settings.referenceObjects.find(ref => ref.terms.some(term => name === term || name.endsWith(` ${term}`)));
+  }
+
+  // Longest edge of a normalized box, in image pixels
+  function edgePixels(box, imageSize) {
+    return Math.max(box.width * imageSize.width, box.height * imageSize.height);
+  }
+
+  // Centimetres per pixel from, in order of preference: a detected plate of
+  // the user-supplied diameter, another detected object of known size, a
+  // detected plate of standard size, or (with a plate diameter but no plate
+  // found) a plate assumed to span the image's shorter edge. Returns
+  // { method: "typical" } when there is nothing to measure against.
+  function findScale(objects, imageSize, options = {}) {
+    const { plateDiameterCm } = options;
+    const references = objects
+      .map(object => ({ object, reference: findReference(object) }))
+      .filter(match => match.reference && match.object.boundingBox)
+      .sort((a, b) => b.object.score - a.object.score);
+
+    const plate = references.find(match => match.reference === plateReference);
+    const other = references.find(match => match.reference !== plateReference);
+
+    const scale = (method, reference, sizeCm, pixels) => pixels > 0
+      ? { method, reference, sizeCm, cmPerPixel: sizeCm / pixels }
+      : { method: "typical", reference: null };
+
+    if (plate && plateDiameterCm) {
+      return scale("plate", "plate", plateDiameterCm, edgePixels(plate.object.boundingBox, imageSize));
+    }
+    if (other) {
+      return scale("reference-object", other.reference.name, other.reference.sizeCm, edgePixels(other.object.boundingBox, imageSize));
+    }
+    if (plate) {
+      return scale("reference-object", "plate", settings.defaultPlateDiameterCm, edgePixels(plate.object.boundingBox, imageSize));
+    }
+    if (plateDiameterCm) {
+      return scale("frame", "plate", plateDiameterCm, Math.min(imageSize.width, imageSize.height));
+    }
+    return { method: "typical", reference: null };
+  }
+
+  // Dataset entry for a detected food, if any
+  function findEntry(foodName) {
+    const food = knowledgeBase.findFood(foodName);
+    return food && nutrition.foods[food.name] ? nutrition.foods[food.name] : null;
+  }
+
+  // Estimated grams of one item: { grams, low, high, method, reference, confidence }.
+  // Catalog products are portioned as the food the catalog says they are.
+  function estimatePortion(item, scale, imageSize) {
+    const { product } = item.foodInfo;
+    const profile = findEntry(product ? product.food || "" : item.foodInfo.name) ||
+      nutrition.categoryDefaults[item.foodInfo.category] ||
+      nutrition.categoryDefaults.unknown;
+    const box = item.boundingBox;
+    const wholeImage = !box || (box.width >= WHOLE_IMAGE_EXTENT && box.height >= WHOLE_IMAGE_EXTENT);
+
+    let method = scale.method;
+    let grams;
+    if (method === "typical" || wholeImage) {
+      method = "typical";
+      grams = profile.portionGrams;
+    } else {
+      const areaPixels = box.width * imageSize.width * box.height * imageSize.height;
+      const areaCm2 = areaPixels * scale.cmPerPixel ** 2 * settings.fillFactor;
+      grams = Math.max(1, areaCm2 * profile.gramsPerCm2);
+    }
+
+    const spread = settings.spread[method];
+    return {
+      grams: Math.round(grams),
+      low: Math.round(grams * (1 - spread)),
+      high: Math.round(grams * (1 + spread)),
+      method,
+      reference: method === "typical" ? null : scale.reference,
+      confidence: round1(1 - spread)
+    };
+  }
+
+  // Nutrient totals for a portion, each { value, low, high }, plus the values
+  // per 100 g. Null for foods missing from the dataset.
+  function estimateNutrition(foodName, portion) {
+    const entry = findEntry(foodName);
+    if (!entry) return null;
+
+    const totals = {};
+    for (const [nutrient, per100g] of Object.entries(entry.per100g)) {
+      totals[nutrient] = {
+        value: round1(per100g * portion.grams / 100),
+        low: round1(per100g * portion.low / 100),
+        high: round1(per100g * portion.high / 100)
+      };
+    }
+
+    return { per100g: entry.per100g, totals };
+  }
+
+  // Sum nutrient totals over items (items without nutrition are skipped)
+  function sumNutrition(nutritionList) {
+    const totals = {};
+    for (const entry of nutritionList.filter(Boolean)) {
+      for (const [nutrient, total] of Object.entries(entry.totals)) {
+        const sum = totals[nutrient] || { value: 0, low: 0, high: 0 };
+        totals[nutrient] = {
+          value: round1(sum.value + total.value),
+          low: round1(sum.low + total.low),
+          high: round1(sum.high + total.high)
+        };
+      }
+    }
+    return totals;
+  }
+
+  return { findScale, estimatePortion, estimateNutrition, sumNutrition };
+}
+
+module.exports = { loadNutrition, createNutritionEstimator, DEFAULT_NUTRITION_FILE: DEFAULT_FILE };
@@ -0,0 +1,83 @@
+// Results are reused this long, so a burst of probes checks dependencies once
+const CACHE_MS = 2000;
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs} ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Dependency checks behind /healthz and /readyz. `checks` maps a dependency
+// name to an async function that throws when it is unusable; every check runs
+// in parallel, each within `timeoutMs`.
+//
+// - /healthz answers 200 while the process serves requests, reporting each
+//   dependency as "ok" or "fail" (overall "degraded"): restarting the process
+//   would not fix a broken dependency.
+// - /readyz answers 503 when any dependency fails or the server is shutting
+//   down, so load balancers stop sending traffic.
+function createHealthChecks({ checks, timeoutMs }) {
+  let shuttingDown = false;
+  let last = null;
+  let pending = null;
+
+  async function runChecks() {
+    const entries = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+      const started = Date.now();
+      try {
+        await withTimeout(Promise.resolve().then(check), timeoutMs);
+        return [name, { status: "ok", durationMs: Date.now() - started }];
+      } catch (error) {
+        return [name, { status: "fail", durationMs: Date.now() - started, error: error.message }];
+      }
+    }));
+    return { checkedAt: new Date().toISOString(), checks: Object.fromEntries(entries) };
+  }
+
+  // Latest results, checking again once they are older than CACHE_MS
+  async function check() {
+    if (last && Date.now() - last.time < CACHE_MS) return last.result;
+    if (!pending) {
+      pending = runChecks()
+        .then(result => {
+          last = { time: Date.now(), result };
+          return result;
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  }
+
+  const healthy = result => Object.values(result.checks).every(entry => entry.status === "ok");
+
+  async function liveness(req, res) {
+    const result = await check();
+    res.json({
+      status: healthy(result) ? "ok" : "degraded",
+      uptimeSeconds: Math.round(process.uptime()),
+      ...result
+    });
+  }
+
+  async function readiness(req, res) {
+    if (shuttingDown) {
+      return res.status(503).json({ status: "shutting_down" });
+    }
+    const result = await check();
+    const ready = healthy(result);
+    res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not_ready", ...result });
+  }
+
+  // From now on /readyz fails, so traffic drains before the server closes
+  function markShuttingDown() {
+    shuttingDown = true;
+  }
+
+  return { check, liveness, readiness, markShuttingDown };
+}
+
+module.exports = { createHealthChecks };
@@ -0,0 +1,49 @@
+const crypto = require("crypto");
+const { log, runWithContext, bindContext } = require("./logger");
+const { createMetrics } = require("./metrics");
+const { createHealthChecks } = require("./health");
+
+// Request ids sent by a proxy are kept when they look like ids
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Paths polled by probes and scrapers, logged at debug level only
+const QUIET_PATHS = new Set(["/healthz", "/readyz", "/metrics"]);
+
+// Give every request an id (X-Request-Id, echoed in the response) that is
+// added to each line logged while handling it, and log it once completed
+function requestContext(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  const started = process.hrtime.bigint();
+  const path = req.path;
+  res.on("finish", () => {
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10
+    };
+    if (QUIET_PATHS.has(path)) log.debug("Request completed", fields);
+    else log.info("Request completed", fields);
+  });
+
+  runWithContext({ requestId: req.id }, next);
+}
+
+// GET /metrics, behind a bearer token when METRICS_TOKEN is set
+function protectMetrics(token) {
+  return (req, res, next) => {
+    if (!token) return next();
+    const expected = Buffer.from(`Bearer ${token}`);
+    const given = Buffer.from(req.get("Authorization") || "");
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: "Metrics token required" });
+    }
+    next();
+  };
+}
+
+module.exports = { log, runWithContext, bindContext, requestContext, protectMetrics, createMetrics, createHealthChecks };
@@ -0,0 +1,75 @@
+const { AsyncLocalStorage, AsyncResource } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields of the request or job being handled (requestId, jobId), added to
+// every line logged while it runs, however deep in the call stack
+const context = new AsyncLocalStorage();
+
+// Errors become { name, message, stack } plus the code/status they carry;
+// plain objects (e.g. Supabase errors) are logged as they are
+function serialize(value) {
+  if (!(value instanceof Error)) return value;
+  return {
+    name: value.name,
+    message: value.message,
+    ...(value.code !== undefined ? { code: value.code } : {}),
+    ...(value.status !== undefined ? { status: value.status } : {}),
+    stack: value.stack
+  };
+}
+
+// Structured logger writing one JSON object per line:
+// { time, level, msg, ...context fields, ...bound fields, ...fields }.
+// `child(fields)` binds fields to every line; `setLevel` applies to the
+// logger and its children.
+function createLogger({ level = "info", stream = process.stdout, fields = {} } = {}) {
+  const settings = { level: LEVELS[level] ?? LEVELS.info, stream };
+
+  function make(bound) {
+    function write(levelName, msg, extra = {}) {
+      if (LEVELS[levelName] < settings.level) return;
+
+      const line = { time: new Date().toISOString(), level: levelName, msg, ...context.getStore(), ...bound };
+      for (const [key, value] of Object.entries(extra)) line[key] = serialize(value);
+
+      let text;
+      try {
+        text = JSON.stringify(line);
+      } catch (error) {
+        text = JSON.stringify({ time: line.time, level: levelName, msg, logError: `Unserializable fields: ${error.message}` });
+      }
+      settings.stream.write(`${text}\n`);
+    }
+
+    return {
+      debug: (msg, extra) => write("debug", msg, extra),
+      info: (msg, extra) => write("info", msg, extra),
+      warn: (msg, extra) => write("warn", msg, extra),
+      error: (msg, extra) => write("error", msg, extra),
+      child: more => make({ ...bound, ...more }),
+      setLevel(name) {
+        if (LEVELS[name] === undefined) throw new Error(`Unknown log level: ${name}`);
+        settings.level = LEVELS[name];
+      }
+    };
+  }
+
+  return make(fields);
+}
+
+// Run `fn` with `fields` added to every line it logs (nested contexts merge)
+function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// `fn` bound to the current context, for callbacks run from stream events
+// (e.g. multer's), which would otherwise lose it
+function bindContext(fn) {
+  return AsyncResource.bind(fn);
+}
+
+// The service-wide logger; its level is set from the configuration at startup
+const log = createLogger({ level: process.env.LOG_LEVEL || "info" });
+
+module.exports = { log, createLogger, runWithContext, bindContext };
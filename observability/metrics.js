@@ -0,0 +1,97 @@
+const client = require("prom-client");
+
+// Freshness scores are 0..1; spoiled items sit below 0.3
+const SCORE_BUCKETS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1];
+const HTTP_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const VISION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30];
+
+// Route label of a request: the matched Express route pattern, so ids do not
+// make every request a new series. Requests rejected before a route matched
+// (e.g. by API key checks) count under their router's mount path.
+function routeLabel(req) {
+  if (!req.route) return req.baseUrl || "unmatched";
+  return req.baseUrl && req.route.path === "/" ? req.baseUrl : `${req.baseUrl}${req.route.path}`;
+}
+
+// Prometheus metrics on a registry of their own, with the process defaults:
+// HTTP latency per route, Vision call durations and errors, and the
+// distribution of freshness scores per food category
+function createMetrics() {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  const httpDuration = new client.Histogram({
+    name: "http_request_duration_seconds",
+    help: "HTTP request latency by route",
+    labelNames: ["method", "route", "status"],
+    buckets: HTTP_BUCKETS,
+    registers: [registry]
+  });
+
+  const visionDuration = new client.Histogram({
+    name: "vision_request_duration_seconds",
+    help: "Vision provider call duration (cache hits are not calls)",
+    labelNames: ["provider", "outcome"],
+    buckets: VISION_BUCKETS,
+    registers: [registry]
+  });
+
+  const visionErrors = new client.Counter({
+    name: "vision_errors_total",
+    help: "Failed vision provider calls",
+    labelNames: ["provider"],
+    registers: [registry]
+  });
+
+  const freshnessScore = new client.Histogram({
+    name: "freshness_score",
+    help: "Freshness scores of analyzed items by food category",
+    labelNames: ["category"],
+    buckets: SCORE_BUCKETS,
+    registers: [registry]
+  });
+
+  // Middleware timing every request until its response is sent
+  function observeRequests(req, res, next) {
+    const end = httpDuration.startTimer();
+    res.on("finish", () => end({ method: req.method, route: routeLabel(req), status: res.statusCode }));
+    next();
+  }
+
+  // The provider with its annotate calls timed and failures counted
+  function instrumentProvider(provider) {
+    return {
+      ...provider,
+      async annotate(imageBuffer, context) {
+        const end = visionDuration.startTimer({ provider: provider.name });
+        try {
+          const annotation = await provider.annotate(imageBuffer, context);
+          end({ outcome: "success" });
+          return annotation;
+        } catch (error) {
+          end({ outcome: "error" });
+          visionErrors.inc({ provider: provider.name });
+          throw error;
+        }
+      }
+    };
+  }
+
+  function recordFreshness(category, score) {
+    if (typeof score === "number" && isFinite(score)) freshnessScore.observe({ category: category || "unknown" }, score);
+  }
+
+  // GET /metrics in the Prometheus text format
+  async function handler(req, res) {
+    try {
+      res.set("Content-Type", registry.contentType);
+      res.end(await registry.metrics());
+    } catch (error) {
+      res.status(500).end(error.message);
+    }
+  }
+
+  return { registry, observeRequests, instrumentProvider, recordFreshness, handler };
+}
+
+module.exports = { createMetrics };
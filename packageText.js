@@ -0,0 +1,233 @@
+// Parser for text printed on packaging (from OCR): best-before / use-by /
+// packed-on dates, lot codes and the product name.
+
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+const MONTH_PATTERN = "(JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC)[A-Z]*\\.?";
+
+// Keywords that label the date following them, checked nearest-first
+const DATE_KEYWORDS = {
+  useBy: /USE\s*BY|USE\s*BEFORE|EXPIR(?:Y|ES|ATION)(?:\s*DATE)?|\bEXP\b\.?|\bUBD\b/g,
+  bestBefore: /BEST\s*BEFORE(?:\s*END)?|BEST\s*(?:IF\s*USED\s*)?BY|\bBBE?\b/g,
+  packedOn: /PACK(?:ED|AGED)?\s*(?:ON|DATE)|\bPKD\b|\bMFG\b|\bMFD\b|MANUFACTURED(?:\s*ON)?|\bPROD(?:UCED|UCTION)?(?:\s*DATE)?\b/g
+};
+
+// How far before a date (in characters) a keyword may appear
+const KEYWORD_WINDOW = 40;
+
+const LOT_PATTERNS = [
+  /\b(?:LOT|BATCH)\s*(?:NO\.?|NUMBER|#)?\s*[:#.]?\s*([A-Z0-9][A-Z0-9\-\/]{2,})/g,
+  /\bL[:.]?\s?(\d[A-Z0-9]{3,})\b/g
+];
+
+// Lines that are never the product name
+const NON_NAME_PATTERN = /INGREDIENT|NUTRITION|NET\s*(?:WT|WEIGHT)|KEEP|STORE|REFRIGERAT|ALLERGEN|PER\s*100|BARCODE|WWW\.|\.COM/;
+
+// Text right before numbers that are never dates: phone numbers and weights
+// ("TEL 01-02-03", "TEL 555 01.02.03", "NET WT 1.5/2026"), including any
+// digit groups already read
+const NON_DATE_PREFIX = /(?:\bTEL(?:EPHONE)?|\bPHONE|\bFAX|NET\s*(?:WT|WEIGHT)|\bWEIGHT|PER\s*100)\s*[:.]?\s*(?:[\d.,]+\s+)*[\d.,]*$/;
+
+function expandYear(year) {
+  return year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10);
+}
+
+// Build a YYYY-MM-DD string, or null for impossible dates
+function toIsoDate(year, month, day) {
+  if (year < 2000 || year > 2099 || month < 1 || month > 12 || day < 1) return null;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+  return date.toISOString().slice(0, 10);
+}
+
+function lastDayOfMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Numeric day/month order. Unambiguous values win; otherwise `dateOrder`
+// ("DMY", the international default, or "MDY") decides.
+function resolveDayMonth(first, second, dateOrder) {
+  if (first > 12 && second <= 12) return { day: first, month: second };
+  if (second > 12 && first <= 12) return { day: second, month: first };
+  return dateOrder === "MDY" ? { day: second, month: first } : { day: first, month: second };
+}
+
+// Date formats, most specific first. Each returns an ISO date or null;
+// `needsKeyword(match)` marks matches that only count after a date keyword.
+const DATE_FORMATS = [
+  {
+    // 2026-03-12, 2026/03/12, 2026.03.12
+    pattern: /\b(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})\b/g,
+    parse: m => toIsoDate(parseInt(m[1], 10), parseInt(m[2], 10), parseInt(m[3], 10))
+  },
+  {
+    // 12 MAR 2026, 12-MAR-26, 12MAR26
+    pattern: new RegExp(`\\b(\\d{1,2})\\s*[-\\/. ]?\\s*${MONTH_PATTERN}\\s*[-\\/. ]?\\s*(\\d{4}|\\d{2})\\b`, "g"),
+    parse: m => toIsoDate(expandYear(m[3]), MONTHS.indexOf(m[2]) + 1, parseInt(m[1], 10))
+  },
+  {
+    // MAR 12 2026, MAR 12, 2026
+    pattern: new RegExp(`\\b${MONTH_PATTERN}\\s*(\\d{1,2}),?\\s+(\\d{4})\\b`, "g"),
+    parse: m => toIsoDate(parseInt(m[3], 10), MONTHS.indexOf(m[1]) + 1, parseInt(m[2], 10))
+  },
+  {
+    // 12/03/26, 12.03.2026, 03-12-2026. With a 2-digit year only after a date
+    // keyword: alone, 01-02-03 is as likely a code or phone number.
+    pattern: /\b(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{4}|\d{2})\b/g,
+    needsKeyword: m => m[3].length === 2,
+    parse: (m, dateOrder) => {
+      const { day, month } = resolveDayMonth(parseInt(m[1], 10), parseInt(m[2], 10), dateOrder);
+      return toIsoDate(expandYear(m[3]), month, day);
+    }
+  },
+  {
+    // MAR 2026: end of month
+    pattern: new RegExp(`\\b${MONTH_PATTERN}\\s*[-\\/. ]?\\s*(\\d{4})\\b`, "g"),
+    parse: m => {
+      const year = parseInt(m[2], 10);
+      const month = MONTHS.indexOf(m[1]) + 1;
+      return toIsoDate(year, month, lastDayOfMonth(year, month));
+    }
+  },
+  {
+    // 03/2026: end of month
+    pattern: /\b(\d{1,2})[\/.](\d{4})\b/g,
+    parse: m => {
+      const year = parseInt(m[2], 10);
+      const month = parseInt(m[1], 10);
+      return month >= 1 && month <= 12 ? toIsoDate(year, month, lastDayOfMonth(year, month)) : null;
+    }
+  }
+];
+
+// Type of the keyword closest to the end of `precedingText`, within the keyword window
+function findDateType(precedingText) {
+  const window = precedingText.slice(-KEYWORD_WINDOW);
+  let best = null;
+
+  for (const [type, pattern] of Object.entries(DATE_KEYWORDS)) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(window)) !== null) {
+      const end = match.index + match[0].length;
+      if (!best || end > best.end) {
+        best = { type, end };
+      }
+    }
+  }
+
+  return best ? best.type : "unlabeled";
+}
+
+function findDates(text, dateOrder) {
+  const covered = [];
+  const dates = [];
+
+  for (const format of DATE_FORMATS) {
+    format.pattern.lastIndex = 0;
+    let match;
+    while ((match = format.pattern.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (covered.some(range => start < range.end && end > range.start)) continue;
+
+      // Phone numbers and weights are no dates, nor is any part of them
+      if (NON_DATE_PREFIX.test(text.slice(0, start))) {
+        covered.push({ start, end });
+        continue;
+      }
+
+      const date = format.parse(match, dateOrder);
+      if (!date) continue;
+
+      covered.push({ start, end });
+      dates.push({ start, end, raw: match[0].trim(), date, needsKeyword: Boolean(format.needsKeyword && format.needsKeyword(match)) });
+    }
+  }
+
+  // Keep reading order; a keyword only labels dates up to the next date, and
+  // dates that need one are dropped without it
+  dates.sort((a, b) => a.start - b.start);
+  let previousEnd = 0;
+
+  return dates.flatMap(entry => {
+    const type = findDateType(text.slice(previousEnd, entry.start));
+    if (entry.needsKeyword && type === "unlabeled") return [];
+    previousEnd = entry.end;
+    return [{ type, date: entry.date, raw: entry.raw }];
+  });
+}
+
+// Lot codes; like dates, text read by one pattern is not read again by the
+// next ("LOT L1234" is L1234, not also 1234)
+function findLotCodes(text) {
+  const covered = [];
+  const codes = new Set();
+
+  for (const pattern of LOT_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (covered.some(range => start < range.end && end > range.start)) continue;
+
+      covered.push({ start, end });
+      codes.add(match[1]);
+    }
+  }
+
+  return [...codes];
+}
+
+// First line that reads like a name: mostly letters, not a date/lot/keyword line
+function findProductName(originalText) {
+  for (const rawLine of originalText.split(/\n+/)) {
+    const line = rawLine.trim();
+    if (line.length < 3 || line.length > 40) continue;
+
+    const upper = line.toUpperCase();
+    const letters = (line.match(/[a-zA-ZÀ-ɏ]/g) || []).length;
+    if (letters / line.replace(/\s/g, "").length < 0.6) continue;
+    if (NON_NAME_PATTERN.test(upper)) continue;
+    if (Object.values(DATE_KEYWORDS).some(pattern => { pattern.lastIndex = 0; return pattern.test(upper); })) continue;
+    if (LOT_PATTERNS.some(pattern => { pattern.lastIndex = 0; return pattern.test(upper); })) continue;
+
+    return line;
+  }
+
+  return null;
+}
+
+// Parse OCR text from a package. Returns every date found with its type
+// (useBy, bestBefore, packedOn or unlabeled), the first date of each type,
+// lot codes and a best-guess product name.
+function parsePackageText(text, options = {}) {
+  const dateOrder = options.dateOrder || "DMY";
+  const result = {
+    dates: [],
+    useBy: null,
+    bestBefore: null,
+    packedOn: null,
+    lotCodes: [],
+    productName: null
+  };
+
+  if (!text) return result;
+
+  const upper = text.toUpperCase();
+  result.dates = findDates(upper, dateOrder);
+  for (const entry of result.dates) {
+    if (entry.type !== "unlabeled" && !result[entry.type]) {
+      result[entry.type] = entry.date;
+    }
+  }
+
+  result.lotCodes = findLotCodes(upper);
+  result.productName = findProductName(text);
+
+  return result;
+}
+
+module.exports = { parsePackageText };
@@ -0,0 +1,112 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+// Default upload limits and output sizes (longest edge, in pixels); the
+// server passes the configured `images` settings
+const MAX_BYTES = 15 * 1024 * 1024;
+const MAX_PIXELS = 50 * 1000 * 1000;
+const ANALYSIS_MAX_SIZE = 1600;
+const THUMBNAIL_SIZE = 256;
+
+const SUPPORTED_FORMATS = ["jpeg", "png", "webp"];
+
+// ISO-BMFF brands used by HEIC/HEIF and AVIF photos
+const HEIC_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1"];
+const AVIF_BRANDS = ["avif", "avis"];
+
+function imageError(message, status) {
+  const error = new Error(message);
+  error.expose = true;
+  error.status = status;
+  return error;
+}
+
+// Identify the real format from the file's magic bytes (the client's MIME
+// type and file name are not trusted). Returns null for anything unknown.
+function sniffImageFormat(buffer) {
+  if (buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "jpeg";
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "png";
+  if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") return "webp";
+  if (buffer.toString("ascii", 0, 3) === "GIF") return "gif";
+
+  if (buffer.toString("ascii", 4, 8) === "ftyp") {
+    const brand = buffer.toString("ascii", 8, 12);
+    if (HEIC_BRANDS.includes(brand)) return "heic";
+    if (AVIF_BRANDS.includes(brand)) return "avif";
+  }
+
+  return null;
+}
+
+// Content hash of the uploaded bytes; identical uploads share stored objects and analyses
+function hashImage(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// Validate an upload and prepare it for storage and analysis: apply the EXIF
+// orientation, drop all metadata (GPS location included), flatten transparency
+// and re-encode as JPEG no larger than the analysis size, plus a thumbnail.
+// Throws exposed errors: 413 for oversized images, 415 for unsupported
+// formats and 400 for files that cannot be decoded. Options: maxBytes,
+// maxPixels, analysisMaxSize and thumbnailSize.
+async function preprocessImage(buffer, options = {}) {
+  const maxBytes = options.maxBytes || MAX_BYTES;
+  const maxPixels = options.maxPixels || MAX_PIXELS;
+  const analysisSize = options.analysisMaxSize || ANALYSIS_MAX_SIZE;
+  const thumbnailSize = options.thumbnailSize || THUMBNAIL_SIZE;
+
+  if (buffer.length > maxBytes) {
+    throw imageError(`Image is too large: ${Math.ceil(buffer.length / 1024 / 1024)} MB (limit ${Math.floor(maxBytes / 1024 / 1024)} MB)`, 413);
+  }
+
+  const format = sniffImageFormat(buffer);
+  if (format === "heic") {
+    throw imageError("HEIC/HEIF photos are not supported: upload a JPEG, PNG or WebP (on iPhone, set Camera → Formats → Most Compatible)", 415);
+  }
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    throw imageError(`Unsupported image format${format ? ` (${format})` : ""}: upload a JPEG, PNG or WebP`, 415);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: false }).metadata();
+  } catch (error) {
+    throw imageError("Image could not be read: the file is corrupt or truncated", 400);
+  }
+
+  if (metadata.width * metadata.height > maxPixels) {
+    throw imageError(`Image is too large: ${metadata.width}x${metadata.height} pixels (limit ${Math.round(maxPixels / 1e6)} megapixels)`, 413);
+  }
+
+  // rotate() with no angle applies and clears the EXIF orientation; sharp
+  // writes no metadata unless asked to, so GPS and camera details are dropped
+  const oriented = () => sharp(buffer, { limitInputPixels: maxPixels }).rotate().flatten({ background: "#ffffff" });
+
+  try {
+    const image = await oriented()
+      .resize(analysisSize, analysisSize, { fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: 85, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await oriented()
+      .resize(thumbnailSize, thumbnailSize, { fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: 75 })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      hash: hashImage(buffer),
+      format,
+      originalSize: { width: metadata.width, height: metadata.height, bytes: buffer.length },
+      orientation: metadata.orientation || 1,
+      metadataStripped: Boolean(metadata.exif || metadata.xmp || metadata.iptc),
+      image: { buffer: image.data, width: image.info.width, height: image.info.height, contentType: "image/jpeg" },
+      thumbnail: { buffer: thumbnail.data, width: thumbnail.info.width, height: thumbnail.info.height, contentType: "image/jpeg" }
+    };
+  } catch (error) {
+    throw imageError("Image could not be processed: the file is corrupt or truncated", 400);
+  }
+}
+
+module.exports = { preprocessImage, sniffImageFormat, hashImage };
@@ -0,0 +1,38 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { normalizeAnnotation } = require("./normalize");
+
+// Replays recorded Vision responses from a directory. Fixtures are looked up by
+// the upload's content hash (`context.hash`, else the SHA-256 of the image
+// bytes) as `<hash>.json`, falling back to `default.json`.
+function createFixtureProvider(options = {}) {
+  const dir = options.dir;
+
+  if (!dir || !fs.existsSync(dir)) {
+    throw new Error(`Fixture directory not found: ${dir}`);
+  }
+
+  async function annotate(imageBuffer, context = {}) {
+    const hash = context.hash || crypto.createHash("sha256").update(imageBuffer).digest("hex");
+    const candidates = [`${hash}.json`, "default.json"];
+
+    for (const candidate of candidates) {
+      const file = path.join(dir, candidate);
+      if (fs.existsSync(file)) {
+        const raw = JSON.parse(await fs.promises.readFile(file, "utf8"));
+        return normalizeAnnotation(raw);
+      }
+    }
+
+    throw new Error(`No fixture recorded for image ${hash}`);
+  }
+
+  async function check() {
+    await fs.promises.access(dir, fs.constants.R_OK);
+  }
+
+  return { name: "fixture", features: [], annotate, check };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const vision = require("@google-cloud/vision");
+const { normalizeAnnotation } = require("./normalize");
+const { log } = require("../observability/logger");
+
+// Features requested for every image
+const FEATURES = [
+  { type: "LABEL_DETECTION", maxResults: 20 },
+  { type: "IMAGE_PROPERTIES" },
+  { type: "TEXT_DETECTION" },
+  { type: "OBJECT_LOCALIZATION", maxResults: 20 }
+];
+
+function createGoogleProvider(options = {}) {
+  let client;
+
+  // Check which format the credentials are in
+  if (options.credentialsJson) {
+    // If using the full JSON string in an environment variable
+    const credentials = JSON.parse(options.credentialsJson);
+    client = new vision.ImageAnnotatorClient({ credentials });
+    log.info("Vision API client initialized using JSON credentials");
+  } else if (options.keyFilename) {
+    // If using a path to a JSON file
+    client = new vision.ImageAnnotatorClient({ keyFilename: options.keyFilename });
+    log.info("Vision API client initialized using credentials file path");
+  } else {
+    throw new Error("Missing Google Vision API credentials");
+  }
+
+  // Optionally record raw responses so they can be replayed by the fixture provider
+  const recordDir = options.recordDir;
+
+  // `context.hash` is the content hash of the original upload; recordings are
+  // keyed by it so they replay regardless of how the image was preprocessed
+  async function annotate(imageBuffer, context = {}) {
+    const request = {
+      image: { content: imageBuffer },
+      features: FEATURES
+    };
+
+    const [result] = await client.annotateImage(request);
+
+    if (recordDir) {
+      const hash = context.hash || crypto.createHash("sha256").update(imageBuffer).digest("hex");
+      fs.mkdirSync(recordDir, { recursive: true });
+      fs.writeFileSync(path.join(recordDir, `${hash}.json`), JSON.stringify(result, null, 2));
+    }
+
+    return normalizeAnnotation(result);
+  }
+
+  // Health check: the credentials still get an access token from Google
+  async function check() {
+    await client.auth.getAccessToken();
+  }
+
+  return { name: "google", features: FEATURES, annotate, check };
+}
+
+module.exports = { createGoogleProvider };
@@ -0,0 +1,26 @@
+const { createGoogleProvider } = require("./google");
+const { createFixtureProvider } = require("./fixture");
+const { createLocalProvider } = require("./local");
+
+// Select the vision provider from the `vision` settings (google | fixture | local).
+// Providers expose { name, features, annotate(imageBuffer, { hash }), check() };
+// the features they request are part of the annotation cache key, and check()
+// throws when the provider cannot be reached (see /readyz).
+function createVisionProvider(settings, secrets = {}) {
+  switch (settings.provider) {
+    case "google":
+      return createGoogleProvider({
+        keyFilename: settings.credentialsFile,
+        credentialsJson: secrets.googleCredentialsJson,
+        recordDir: settings.recordDir
+      });
+    case "fixture":
+      return createFixtureProvider({ dir: settings.fixturesDir });
+    case "local":
+      return createLocalProvider();
+    default:
+      throw new Error(`Unknown vision provider: ${settings.provider}`);
+  }
+}
+
+module.exports = { createVisionProvider };
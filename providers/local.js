@@ -0,0 +1,22 @@
+const { decodeImage, computeDominantColors } = require("../image");
+
+// Offline analyzer: no labels or OCR, only color statistics computed in-process
+function createLocalProvider() {
+  async function annotate(imageBuffer) {
+    const image = decodeImage(imageBuffer);
+
+    return {
+      labelAnnotations: [],
+      colors: computeDominantColors(image),
+      text: "",
+      objects: []
+    };
+  }
+
+  // Nothing to reach: analysis runs in-process
+  async function check() {}
+
+  return { name: "local", features: [{ type: "IMAGE_PROPERTIES" }], annotate, check };
+}
+
+module.exports = { createLocalProvider };
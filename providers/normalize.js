@@ -0,0 +1,46 @@
+// Convert a raw Google Vision annotateImage response into the shape the
+// detection and freshness heuristics consume. Every provider returns this shape.
+function normalizeAnnotation(raw = {}) {
+  const labelAnnotations = (raw.labelAnnotations || []).map(l => ({
+    description: l.description,
+    score: l.score,
+    topicality: l.topicality ?? l.score
+  }));
+
+  const colors = (raw.imagePropertiesAnnotation?.dominantColors?.colors || []).map(c => ({
+    color: {
+      red: c.color?.red || 0,
+      green: c.color?.green || 0,
+      blue: c.color?.blue || 0
+    },
+    score: c.score || 0,
+    pixelFraction: c.pixelFraction || 0
+  }));
+
+  // The first text annotation holds the full detected text block
+  const text = raw.textAnnotations?.[0]?.description || "";
+
+  // Localized objects with their bounding polygon reduced to a normalized box
+  const objects = (raw.localizedObjectAnnotations || []).map(o => {
+    const vertices = o.boundingPoly?.normalizedVertices || [];
+    const xs = vertices.map(v => v.x || 0);
+    const ys = vertices.map(v => v.y || 0);
+    const x = xs.length ? Math.min(...xs) : 0;
+    const y = ys.length ? Math.min(...ys) : 0;
+
+    return {
+      name: o.name,
+      score: o.score,
+      boundingBox: {
+        x,
+        y,
+        width: xs.length ? Math.max(...xs) - x : 1,
+        height: ys.length ? Math.max(...ys) - y : 1
+      }
+    };
+  });
+
+  return { labelAnnotations, colors, text, objects };
+}
+
+module.exports = { normalizeAnnotation };
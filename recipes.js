@@ -0,0 +1,234 @@
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+
+const DEFAULT_FILE = path.join(__dirname, "knowledge", "recipes.json");
+const SCHEMA_FILE = path.join(__dirname, "knowledge", "schema", "recipes.schema.json");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Load and validate the recipe dataset: ingredients, allergen groups and diets
+// must refer to knowledge base foods and categories. Throws with every problem found.
+function loadRecipes(knowledgeBase, file) {
+  const recipesFile = file || DEFAULT_FILE;
+  const name = path.basename(recipesFile);
+  const data = readJson(recipesFile);
+
+  const ajv = new Ajv({ allErrors: true });
+  const validate = ajv.compile(readJson(SCHEMA_FILE));
+  if (!validate(data)) {
+    throw new Error(`Invalid recipes: ${validate.errors.map(e => `${name}${e.instancePath || ""}: ${e.message}`).join("; ")}`);
+  }
+
+  const problems = [];
+  const knownFoods = new Set(knowledgeBase.foods.map(food => food.name));
+  const checkFoods = (where, foods = []) => {
+    for (const food of foods.filter(f => !knownFoods.has(f))) {
+      problems.push(`${name}/${where}: unknown food "${food}"`);
+    }
+  };
+  const checkAllergens = (where, allergens = []) => {
+    for (const allergen of allergens.filter(a => !data.allergens[a])) {
+      problems.push(`${name}/${where}: unknown allergen "${allergen}"`);
+    }
+  };
+
+  for (const [allergen, group] of Object.entries(data.allergens)) {
+    checkFoods(`allergens/${allergen}`, group.foods);
+    for (const category of (group.categories || []).filter(c => !knowledgeBase.categories[c])) {
+      problems.push(`${name}/allergens/${allergen}: unknown category "${category}"`);
+    }
+  }
+
+  for (const [diet, rules] of Object.entries(data.diets)) {
+    checkFoods(`diets/${diet}`, rules.excludeFoods);
+    checkAllergens(`diets/${diet}`, rules.excludeAllergens);
+  }
+
+  const ids = new Set();
+  for (const recipe of data.recipes) {
+    if (ids.has(recipe.id)) problems.push(`${name}/recipes/${recipe.id}: duplicate id`);
+    ids.add(recipe.id);
+
+    checkFoods(`recipes/${recipe.id}`, recipe.ingredients.map(i => i.food));
+    checkAllergens(`recipes/${recipe.id}`, recipe.allergens);
+    if (recipe.ingredients.every(i => i.optional)) {
+      problems.push(`${name}/recipes/${recipe.id}: needs at least one required ingredient`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid recipes: ${problems.join("; ")}`);
+  }
+
+  return data;
+}
+
+function describeDays(daysLeft, locale) {
+  if (daysLeft === null) return locale.t("suggestions.noExpiry");
+  if (daysLeft < 0) return locale.t("suggestions.pastExpiry");
+  if (daysLeft < 1) return locale.t("suggestions.expiresToday");
+  return locale.t("suggestions.expiresIn", { count: Math.floor(daysLeft) });
+}
+
+// Ranks recipes against a user's inventory. A recipe's score mixes ingredient
+// coverage (share of required ingredients in stock) with urgency (how soon
+// the stocked ingredients it uses expire), weighted by the dataset's ranking
+// settings. Spoiled items are never suggested as ingredients. Explanations
+// are written in `locale` unless a call passes its own.
+function createRecipeRanker(data, knowledgeBase, { spoiledThreshold, locale: defaultLocale }) {
+  const { ranking } = data;
+
+  // Foods in an allergen group, by name or through their category
+  function allergenFoods(allergen) {
+    const group = data.allergens[allergen];
+    return [
+      ...(group.foods || []),
+      ...knowledgeBase.foods.filter(food => (group.categories || []).includes(food.category)).map(food => food.name)
+    ];
+  }
+
+  // Foods and allergens ruled out by a diet plus explicit allergen exclusions
+  function exclusions(diet, allergens) {
+    const rules = diet ? data.diets[diet] : {};
+    const excludedAllergens = new Set([...(rules.excludeAllergens || []), ...allergens]);
+    const excludedFoods = new Set(rules.excludeFoods || []);
+    for (const allergen of excludedAllergens) {
+      for (const food of allergenFoods(allergen)) excludedFoods.add(food);
+    }
+    return { excludedFoods, excludedAllergens };
+  }
+
+  // 1 for items expiring now, falling to 0 at the end of the urgency window.
+  // Items without an expiry date fall back to how far freshness has dropped.
+  function urgencyOf(daysLeft, freshnessScore) {
+    if (daysLeft === null) return round2(Math.min(1, Math.max(0, 1 - (freshnessScore ?? 1))));
+    return round2(Math.min(1, Math.max(0, 1 - daysLeft / ranking.urgencyWindowDays)));
+  }
+
+  // Usable inventory per knowledge base food, most urgent item first, and
+  // past-expiry items to check before cooking, latest expiry first. Items
+  // past a printed use-by date or with a discard safety verdict are neither.
+  function indexInventory(items, now) {
+    const stock = new Map();
+    const checkFirst = new Map();
+    for (const row of items) {
+      if (row.freshness_score !== null && row.freshness_score !== undefined && row.freshness_score < spoiledThreshold) continue;
+      if (row.safety?.override || row.expiry_source === "safety") continue;
+
+      // Items identified by barcode are named after the product; the catalog says which food it is
+      const food = knowledgeBase.findFood(row.product ? row.product.food || "" : row.food_name);
+      if (!food) continue;
+
+      const daysLeft = row.expires_at ? (new Date(row.expires_at).getTime() - now) / DAY_MS : null;
+      if (daysLeft !== null && daysLeft < 0 && row.expiry_source === "printed-use-by") continue;
+
+      const entry = {
+        itemId: row.id,
+        foodName: row.food_name,
+        expiresAt: row.expires_at,
+        estimatedExpiry: row.estimated_expiry,
+        freshnessScore: row.freshness_score,
+        daysLeft: daysLeft === null ? null : Math.round(daysLeft * 10) / 10,
+        urgency: urgencyOf(daysLeft, row.freshness_score)
+      };
+
+      if (daysLeft !== null && daysLeft < 0) {
+        const current = checkFirst.get(food.name);
+        if (!current || entry.daysLeft > current.daysLeft) checkFirst.set(food.name, entry);
+        continue;
+      }
+
+      const current = stock.get(food.name);
+      if (!current || entry.urgency > current.urgency) stock.set(food.name, entry);
+    }
+    return { stock, checkFirst };
+  }
+
+  function explain(expiring, checkFirst, requiredCount, matchedRequired, locale) {
+    const stock = locale.t("suggestions.stock", { matched: matchedRequired, count: requiredCount });
+    const describe = uses => uses
+      .map(use => locale.t("suggestions.item", { food: locale.foodName(use.foodName), when: describeDays(use.daysLeft, locale) }))
+      .join(", ");
+
+    const explanation = expiring.length === 0
+      ? locale.t("suggestions.nothingExpiring", { stock })
+      : locale.t("suggestions.usesExpiring", { count: expiring.length, items: describe(expiring), stock });
+    if (checkFirst.length === 0) return explanation;
+    return locale.t("suggestions.checkFirst", { count: checkFirst.length, items: describe(checkFirst), explanation });
+  }
+
+  // Suggestions for `inventory` (active food_freshness rows), best first.
+  // Options: diet (a key of data.diets), allergens (keys of data.allergens to
+  // exclude), minCoverage, limit, locale and now (ms, for tests). Optional ingredients
+  // a filter rules out are dropped; recipes needing an excluded food are skipped.
+  // Ingredients only in stock past their expiry date count as missing and
+  // are listed under `checkFirst`.
+  function rankRecipes(inventory, options = {}) {
+    const { diet = null, allergens = [], limit = 10, locale = defaultLocale, now = Date.now() } = options;
+    const minCoverage = options.minCoverage ?? ranking.minCoverage;
+    const { excludedFoods, excludedAllergens } = exclusions(diet, allergens);
+    const { stock, checkFirst } = indexInventory(inventory, now);
+
+    const suggestions = [];
+    for (const recipe of data.recipes) {
+      if ((recipe.allergens || []).some(a => excludedAllergens.has(a))) continue;
+      if (recipe.ingredients.some(i => !i.optional && excludedFoods.has(i.food))) continue;
+
+      const ingredients = recipe.ingredients.filter(i => !excludedFoods.has(i.food));
+      const required = ingredients.filter(i => !i.optional);
+      const matchedRequired = required.filter(i => stock.has(i.food)).length;
+      const coverage = matchedRequired / required.length;
+      if (coverage < minCoverage) continue;
+
+      const uses = ingredients
+        .filter(i => stock.has(i.food))
+        .map(i => ({ ingredient: i.food, optional: Boolean(i.optional), ...stock.get(i.food) }));
+      const expiring = uses
+        .filter(use => use.daysLeft !== null && use.daysLeft <= ranking.urgencyWindowDays)
+        .sort((a, b) => a.daysLeft - b.daysLeft);
+      const urgency = Math.min(1, uses.reduce((sum, use) => sum + use.urgency, 0) / required.length);
+      const toCheck = ingredients
+        .filter(i => !stock.has(i.food) && checkFirst.has(i.food))
+        .map(i => ({ ingredient: i.food, optional: Boolean(i.optional), ...checkFirst.get(i.food) }));
+
+      suggestions.push({
+        id: recipe.id,
+        name: recipe.name,
+        minutes: recipe.minutes,
+        servings: recipe.servings,
+        score: round2(ranking.coverageWeight * coverage + ranking.urgencyWeight * urgency),
+        coverage: round2(coverage),
+        urgency: round2(urgency),
+        uses: uses.map(use => ({ ...use, expiringSoon: expiring.includes(use) })),
+        expiringItemIds: expiring.map(use => use.itemId),
+        checkFirst: toCheck,
+        missing: required.filter(i => !stock.has(i.food)).map(i => i.food),
+        missingOptional: ingredients.filter(i => i.optional && !stock.has(i.food)).map(i => i.food),
+        explanation: explain(expiring, toCheck, required.length, matchedRequired, locale)
+      });
+    }
+
+    // Ties go to recipes rescuing more expiring items, then quicker ones
+    suggestions.sort((a, b) =>
+      b.score - a.score ||
+      b.expiringItemIds.length - a.expiringItemIds.length ||
+      a.minutes - b.minutes);
+
+    const expiringItems = [...stock.values()].filter(entry => entry.daysLeft !== null && entry.daysLeft <= ranking.urgencyWindowDays);
+    return { inventoryItems: stock.size, expiringItems: expiringItems.length, suggestions: suggestions.slice(0, limit) };
+  }
+
+  return { rankRecipes, diets: Object.keys(data.diets), allergens: Object.keys(data.allergens) };
+}
+
+module.exports = { loadRecipes, createRecipeRanker, DEFAULT_RECIPES_FILE: DEFAULT_FILE };
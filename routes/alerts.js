@@ -0,0 +1,197 @@
+const express = require("express");
+const { log } = require("../observability/logger");
+const { checkOutboundUrl } = require("../security/outboundUrl");
+
+const DEFAULT_WINDOW_DAYS = 2;
+
+function toAlertSettings(row, userId) {
+  return {
+    enabled: row ? row.enabled : false,
+    windowDays: row ? row.window_days : DEFAULT_WINDOW_DAYS,
+    channels: row ? row.channels : [],
+    email: row ? row.email : null,
+    webhookUrl: row ? row.webhook_url : null,
+    hasWebhookSecret: Boolean(row && row.webhook_secret),
+    userId
+  };
+}
+
+// Per-user expiry alert settings, delivery history and a test send. Webhook
+// URLs must point to public addresses unless `allowPrivateWebhooks`.
+function createAlertsRouter({ supabase, requireAuth, channels, allowPrivateWebhooks = false }) {
+  const router = express.Router();
+  router.use(requireAuth);
+  router.use(express.json());
+
+  async function loadSettings(userId) {
+    return supabase.from("alert_settings").select("*").eq("user_id", userId).maybeSingle();
+  }
+
+  router.get("/settings", async (req, res) => {
+    try {
+      const { data, error } = await loadSettings(req.user.id);
+      if (error) {
+        log.error("Error loading alert settings", { error });
+        return res.status(500).json({ error: "Failed to load alert settings" });
+      }
+      res.json(toAlertSettings(data, req.user.id));
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  // Body: { enabled, windowDays, channels: ["email", "webhook"], email, webhookUrl, webhookSecret }
+  router.put("/settings", async (req, res) => {
+    try {
+      const { enabled, windowDays, channels: selected, email, webhookUrl, webhookSecret } = req.body || {};
+      const row = { user_id: req.user.id, updated_at: new Date().toISOString() };
+
+      if (enabled !== undefined) {
+        if (typeof enabled !== "boolean") return res.status(400).json({ error: "Invalid enabled: expected a boolean" });
+        row.enabled = enabled;
+      }
+
+      if (windowDays !== undefined) {
+        if (typeof windowDays !== "number" || windowDays < 0 || windowDays > 60) {
+          return res.status(400).json({ error: "Invalid windowDays: expected a number between 0 and 60" });
+        }
+        row.window_days = windowDays;
+      }
+
+      if (selected !== undefined) {
+        if (!Array.isArray(selected) || selected.some(name => !["email", "webhook"].includes(name))) {
+          return res.status(400).json({ error: "Invalid channels: expected a list of email and/or webhook" });
+        }
+        if (selected.some(name => !channels[name])) {
+          return res.status(400).json({ error: "Email alerts are not available on this server" });
+        }
+        row.channels = [...new Set(selected)];
+      }
+
+      if (email !== undefined) {
+        if (email !== null && !/^[^\s@]+@[^\s@]+$/.test(email)) {
+          return res.status(400).json({ error: "Invalid email" });
+        }
+        row.email = email;
+      }
+
+      if (webhookUrl !== undefined) {
+        if (webhookUrl !== null) {
+          try {
+            await checkOutboundUrl(webhookUrl, { allowPrivate: allowPrivateWebhooks });
+          } catch (error) {
+            return res.status(400).json({ error: `Invalid webhookUrl: ${error.message}` });
+          }
+        }
+        row.webhook_url = webhookUrl;
+      }
+
+      if (webhookSecret !== undefined) {
+        if (webhookSecret !== null && (typeof webhookSecret !== "string" || webhookSecret.length < 16)) {
+          return res.status(400).json({ error: "Invalid webhookSecret: expected at least 16 characters" });
+        }
+        row.webhook_secret = webhookSecret;
+      }
+
+      const { data, error } = await supabase
+        .from("alert_settings")
+        .upsert(row, { onConflict: "user_id" })
+        .select()
+        .single();
+
+      if (error) {
+        log.error("Error saving alert settings", { error });
+        return res.status(500).json({ error: "Failed to save alert settings" });
+      }
+
+      res.json(toAlertSettings(data, req.user.id));
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  // Recent delivery attempts, newest first
+  router.get("/deliveries", async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit || "50", 10) || 50, 200);
+      const { data, error } = await supabase
+        .from("alert_deliveries")
+        .select("*")
+        .eq("user_id", req.user.id)
+        .order("created_at", { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        log.error("Error loading alert deliveries", { error });
+        return res.status(500).json({ error: "Failed to load deliveries" });
+      }
+
+      res.json({
+        deliveries: data.map(d => ({
+          id: d.id,
+          itemId: d.item_id,
+          channel: d.channel,
+          status: d.status,
+          attempts: d.attempts,
+          lastError: d.last_error,
+          nextAttemptAt: d.next_attempt_at,
+          sentAt: d.sent_at,
+          createdAt: d.created_at
+        }))
+      });
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  // Send a sample alert through every configured channel right away
+  router.post("/test", async (req, res) => {
+    try {
+      const { data: settings, error } = await loadSettings(req.user.id);
+      if (error) {
+        log.error("Error loading alert settings", { error });
+        return res.status(500).json({ error: "Failed to load alert settings" });
+      }
+      if (!settings) {
+        return res.status(400).json({ error: "Configure alert settings first" });
+      }
+
+      const payload = {
+        event: "items.expiring",
+        test: true,
+        sentAt: new Date().toISOString(),
+        userId: req.user.id,
+        items: [{ id: null, foodName: "Test item", category: "other", expiresAt: new Date().toISOString(), estimatedExpiry: "This is a test alert" }]
+      };
+
+      const results = {};
+      for (const name of settings.channels || []) {
+        const channel = channels[name];
+        if (!channel || !channel.isConfigured(settings)) {
+          results[name] = { ok: false, error: "Not configured" };
+          continue;
+        }
+        try {
+          await channel.send(settings, payload);
+          results[name] = { ok: true };
+        } catch (sendError) {
+          // Network errors would tell which hosts and ports answer: log them only
+          if (!sendError.expose) log.warn("Test alert failed", { channel: name, error: sendError.message });
+          results[name] = { ok: false, error: sendError.expose ? sendError.message : "Delivery failed" };
+        }
+      }
+
+      res.json({ results });
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAlertsRouter };
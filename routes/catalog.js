@@ -0,0 +1,96 @@
+const express = require("express");
+const { normalizeCode } = require("../barcode");
+const { log } = require("../observability/logger");
+
+// The product catalog behind barcode and QR lookups. Signed-in users import
+// their own products (CSV or JSON), which take precedence over the bundled
+// catalog for their scans. `acceptFile` parses a multipart upload into
+// req.file; `parseCatalogFile(buffer, name)` and `validateProducts(products)`
+// wrap catalog.js against the knowledge base.
+function createCatalogRouter({ catalog, requireAuth, optionalAuth, acceptFile, parseCatalogFile, validateProducts, maxImportBytes, maxImportProducts }) {
+  const router = express.Router();
+
+  // Import products from an uploaded `file` (.csv or .json) or a JSON body
+  // ({ products: [...] } or an array). Products with a code already imported
+  // are replaced. Nothing is saved unless every product is valid.
+  router.post("/import", requireAuth, acceptFile, express.json({ limit: maxImportBytes }), async (req, res) => {
+    try {
+      let products;
+      if (req.file) {
+        products = parseCatalogFile(req.file.buffer, req.file.originalname);
+      } else if (Array.isArray(req.body)) {
+        products = req.body;
+      } else if (Array.isArray(req.body?.products)) {
+        products = req.body.products;
+      } else {
+        return res.status(400).json({ error: "No products: upload a CSV or JSON file as `file` or send a JSON products array" });
+      }
+
+      if (products.length === 0) {
+        return res.status(400).json({ error: "No products to import" });
+      }
+      if (products.length > maxImportProducts) {
+        return res.status(400).json({ error: `Too many products: at most ${maxImportProducts} per import` });
+      }
+
+      const { products: valid, problems } = validateProducts(products);
+      if (problems.length > 0) {
+        return res.status(400).json({ error: "Invalid products", problems });
+      }
+
+      const imported = await catalog.importProducts(req.user.id, valid);
+      res.status(201).json({ imported: imported.length, products: imported });
+    } catch (error) {
+      if (!error.expose) log.error("Catalog import error", { error });
+      res.status(error.expose ? error.status || 500 : 500).json({ error: error.expose ? error.message : "Internal Server Error" });
+    }
+  });
+
+  // The signed-in user's imported products
+  router.get("/", requireAuth, async (req, res) => {
+    try {
+      const products = await catalog.listProducts(req.user.id);
+      res.json({ bundled: { version: catalog.version, products: catalog.size }, products });
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  // Look up a code as a scan would: the user's imports first, then the bundled catalog
+  router.get("/:code", optionalAuth, async (req, res) => {
+    try {
+      const code = normalizeCode(req.params.code);
+      if (!code) {
+        return res.status(400).json({ error: "Invalid code: expected an EAN-13, UPC-A or GTIN-14 with a valid check digit" });
+      }
+
+      const match = await catalog.lookup([{ format: null, text: req.params.code, code }], req.user?.id);
+      if (!match) {
+        return res.status(404).json({ error: "Product not found" });
+      }
+      res.json({ code: match.code, source: match.source, product: match.product });
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  // Remove an imported product; the bundled catalog is read-only
+  router.delete("/:code", requireAuth, async (req, res) => {
+    try {
+      const code = normalizeCode(req.params.code);
+      if (!code || !(await catalog.deleteProduct(req.user.id, code))) {
+        return res.status(404).json({ error: "Product not found" });
+      }
+      res.status(204).end();
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCatalogRouter };
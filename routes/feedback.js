@@ -0,0 +1,203 @@
+const express = require("express");
+const { log } = require("../observability/logger");
+
+const VERDICTS = ["fresh", "spoiled"];
+const MAX_COMMENT_LENGTH = 1000;
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function toFeedback(row) {
+  return {
+    id: row.id,
+    itemId: row.item_id,
+    scanId: row.scan_id,
+    original: {
+      foodName: row.original_food_name,
+      category: row.original_category,
+      freshnessScore: row.original_freshness_score
+    },
+    corrected: {
+      foodName: row.corrected_food_name,
+      category: row.corrected_category,
+      freshness: row.freshness_verdict
+    },
+    comment: row.comment,
+    createdAt: row.created_at
+  };
+}
+
+// OCR text of a stored analysis. Its words were scored as labels too.
+function ocrText(row) {
+  const text = row.analysis_data?.textFound;
+  return text && text !== "None" ? text : null;
+}
+
+// Learned freshness adjustment the scorer applied to a stored analysis, from
+// its rule trace, so learning can undo it (see learning/learner.js)
+function appliedAdjustment(row) {
+  const step = (row.analysis_data?.freshnessTrace || []).find(entry => entry.step === "learned");
+  return step ? step.delta : 0;
+}
+
+// User corrections to stored analyses: the right food, category or
+// freshness verdict for an inventory item. Each correction is kept with the
+// item's original labels and colors for the learning job; food and category
+// corrections also fix the item itself.
+function createFeedbackRouter({ supabase, requireAuth, knowledgeBase }) {
+  const router = express.Router();
+  router.use(requireAuth);
+  router.use(express.json());
+
+  // Body: itemId plus at least one of foodName (a knowledge base food),
+  // category, freshness ("fresh" or "spoiled") and an optional comment
+  router.post("/", async (req, res) => {
+    try {
+      const { itemId, foodName, category, freshness, comment } = req.body || {};
+
+      if (!Number.isInteger(Number(itemId)) || Number(itemId) < 1) {
+        return res.status(400).json({ error: "Invalid itemId" });
+      }
+      if (foodName === undefined && category === undefined && freshness === undefined) {
+        return res.status(400).json({ error: "Nothing to correct: send foodName, category or freshness" });
+      }
+
+      // Exact names only: a loose match would teach the wrong food
+      let food = null;
+      if (foodName !== undefined) {
+        const name = typeof foodName === "string" ? foodName.trim().toLowerCase() : "";
+        food = knowledgeBase.foods.find(f => f.name === name || f.synonyms.includes(name)) || null;
+        if (!food) {
+          return res.status(400).json({ error: "Unknown foodName: expected a food from GET /foods" });
+        }
+      }
+      if (category !== undefined && !knowledgeBase.categories[category]) {
+        return res.status(400).json({ error: `Invalid category: expected one of ${Object.keys(knowledgeBase.categories).join(", ")}` });
+      }
+      if (food && category !== undefined && category !== food.category) {
+        return res.status(400).json({ error: `Category ${category} does not match ${food.name} (${food.category})` });
+      }
+      if (freshness !== undefined && !VERDICTS.includes(freshness)) {
+        return res.status(400).json({ error: `Invalid freshness: expected one of ${VERDICTS.join(", ")}` });
+      }
+      if (comment !== undefined && (typeof comment !== "string" || comment.length > MAX_COMMENT_LENGTH)) {
+        return res.status(400).json({ error: `Invalid comment: expected text of at most ${MAX_COMMENT_LENGTH} characters` });
+      }
+
+      const { data: item, error: loadError } = await supabase
+        .from("food_freshness")
+        .select("*")
+        .eq("id", itemId)
+        .eq("user_id", req.user.id)
+        .maybeSingle();
+
+      if (loadError) {
+        log.error("Error loading item for feedback", { error: loadError });
+        return res.status(500).json({ error: "Failed to load item" });
+      }
+      if (!item) {
+        return res.status(404).json({ error: "Item not found" });
+      }
+
+      // A corrected item no longer shows what was detected; earlier feedback on it still does
+      const { data: earlier, error: earlierError } = await supabase
+        .from("analysis_feedback")
+        .select("*")
+        .eq("item_id", item.id)
+        .order("created_at", { ascending: true })
+        .limit(1);
+
+      if (earlierError) {
+        log.error("Error loading earlier feedback", { error: earlierError });
+        return res.status(500).json({ error: "Failed to load item" });
+      }
+      const original = earlier[0]
+        ? { foodName: earlier[0].original_food_name, category: earlier[0].original_category }
+        : { foodName: item.food_name, category: item.food_category };
+
+      const correctedCategory = food ? food.category : category ?? null;
+      const { data: row, error } = await supabase
+        .from("analysis_feedback")
+        .insert({
+          user_id: req.user.id,
+          item_id: item.id,
+          scan_id: item.scan_id,
+          original_food_name: original.foodName,
+          original_category: original.category,
+          original_freshness_score: item.freshness_score,
+          applied_adjustment: appliedAdjustment(item),
+          corrected_food_name: food ? food.name : null,
+          corrected_category: correctedCategory,
+          freshness_verdict: freshness ?? null,
+          comment: comment ?? null,
+          labels: item.labels,
+          color_stats: item.color_stats,
+          ocr_text: ocrText(item)
+        })
+        .select()
+        .single();
+
+      if (error) {
+        log.error("Error saving feedback", { error });
+        return res.status(500).json({ error: "Failed to save feedback" });
+      }
+
+      // The inventory shows the corrected food from now on
+      let updatedItem = item;
+      if (food || correctedCategory) {
+        const changes = { food_category: correctedCategory, updated_at: new Date().toISOString() };
+        if (food) changes.food_name = capitalize(food.name);
+
+        const { data: updated, error: updateError } = await supabase
+          .from("food_freshness")
+          .update(changes)
+          .eq("id", item.id)
+          .eq("user_id", req.user.id)
+          .select()
+          .single();
+
+        if (updateError) {
+          // The correction itself is saved; the item keeps its old name
+          log.error("Error applying correction to item", { error: updateError });
+        } else {
+          updatedItem = updated;
+        }
+      }
+
+      res.status(201).json({
+        feedback: toFeedback(row),
+        item: { id: updatedItem.id, foodName: updatedItem.food_name, category: updatedItem.food_category }
+      });
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  // The signed-in user's corrections, newest first (?itemId= for one item)
+  router.get("/", async (req, res) => {
+    try {
+      let query = supabase
+        .from("analysis_feedback")
+        .select("*")
+        .eq("user_id", req.user.id)
+        .order("created_at", { ascending: false });
+      if (req.query.itemId) query = query.eq("item_id", req.query.itemId);
+
+      const { data, error } = await query;
+      if (error) {
+        log.error("Error loading feedback", { error });
+        return res.status(500).json({ error: "Failed to load feedback" });
+      }
+      res.json({ feedback: data.map(toFeedback) });
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createFeedbackRouter };
@@ -0,0 +1,34 @@
+const express = require("express");
+const { log } = require("../observability/logger");
+
+// Serves objects of the local storage backend through the signed URLs it
+// mints (GET /files/<key>?expires=&signature=). Missing, expired or forged
+// signatures all get the same 403.
+function createFilesRouter({ storage }) {
+  const router = express.Router();
+
+  router.get("/*", async (req, res) => {
+    const key = req.params[0];
+    if (!storage.verifySignature(key, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ error: "Invalid or expired link" });
+    }
+
+    try {
+      const body = await storage.get(key);
+      const maxAge = Math.max(0, parseInt(req.query.expires, 10) - Math.floor(Date.now() / 1000));
+      res.set("Content-Type", storage.contentType(key));
+      res.set("Cache-Control", `private, max-age=${maxAge}`);
+      res.send(body);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return res.status(404).json({ error: "File not found" });
+      }
+      log.error("Error reading stored file", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createFilesRouter };
@@ -0,0 +1,329 @@
+const express = require("express");
+const { predictSpoilage, MIN_TREND_POINTS } = require("../trend");
+const { log } = require("../observability/logger");
+
+const STATUSES = ["active", "consumed", "discarded"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PAGE_SIZE = 200;
+
+// Shape a food_freshness row for API responses. Images are private, so their
+// URLs are signed per response and passed in as `urls`. With a `locale` the
+// food and category also get display names in its language.
+function toInventoryItem(row, urls = {}, locale = null) {
+  return {
+    id: row.id,
+    scanId: row.scan_id,
+    foodName: row.food_name,
+    // Catalog product names are shown as they are
+    displayName: locale && !row.product ? locale.foodName(row.food_name) : row.food_name,
+    category: row.food_category,
+    categoryName: locale ? locale.categoryName(row.food_category) : row.food_category,
+    confidence: row.confidence,
+    matchSource: row.match_source || "labels",
+    product: row.product || null,
+    freshnessScore: row.freshness_score,
+    estimatedExpiry: row.estimated_expiry,
+    // Language estimatedExpiry was written in, at scan time
+    language: row.language || null,
+    expiresAt: row.expires_at,
+    expirySource: row.expiry_source,
+    safety: row.safety || null,
+    storageLocation: row.storage_location,
+    opened: row.opened,
+    purchaseDate: row.purchase_date,
+    quantity: row.quantity,
+    status: row.status,
+    statusChangedAt: row.status_changed_at,
+    imageUrl: urls.imageUrl || null,
+    thumbnailUrl: urls.thumbnailUrl || null,
+    boundingBox: row.bounding_box,
+    portion: row.portion_grams === null || row.portion_grams === undefined ? null : {
+      grams: row.portion_grams,
+      low: row.portion_grams_low,
+      high: row.portion_grams_high,
+      method: row.portion_method
+    },
+    nutrition: row.nutrition || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Per-user inventory on top of food_freshness. Every query is scoped to the
+// authenticated user. `deleteImage(key)` removes a stored image and its
+// thumbnail; `signUrl(key)` returns an expiring link to a stored object.
+// Display names follow ?lang= or Accept-Language (see `localizer`).
+function createInventoryRouter({ supabase, requireAuth, deleteImage, signUrl, storageConditions, spoiledThreshold, localizer }) {
+  const router = express.Router();
+  router.use(requireAuth);
+  router.use(express.json());
+  router.use((req, res, next) => {
+    try {
+      req.locale = localizer.fromRequest(req, res);
+      next();
+    } catch (error) {
+      res.status(error.status).json({ error: error.message });
+    }
+  });
+
+  async function presentItem(row, locale) {
+    return toInventoryItem(row, {
+      imageUrl: await signUrl(row.image_key),
+      thumbnailUrl: await signUrl(row.thumbnail_key)
+    }, locale);
+  }
+
+  // List items: ?status=active|consumed|discarded|all, ?category=,
+  // ?expiresWithinDays=, ?expiresBefore=, ?expiresAfter=, ?limit=, ?offset=
+  router.get("/", async (req, res) => {
+    try {
+      const status = req.query.status || "active";
+      if (status !== "all" && !STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status: expected one of ${STATUSES.join(", ")} or all` });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit || "50", 10), MAX_PAGE_SIZE);
+      const offset = parseInt(req.query.offset || "0", 10);
+      if (isNaN(limit) || limit < 1 || isNaN(offset) || offset < 0) {
+        return res.status(400).json({ error: "Invalid limit or offset" });
+      }
+
+      let query = supabase
+        .from("food_freshness")
+        .select("*", { count: "exact" })
+        .eq("user_id", req.user.id);
+
+      if (status !== "all") query = query.eq("status", status);
+      if (req.query.category) query = query.eq("food_category", req.query.category);
+
+      if (req.query.expiresWithinDays !== undefined) {
+        const days = parseFloat(req.query.expiresWithinDays);
+        if (isNaN(days) || days < 0) {
+          return res.status(400).json({ error: "Invalid expiresWithinDays" });
+        }
+        query = query.lte("expires_at", new Date(Date.now() + days * DAY_MS).toISOString());
+      }
+
+      for (const [param, operator] of [["expiresBefore", "lte"], ["expiresAfter", "gte"]]) {
+        if (req.query[param] === undefined) continue;
+        const date = parseDate(req.query[param]);
+        if (!date) {
+          return res.status(400).json({ error: `Invalid ${param}: expected an ISO date` });
+        }
+        query = query[operator]("expires_at", date.toISOString());
+      }
+
+      const { data, error, count } = await query
+        .order("expires_at", { ascending: true, nullsFirst: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        log.error("Error listing inventory", { error });
+        return res.status(500).json({ error: "Failed to load inventory" });
+      }
+
+      res.json({ total: count, limit, offset, items: await Promise.all(data.map(row => presentItem(row, req.locale))) });
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  // Load one of the user's rows, or send 404/500 and return null
+  async function loadOwnItem(req, res) {
+    const { data, error } = await supabase
+      .from("food_freshness")
+      .select("*")
+      .eq("id", req.params.id)
+      .eq("user_id", req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      log.error("Error loading inventory item", { error });
+      res.status(500).json({ error: "Failed to load item" });
+      return null;
+    }
+    if (!data) {
+      res.status(404).json({ error: "Item not found" });
+      return null;
+    }
+    return data;
+  }
+
+  router.get("/:id", async (req, res) => {
+    try {
+      const row = await loadOwnItem(req, res);
+      if (row) res.json(await presentItem(row, req.locale));
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  // Freshness history of an item and the spoil date predicted from it
+  router.get("/:id/history", async (req, res) => {
+    try {
+      const row = await loadOwnItem(req, res);
+      if (!row) return;
+
+      const { data, error } = await supabase
+        .from("freshness_history")
+        .select("*")
+        .eq("item_id", row.id)
+        .order("scanned_at", { ascending: true });
+
+      if (error) {
+        log.error("Error loading freshness history", { error });
+        return res.status(500).json({ error: "Failed to load history" });
+      }
+
+      const prediction = predictSpoilage(data, spoiledThreshold);
+
+      res.json({
+        item: await presentItem(row, req.locale),
+        history: await Promise.all(data.map(async h => ({
+          scannedAt: h.scanned_at,
+          freshnessScore: h.freshness_score,
+          colorStats: h.color_stats,
+          imageUrl: await signUrl(h.image_key)
+        }))),
+        prediction,
+        // Until enough scans exist the single-shot estimate stands, as do
+        // printed use-by dates and safety overrides
+        expirySource: prediction?.spoilDate && !["printed-use-by", "safety"].includes(row.expiry_source) ? "trend" : row.expiry_source,
+        scansNeededForTrend: Math.max(0, MIN_TREND_POINTS - data.length)
+      });
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  // Update quantity, storage location or status (consumed/discarded)
+  router.patch("/:id", async (req, res) => {
+    try {
+      const { quantity, storageLocation, status } = req.body || {};
+      const changes = {};
+
+      if (quantity !== undefined) {
+        if (typeof quantity !== "number" || !isFinite(quantity) || quantity < 0) {
+          return res.status(400).json({ error: "Invalid quantity: expected a non-negative number" });
+        }
+        changes.quantity = quantity;
+      }
+
+      if (storageLocation !== undefined) {
+        if (!storageConditions.includes(storageLocation)) {
+          return res.status(400).json({ error: `Invalid storageLocation: expected one of ${storageConditions.join(", ")}` });
+        }
+        changes.storage_location = storageLocation;
+      }
+
+      if (status !== undefined) {
+        if (!STATUSES.includes(status)) {
+          return res.status(400).json({ error: `Invalid status: expected one of ${STATUSES.join(", ")}` });
+        }
+        changes.status = status;
+        changes.status_changed_at = new Date().toISOString();
+      }
+
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: "Nothing to update: send quantity, storageLocation or status" });
+      }
+
+      const row = await loadOwnItem(req, res);
+      if (!row) return;
+
+      changes.updated_at = new Date().toISOString();
+      const { data, error } = await supabase
+        .from("food_freshness")
+        .update(changes)
+        .eq("id", row.id)
+        .eq("user_id", req.user.id)
+        .select()
+        .single();
+
+      if (error) {
+        log.error("Error updating inventory item", { error });
+        return res.status(500).json({ error: "Failed to update item" });
+      }
+
+      res.json(await presentItem(data, req.locale));
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  // Count rows in `table` that still point at an image
+  async function countImageReferences(table, imageKey) {
+    const { count, error } = await supabase
+      .from(table)
+      .select("id", { count: "exact", head: true })
+      .eq("image_key", imageKey);
+
+    if (error) throw error;
+    return count;
+  }
+
+  // Delete an item; its stored images (including re-scans) go too once no
+  // other item from the same scan uses them
+  router.delete("/:id", async (req, res) => {
+    try {
+      const row = await loadOwnItem(req, res);
+      if (!row) return;
+
+      const { data: history, error: historyError } = await supabase
+        .from("freshness_history")
+        .select("image_key")
+        .eq("item_id", row.id);
+
+      if (historyError) {
+        log.error("Error loading freshness history", { error: historyError });
+        return res.status(500).json({ error: "Failed to delete item" });
+      }
+
+      const { error } = await supabase
+        .from("food_freshness")
+        .delete()
+        .eq("id", row.id)
+        .eq("user_id", req.user.id);
+
+      if (error) {
+        log.error("Error deleting inventory item", { error });
+        return res.status(500).json({ error: "Failed to delete item" });
+      }
+
+      // History rows cascade with the item
+      const imageKeys = new Set([row.image_key, ...history.map(h => h.image_key)].filter(Boolean));
+
+      for (const imageKey of imageKeys) {
+        try {
+          const references = await countImageReferences("food_freshness", imageKey) +
+            await countImageReferences("freshness_history", imageKey);
+          if (references > 0) continue;
+
+          if (!(await deleteImage(imageKey))) {
+            log.error("Item deleted but its image could not be removed", { itemId: row.id, imageKey });
+          }
+        } catch (countError) {
+          log.error("Error checking image references", { error: countError });
+        }
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createInventoryRouter, toInventoryItem };
@@ -0,0 +1,35 @@
+const express = require("express");
+const { toJobStatus } = require("../jobs/queue");
+const { log } = require("../observability/logger");
+
+// Status and results of asynchronous analysis jobs. Jobs created by a signed-in
+// user are only visible to that user; anonymous jobs to anyone with the id.
+// `signResultUrls(result)` refreshes the expiring image links of a stored result.
+function createJobsRouter({ jobQueue, optionalAuth, signResultUrls }) {
+  const router = express.Router();
+  router.use(optionalAuth);
+
+  router.get("/:id", async (req, res) => {
+    try {
+      if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+        return res.status(404).json({ error: "Job not found" });
+      }
+
+      const job = await jobQueue.get(req.params.id);
+      if (!job || (job.user_id && job.user_id !== req.user?.id)) {
+        return res.status(404).json({ error: "Job not found" });
+      }
+
+      const status = toJobStatus(job);
+      if (status.result) status.result = await signResultUrls(status.result);
+      res.json(status);
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createJobsRouter };
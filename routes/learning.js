@@ -0,0 +1,138 @@
+const express = require("express");
+const { log } = require("../observability/logger");
+
+const RULE_STATUSES = ["active", "superseded", "rolled_back"];
+
+function toRule(row) {
+  return {
+    id: row.id,
+    runId: row.run_id,
+    kind: row.kind,
+    label: row.label,
+    food: row.food,
+    delta: row.delta === null ? null : Number(row.delta),
+    support: row.support,
+    agreement: row.agreement === null ? null : Number(row.agreement),
+    status: row.status,
+    createdAt: row.created_at,
+    supersededAt: row.superseded_at,
+    rolledBackAt: row.rolled_back_at,
+    rollbackReason: row.rollback_reason
+  };
+}
+
+// Admin review of rules learned from user corrections: list rules and
+// learning runs, trigger a run, and roll back single rules or everything a
+// run added. Access control is left to the caller (admin scope).
+function createLearningRouter({ supabase, learningJob }) {
+  const router = express.Router();
+  router.use(express.json());
+
+  // ?status=active|superseded|rolled_back|all (default active), ?kind=synonym|freshness
+  router.get("/rules", async (req, res) => {
+    try {
+      const status = req.query.status || "active";
+      if (status !== "all" && !RULE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status: expected one of ${RULE_STATUSES.join(", ")} or all` });
+      }
+      if (req.query.kind && !["synonym", "freshness"].includes(req.query.kind)) {
+        return res.status(400).json({ error: "Invalid kind: expected synonym or freshness" });
+      }
+
+      let query = supabase.from("learned_rules").select("*").order("id", { ascending: false });
+      if (status !== "all") query = query.eq("status", status);
+      if (req.query.kind) query = query.eq("kind", req.query.kind);
+
+      const { data, error } = await query;
+      if (error) {
+        log.error("Error loading learned rules", { error });
+        return res.status(500).json({ error: "Failed to load learned rules" });
+      }
+      res.json({ rules: data.map(toRule) });
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  router.get("/runs", async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("learning_runs")
+        .select("*")
+        .order("id", { ascending: false })
+        .limit(50);
+      if (error) {
+        log.error("Error loading learning runs", { error });
+        return res.status(500).json({ error: "Failed to load learning runs" });
+      }
+      res.json({
+        runs: data.map(run => ({
+          id: run.id,
+          feedbackCount: run.feedback_count,
+          rulesAdded: run.rules_added,
+          rulesSuperseded: run.rules_superseded,
+          createdAt: run.created_at
+        }))
+      });
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  // Learn from the corrections now instead of waiting for the schedule
+  router.post("/runs", async (req, res) => {
+    try {
+      const summary = await learningJob.runOnce();
+      if (!summary) {
+        return res.status(409).json({ error: "A learning run is already in progress" });
+      }
+      res.status(201).json(summary);
+    } catch (error) {
+      log.error("Learning run failed", { error });
+      res.status(500).json({ error: "Learning run failed" });
+    }
+  });
+
+  // Roll back one active rule (body: optional reason). It stops applying at
+  // once and is not learned again.
+  router.post("/rules/:id/rollback", async (req, res) => {
+    try {
+      if (!/^\d+$/.test(req.params.id)) {
+        return res.status(404).json({ error: "No active rule with that id" });
+      }
+
+      const rolledBack = await learningJob.rollback({ ruleId: req.params.id, reason: req.body?.reason || null });
+      if (rolledBack.length === 0) {
+        return res.status(404).json({ error: "No active rule with that id" });
+      }
+      res.json({ rolledBack: rolledBack.map(toRule) });
+    } catch (error) {
+      log.error("Rollback failed", { error });
+      res.status(500).json({ error: "Rollback failed" });
+    }
+  });
+
+  // Roll back every rule a run added that is still active
+  router.post("/runs/:id/rollback", async (req, res) => {
+    try {
+      if (!/^\d+$/.test(req.params.id)) {
+        return res.status(404).json({ error: "No active rules from that run" });
+      }
+
+      const rolledBack = await learningJob.rollback({ runId: req.params.id, reason: req.body?.reason || null });
+      if (rolledBack.length === 0) {
+        return res.status(404).json({ error: "No active rules from that run" });
+      }
+      res.json({ rolledBack: rolledBack.map(toRule) });
+    } catch (error) {
+      log.error("Rollback failed", { error });
+      res.status(500).json({ error: "Rollback failed" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createLearningRouter };
@@ -0,0 +1,129 @@
+const express = require("express");
+const { toCsv, CSV_SECTIONS } = require("../waste");
+const { log } = require("../observability/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Rows per request while loading items; Supabase caps responses at 1000
+const PAGE_SIZE = 1000;
+// User ids per request when filtering by user
+const USER_CHUNK_SIZE = 100;
+const FORMATS = ["json", "csv"];
+const REPORT_COLUMNS = "id, user_id, food_name, food_category, product, freshness_score, quantity, status, status_changed_at, purchase_date, portion_grams, created_at";
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// A range bound: an ISO timestamp, or a date (its whole day when it ends the range)
+function parseBound(value, endOfDay) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return endOfDay && DATE_ONLY.test(value) ? new Date(date.getTime() + DAY_MS - 1) : date;
+}
+
+// Food-waste reports for sustainability reporting (see waste.js), across
+// every user or filtered to a user and/or household, over a date range.
+// Access control is left to the caller (reports scope).
+function createReportsRouter({ supabase, reporter, maxRangeDays, defaultRangeDays }) {
+  const router = express.Router();
+
+  // Pass each page of items scanned or changed status since `from` to
+  // `onPage`, for the given users (all when null). Users are filtered a
+  // chunk at a time so large households do not make the request URL too long.
+  async function forEachItemPage(userIds, from, to, onPage) {
+    const chunks = [];
+    for (let i = 0; userIds && i < userIds.length; i += USER_CHUNK_SIZE) {
+      chunks.push(userIds.slice(i, i + USER_CHUNK_SIZE));
+    }
+
+    for (const chunk of userIds ? chunks : [null]) {
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        let query = supabase
+          .from("food_freshness")
+          .select(REPORT_COLUMNS)
+          .lte("created_at", to.toISOString())
+          .or(`created_at.gte.${from.toISOString()},status_changed_at.gte.${from.toISOString()}`)
+          .order("id", { ascending: true })
+          .range(offset, offset + PAGE_SIZE - 1);
+        if (chunk) query = query.in("user_id", chunk);
+
+        const { data, error } = await query;
+        if (error) throw new Error(`Failed to load items: ${error.message}`);
+        onPage(data);
+        if (data.length < PAGE_SIZE) break;
+      }
+    }
+  }
+
+  async function householdMembers(householdId) {
+    const { data, error } = await supabase
+      .from("household_members")
+      .select("user_id")
+      .eq("household_id", householdId);
+    if (error) throw new Error(`Failed to load household members: ${error.message}`);
+    return data.map(member => member.user_id);
+  }
+
+  // ?from=&to= (ISO dates, default the last defaultRangeDays days), ?userId=,
+  // ?householdId=, ?format=json|csv; CSV exports one ?section= (weekly,
+  // categories or foods; default weekly)
+  router.get("/waste", async (req, res) => {
+    try {
+      const format = req.query.format || "json";
+      if (!FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Invalid format: expected one of ${FORMATS.join(", ")}` });
+      }
+      const section = req.query.section || "weekly";
+      if (!CSV_SECTIONS[section]) {
+        return res.status(400).json({ error: `Invalid section: expected one of ${Object.keys(CSV_SECTIONS).join(", ")}` });
+      }
+
+      const to = req.query.to ? parseBound(req.query.to, true) : new Date();
+      if (!to) return res.status(400).json({ error: "Invalid to: expected an ISO date" });
+      const from = req.query.from ? parseBound(req.query.from, false) : new Date(to.getTime() - defaultRangeDays * DAY_MS);
+      if (!from) return res.status(400).json({ error: "Invalid from: expected an ISO date" });
+      if (from > to) {
+        return res.status(400).json({ error: "Invalid range: from is after to" });
+      }
+      if (to - from > maxRangeDays * DAY_MS) {
+        return res.status(400).json({ error: `Invalid range: at most ${maxRangeDays} days` });
+      }
+
+      const { userId, householdId } = req.query;
+      if (userId !== undefined && !UUID.test(userId)) {
+        return res.status(400).json({ error: "Invalid userId: expected a UUID" });
+      }
+      if (householdId !== undefined && !/^\d+$/.test(householdId)) {
+        return res.status(400).json({ error: "Invalid householdId" });
+      }
+
+      let userIds = userId ? [userId] : null;
+      if (householdId !== undefined) {
+        const members = await householdMembers(householdId);
+        userIds = userId ? members.filter(member => member === userId) : members;
+      }
+
+      const builder = reporter.createReport({ from, to });
+      await forEachItemPage(userIds, from, to, rows => builder.add(rows));
+      const report = {
+        filters: { userId: userId || null, householdId: householdId ? Number(householdId) : null },
+        ...builder.finish()
+      };
+
+      if (format === "csv") {
+        const name = `waste-${section}-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.csv`;
+        res.type("text/csv; charset=utf-8");
+        res.attachment(name);
+        return res.send(toCsv(report, section));
+      }
+
+      res.json(report);
+    } catch (error) {
+      log.error("Waste report failed", { error });
+      res.status(500).json({ error: "Failed to build waste report" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createReportsRouter };
@@ -0,0 +1,79 @@
+const express = require("express");
+const { log } = require("../observability/logger");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Recipe suggestions ranked against the authenticated user's active
+// inventory. `rankRecipes(rows, options)` does the ranking; `diets` and
+// `allergens` are the filter names the recipe dataset defines. Explanations
+// follow ?lang= or Accept-Language.
+function createSuggestionsRouter({ supabase, requireAuth, rankRecipes, diets, allergens, localizer }) {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // ?diet=vegetarian|vegan, ?exclude=<allergen>,<allergen>, ?limit=, ?minCoverage=0..1, ?lang=
+  router.get("/", async (req, res) => {
+    try {
+      let locale;
+      try {
+        locale = localizer.fromRequest(req, res);
+      } catch (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      const diet = req.query.diet || null;
+      if (diet && !diets.includes(diet)) {
+        return res.status(400).json({ error: `Invalid diet: expected one of ${diets.join(", ")}` });
+      }
+
+      const exclude = String(req.query.exclude || "").split(",").map(a => a.trim().toLowerCase()).filter(Boolean);
+      const unknown = exclude.filter(a => !allergens.includes(a));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown allergen ${unknown.join(", ")}: expected any of ${allergens.join(", ")}` });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit || String(DEFAULT_LIMIT), 10), MAX_LIMIT);
+      if (isNaN(limit) || limit < 1) {
+        return res.status(400).json({ error: "Invalid limit" });
+      }
+
+      let minCoverage;
+      if (req.query.minCoverage !== undefined) {
+        minCoverage = parseFloat(req.query.minCoverage);
+        if (isNaN(minCoverage) || minCoverage < 0 || minCoverage > 1) {
+          return res.status(400).json({ error: "Invalid minCoverage: expected a number between 0 and 1" });
+        }
+      }
+
+      const { data, error } = await supabase
+        .from("food_freshness")
+        .select("*")
+        .eq("user_id", req.user.id)
+        .eq("status", "active");
+
+      if (error) {
+        log.error("Error loading inventory for suggestions", { error });
+        return res.status(500).json({ error: "Failed to load inventory" });
+      }
+
+      const { inventoryItems, expiringItems, suggestions } = rankRecipes(data, { diet, allergens: exclude, limit, minCoverage, locale });
+
+      res.json({
+        generatedAt: new Date().toISOString(),
+        language: locale.language,
+        filters: { diet, exclude, minCoverage: minCoverage ?? null },
+        inventoryItems,
+        expiringItems,
+        suggestions
+      });
+    } catch (error) {
+      log.error("Internal Server Error", { error });
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSuggestionsRouter };
@@ -0,0 +1,50 @@
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+
+const DEFAULT_FILE = path.join(__dirname, "knowledge", "rules.json");
+const SCHEMA_FILE = path.join(__dirname, "knowledge", "schema", "rules.schema.json");
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+// Throw with every schema problem so a bad (or badly tuned) rules file fails fast
+function validateRules(rules, file = "rules") {
+  const ajv = new Ajv({ allErrors: true });
+  const validate = ajv.compile(readJson(SCHEMA_FILE));
+
+  if (!validate(rules)) {
+    throw new Error(`Invalid rules: ${validate.errors.map(e => `${file}${e.instancePath || ""}: ${e.message}`).join("; ")}`);
+  }
+
+  if (rules.freshness.minScore > rules.freshness.maxScore) {
+    throw new Error(`Invalid rules: ${file}/freshness: minScore is above maxScore`);
+  }
+
+  // English terms live in the main lists; a separate "en" entry would count them twice
+  if (rules.languages && rules.languages.en) {
+    throw new Error(`Invalid rules: ${file}/languages: English terms belong in freshness and text`);
+  }
+
+  return rules;
+}
+
+// Load the detection and freshness rules (thresholds and indicator weights).
+// `file` (config rules.file, RULES_FILE) points the server at a tuned file
+// written by the evaluation harness; the bundled rules are used without one.
+function loadRules(file) {
+  const rulesFile = file || DEFAULT_FILE;
+  return validateRules(readJson(rulesFile), path.basename(rulesFile));
+}
+
+function saveRules(file, rules) {
+  validateRules(rules, path.basename(file));
+  fs.writeFileSync(file, `${JSON.stringify(rules, null, 2)}\n`);
+}
+
+module.exports = { loadRules, saveRules, validateRules, DEFAULT_RULES_FILE: DEFAULT_FILE };
@@ -0,0 +1,247 @@
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+
+const DEFAULT_FILE = path.join(__dirname, "knowledge", "safety.json");
+const SCHEMA_FILE = path.join(__dirname, "knowledge", "schema", "safety.schema.json");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most severe first
+const SEVERITIES = ["critical", "warning", "info"];
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+// Rule checks by type. Each is a pure function of the item's facts (see
+// itemFacts) and the rule's params, returning null when the rule does not
+// fire or the values its message is filled with.
+const RULE_TYPES = {
+  // Fires whenever the rule's match conditions hold
+  always: () => ({}),
+
+  // Kept longer than params.maxDays since it was bought (or packed)
+  storedTooLong(facts, params) {
+    if (!facts.purchaseDate) return null;
+    const days = Math.floor((facts.now.getTime() - facts.purchaseDate.getTime()) / DAY_MS);
+    return days > params.maxDays ? { count: days, maxDays: params.maxDays, storage: facts.storage } : null;
+  },
+
+  // The printed params.date (useBy or bestBefore) ended before now
+  printedDatePassed(facts, params) {
+    const printed = facts.printedDates[params.date];
+    if (!printed) return null;
+    const date = new Date(`${printed}T23:59:59.999Z`);
+    return date.getTime() < facts.now.getTime() ? { date } : null;
+  },
+
+  // An image label containing one of params.terms, scored at least params.minScore
+  labelPresent(facts, params) {
+    const minScore = params.minScore ?? 0;
+    const label = facts.labels.find(l => l.score >= minScore && params.terms.some(term => l.description.includes(term)));
+    return label ? { label: label.description } : null;
+  },
+
+  // Detection confidence below params.below
+  lowConfidence(facts, params) {
+    return facts.confidence < params.below ? { confidence: Math.round(facts.confidence * 100) } : null;
+  },
+
+  // Freshness score below params.below
+  lowFreshness(facts, params) {
+    return facts.freshnessScore < params.below ? { score: Math.round(facts.freshnessScore * 100) } : null;
+  },
+
+  // Neither a purchase date nor a printed date: the age is a guess
+  unknownAge(facts) {
+    return facts.purchaseDate || facts.printedDates.useBy || facts.printedDates.bestBefore ? null : {};
+  }
+};
+
+// Params each rule type needs
+const REQUIRED_PARAMS = {
+  always: [],
+  storedTooLong: ["maxDays"],
+  printedDatePassed: ["date"],
+  labelPresent: ["terms"],
+  lowConfidence: ["below"],
+  lowFreshness: ["below"],
+  unknownAge: []
+};
+
+// What the rules know about a scored item: its food (the knowledge-base food
+// of a catalog product), category, detection confidence, freshness score,
+// lowercased labels, storage (as given, else the food's default), opened
+// state, purchase date and printed dates, as of `now`
+function itemFacts(item, { storageContext = {}, packageInfo = {}, now = new Date() } = {}) {
+  const { foodInfo } = item;
+  return {
+    food: (foodInfo.product?.food || foodInfo.name || "").toLowerCase(),
+    category: foodInfo.category,
+    confidence: foodInfo.confidence,
+    freshnessScore: item.freshnessScore,
+    labels: (item.labels || []).map(l => ({ description: l.description.toLowerCase(), score: l.score })),
+    storage: item.storageAdvice?.current || storageContext.storage || null,
+    opened: storageContext.opened ?? null,
+    purchaseDate: storageContext.purchaseDate || null,
+    printedDates: { useBy: packageInfo.useBy || null, bestBefore: packageInfo.bestBefore || null },
+    now
+  };
+}
+
+// Whether every condition of a rule's `match` holds for the facts; labels
+// match when they contain a listed term
+function matchesRule(match = {}, facts) {
+  const hasLabel = terms => facts.labels.some(l => terms.some(term => l.description.includes(term)));
+
+  if (match.categories && !match.categories.includes(facts.category)) return false;
+  if (match.foods && !match.foods.includes(facts.food)) return false;
+  if (match.excludeFoods && match.excludeFoods.includes(facts.food)) return false;
+  if (match.labels && !hasLabel(match.labels)) return false;
+  if (match.excludeLabels && hasLabel(match.excludeLabels)) return false;
+  if (match.storage && !match.storage.includes(facts.storage)) return false;
+  if (match.opened !== undefined && facts.opened !== match.opened) return false;
+  return true;
+}
+
+// Run one rule against an item's facts: null, or the values for its message
+function evaluateRule(rule, facts) {
+  if (!matchesRule(rule.match, facts)) return null;
+  return RULE_TYPES[rule.type](facts, rule.params || {});
+}
+
+// Load and validate the food-safety rules: rule ids are unique, each type
+// gets its params and every food, category and storage condition exists in
+// the knowledge base. Throws with every problem found.
+function loadSafetyRules(knowledgeBase, file) {
+  const rulesFile = file || DEFAULT_FILE;
+  const name = path.basename(rulesFile);
+  const data = readJson(rulesFile);
+
+  const ajv = new Ajv({ allErrors: true });
+  const validate = ajv.compile(readJson(SCHEMA_FILE));
+  if (!validate(data)) {
+    throw new Error(`Invalid safety rules: ${validate.errors.map(e => `${name}${e.instancePath || ""}: ${e.message}`).join("; ")}`);
+  }
+
+  const problems = [];
+  const knownFoods = new Set(knowledgeBase.foods.map(food => food.name));
+  const ids = new Set();
+  data.rules.forEach((rule, index) => {
+    const where = `${name}/rules/${index} (${rule.id})`;
+    if (ids.has(rule.id)) problems.push(`${where}: duplicate id`);
+    ids.add(rule.id);
+
+    for (const param of REQUIRED_PARAMS[rule.type].filter(p => rule.params?.[p] === undefined)) {
+      problems.push(`${where}: ${rule.type} rules need params.${param}`);
+    }
+
+    const match = rule.match || {};
+    for (const food of [...(match.foods || []), ...(match.excludeFoods || [])].filter(f => !knownFoods.has(f))) {
+      problems.push(`${where}: unknown food "${food}"`);
+    }
+    for (const category of (match.categories || []).filter(c => !knowledgeBase.categories[c])) {
+      problems.push(`${where}: unknown category "${category}"`);
+    }
+    for (const condition of (match.storage || []).filter(c => !knowledgeBase.storageConditions.includes(c))) {
+      problems.push(`${where}: unknown storage condition "${condition}"`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid safety rules: ${problems.join("; ")}`);
+  }
+
+  return data;
+}
+
+// Food-safety checks run after scoring. Every rule that fires adds a warning
+// ({ rule, severity, action, message }, most severe first); the most severe
+// "discard" rule also overrides the item's expiry estimate, so a colour-based
+// "Good for about 2 days" never stands against a passed use-by date. `locale`
+// (the default language) checks that every rule's message exists.
+function createSafetyEngine(safetyRules, { locale }) {
+  const { rules } = safetyRules;
+
+  const missing = rules.filter(rule => {
+    try {
+      locale.t(rule.message);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  });
+  if (missing.length > 0) {
+    throw new Error(`Invalid safety rules: unknown messages ${missing.map(rule => `"${rule.message}" (${rule.id})`).join(", ")}`);
+  }
+
+  function messageParams(item, values, locale) {
+    const { foodInfo } = item;
+    return {
+      ...values,
+      food: item.catalogMatch ? foodInfo.name : locale.foodName(foodInfo.name),
+      ...(values.date ? { date: locale.formatDate(values.date) } : {}),
+      ...(values.storage ? { storage: locale.storageName(values.storage) } : {})
+    };
+  }
+
+  // The item's safety assessment: { severity (the highest, or null),
+  // warnings, override ({ rule, message } or null) }. Context: storageContext,
+  // packageInfo, locale and now.
+  function evaluate(item, context) {
+    const facts = itemFacts(item, context);
+    const warnings = rules
+      .map(rule => ({ rule, values: evaluateRule(rule, facts) }))
+      .filter(({ values }) => values)
+      .map(({ rule, values }) => ({
+        rule: rule.id,
+        severity: rule.severity,
+        action: rule.action,
+        message: context.locale.t(rule.message, messageParams(item, values, context.locale))
+      }))
+      .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+    const discard = warnings.find(warning => warning.action === "discard");
+    return {
+      severity: warnings.length > 0 ? warnings[0].severity : null,
+      warnings,
+      override: discard ? { rule: discard.rule, message: discard.message } : null
+    };
+  }
+
+  // The scored item with its `safety` assessment; an override replaces the
+  // expiry estimate with the rule's message, expires the item now (or at its
+  // earlier expiry), marks "safety" as the expiry source and advises
+  // discarding it
+  function apply(item, context) {
+    const safety = evaluate(item, context);
+    if (!safety.override) return { ...item, safety };
+
+    const now = context.now || new Date();
+    return {
+      ...item,
+      estimatedExpiry: safety.override.message,
+      expiresAt: item.expiresAt && new Date(item.expiresAt) < now ? item.expiresAt : now.toISOString(),
+      expirySource: "safety",
+      storageAdvice: { ...item.storageAdvice, recommended: null, extraDays: 0, message: context.locale.t("storage.discard") },
+      safety
+    };
+  }
+
+  return { evaluate, apply };
+}
+
+module.exports = {
+  loadSafetyRules,
+  createSafetyEngine,
+  evaluateRule,
+  matchesRule,
+  itemFacts,
+  RULE_TYPES,
+  SEVERITIES,
+  DEFAULT_SAFETY_FILE: DEFAULT_FILE
+};
@@ -0,0 +1,578 @@
+const { decodeImage, cropImage, computeDominantColors } = require("./image");
+const { loadLocales, createLocalizer, BASE_LANGUAGE } = require("./locales");
+const { log } = require("./observability/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Freshness score below which an item counts as spoiled
+const SPOILED_THRESHOLD = 0.2;
+
+// Round trace numbers for readability
+function roundTrace(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+// Food detection, freshness scoring and expiry estimation. Foods, colors and
+// shelf life come from the knowledge base; thresholds and indicator weights
+// come from the rules file, so the evaluation harness can score the same
+// pipeline with different rules. Messages are written in the locale passed
+// with each call, or `options.locale`, or the bundled English locale.
+function createScorer(knowledgeBase, rules, options = {}) {
+  let englishLocale = null;
+  function defaultLocale() {
+    if (options.locale) return options.locale;
+    if (!englishLocale) englishLocale = createLocalizer(loadLocales(knowledgeBase), knowledgeBase).forLanguage(BASE_LANGUAGE);
+    return englishLocale;
+  }
+
+  // Indicator and spoilage term lists of every language in the rules. Package
+  // text is printed in its own language, whatever language the response is
+  // in, so all of them apply; other languages trace as "<language>:<term>".
+  const localized = Object.entries(rules.languages || {});
+  const withRule = (language, entries) => entries.map(entry => ({ ...entry, rule: `${language}:${entry.term}` }));
+  const spoilageIndicators = [
+    ...rules.freshness.spoilageIndicators,
+    ...localized.flatMap(([language, lists]) => withRule(language, lists.spoilageIndicators || []))
+  ];
+  const freshnessIndicators = [
+    ...rules.freshness.freshnessIndicators,
+    ...localized.flatMap(([language, lists]) => withRule(language, lists.freshnessIndicators || []))
+  ];
+  const spoilageTerms = [
+    ...rules.text.spoilageTerms.map(term => ({ term })),
+    ...localized.flatMap(([language, lists]) => withRule(language, (lists.spoilageTerms || []).map(term => ({ term }))))
+  ];
+
+  // Rules learned from user corrections (see learning/), replaced as a whole
+  // whenever a learning run or rollback changes them
+  let learned = { version: "none", synonyms: new Map(), adjustments: new Map() };
+  function setLearnedRules({ version, rules: learnedRules }) {
+    learned = {
+      version,
+      synonyms: new Map(learnedRules.filter(rule => rule.kind === "synonym").map(rule => [rule.label, rule])),
+      adjustments: new Map(learnedRules.filter(rule => rule.kind === "freshness").map(rule => [rule.food, rule]))
+    };
+  }
+
+  // Add OCR words as extra labels so printed words ("fresh", "expired", a
+  // product name) feed detection and freshness like any other label
+  function addTextLabels(labels, text) {
+    if (!text) return labels;
+
+    const words = text.split(/\s+/).filter(word => word.length >= rules.text.minWordLength); // Skip very short words
+    return [
+      ...labels,
+      ...words.map(word => ({
+        description: word,
+        score: rules.text.wordScore, // Assume text detected with high confidence
+        topicality: rules.text.wordScore
+      }))
+    ];
+  }
+
+  // Improved food detection from labels (foods and synonyms come from the knowledge base)
+  function detectFoodType(labels, colors) {
+    // Check for specific foods with higher confidence first
+    for (const label of labels) {
+      const description = label.description.toLowerCase();
+      
+      // Check if the label directly matches a food or one of its synonyms
+      for (const food of knowledgeBase.foods) {
+        if (label.score > rules.detection.exactMatchMinScore && (food.name === description || food.synonyms.includes(description))) {
+          return {
+            name: food.name === description ? label.description : capitalize(food.name),
+            confidence: label.score,
+            category: food.category
+          };
+        }
+      }
+      
+      // Labels users corrected to a food often enough (learned synonyms)
+      const synonym = learned.synonyms.get(description);
+      if (synonym && label.score > rules.detection.exactMatchMinScore) {
+        const food = knowledgeBase.foods.find(f => f.name === synonym.food);
+        if (food) {
+          return { name: capitalize(food.name), confidence: label.score, category: food.category, learnedRuleId: synonym.id };
+        }
+      }
+
+      // Check if the label contains a food name
+      for (const food of knowledgeBase.foods) {
+        for (const term of [food.name, ...food.synonyms]) {
+          if (description.includes(term) && label.score > rules.detection.partialMatchMinScore) {
+            return {
+              name: capitalize(food.name),
+              confidence: label.score,
+              category: food.category
+            };
+          }
+        }
+      }
+    }
+
+    // If no specific food match found with high confidence,
+    // look for food categories or general food terms
+    for (const label of labels) {
+      const description = label.description.toLowerCase();
+      for (const keyword of knowledgeBase.genericFoodTerms) {
+        if (description.includes(keyword) && label.score > rules.detection.genericMatchMinScore) {
+          return {
+            name: label.description,
+            confidence: label.score,
+            category: "other"
+          };
+        }
+      }
+    }
+
+    // Default return if no food detected
+    return {
+      name: labels[0]?.description || "Unknown Food",
+      confidence: labels[0]?.score || 0,
+      category: "unknown"
+    };
+  }
+
+  // Significantly enhanced freshness detection algorithm. Every adjustment and
+  // clamp is appended to `trace` ({ step, rule, trigger, weight, delta, score })
+  // so callers can explain how the score came about.
+  function estimateFreshness(foodInfo, labels, imageAnalysis, trace = []) {
+    // Start with a neutral base score
+    let freshnessScore = rules.freshness.baseScore;
+    trace.push({ step: "base", rule: "neutral", score: freshnessScore });
+
+    const apply = (step, rule, trigger, weight, delta) => {
+      freshnessScore += delta;
+      trace.push({ step, rule, trigger, weight, delta: roundTrace(delta), score: roundTrace(freshnessScore) });
+    };
+
+    const clamp = (rule, value) => {
+      if (value !== freshnessScore) {
+        trace.push({ step: "clamp", rule, before: roundTrace(freshnessScore), score: roundTrace(value) });
+        freshnessScore = value;
+      }
+    };
+    
+    // Check for explicit spoilage or freshness indicators in labels
+    let spoilageFound = false;
+    let freshnessFound = false;
+    
+    for (const label of labels) {
+      const description = label.description.toLowerCase();
+      
+      // Check for spoilage indicators
+      for (const indicator of spoilageIndicators) {
+        if (description.includes(indicator.term)) {
+          apply("spoilageIndicator", indicator.rule || indicator.term, label.description, indicator.weight, indicator.weight * label.score);
+          spoilageFound = true;
+        }
+      }
+      
+      // Check for freshness indicators
+      for (const indicator of freshnessIndicators) {
+        if (description.includes(indicator.term)) {
+          apply("freshnessIndicator", indicator.rule || indicator.term, label.description, indicator.weight, indicator.weight * label.score);
+          freshnessFound = true;
+        }
+      }
+    }
+    
+    // If neither explicit indicators are found, rely more on visual cues and color analysis
+    if (!spoilageFound && !freshnessFound) {
+      // Analyze colors based on food type
+      if (foodInfo.category === "fruits" || foodInfo.category === "vegetables") {
+        const colorAnalysis = analyzeColorsForProduce(foodInfo.name.toLowerCase(), imageAnalysis.colors);
+        for (const contribution of colorAnalysis.contributions) {
+          apply("color", contribution.rule, contribution.trigger, contribution.weight, contribution.delta);
+        }
+        
+        // If we detect very bad color issues, ensure a low score
+        if (colorAnalysis.badColorDetected) {
+          clamp("badColorCap", Math.min(freshnessScore, rules.freshness.badColorCap));
+        }
+      }
+    }
+    
+    // Food-specific freshness indicators
+    applyFoodSpecificRules(foodInfo.name.toLowerCase(), labels, imageAnalysis, (adjustment, detail) => {
+      apply("foodRule", detail.rule, detail.trigger, adjustment, adjustment);
+    });
+    
+    // Per-food adjustment learned from users' fresh/spoiled corrections
+    const knownFood = knowledgeBase.findFood(foodInfo.name);
+    const adjustment = knownFood && learned.adjustments.get(knownFood.name);
+    if (adjustment) {
+      apply("learned", `rule-${adjustment.id}`, knownFood.name, adjustment.delta, adjustment.delta);
+    }
+
+    // Always check for text indicators that might be missed in other steps
+    const textIndicators = checkTextDescriptions(labels);
+    for (const contribution of textIndicators.contributions) {
+      apply("text", contribution.rule, contribution.trigger, contribution.weight, contribution.delta);
+    }
+    
+    if (textIndicators.isSpoiled) {
+      clamp("spoilageTextCap", Math.min(freshnessScore, rules.freshness.spoilageTextCap)); // Cap at low value if spoilage text found
+    }
+    
+    // Ensure score stays within bounds
+    clamp("bounds", Math.max(rules.freshness.minScore, Math.min(rules.freshness.maxScore, freshnessScore)));
+    return freshnessScore;
+  }
+
+  // Helper function for color analysis against the food's healthy/spoiled color ranges
+  function analyzeColorsForProduce(foodName, colors) {
+    let adjustment = 0;
+    let badColorDetected = false;
+    const contributions = [];
+
+    const food = knowledgeBase.findFood(foodName);
+    if (!food) {
+      return { adjustment, badColorDetected, contributions };
+    }
+    
+    // Get dominant colors (top 3)
+    const dominantColors = colors.slice(0, 3);
+
+    const inRange = (color, range) => {
+      const rgb = [color.red || 0, color.green || 0, color.blue || 0];
+      return rgb.every((value, i) => value >= range.min[i] && value <= range.max[i]);
+    };
+
+    const rgbText = color => `R:${color.red || 0}, G:${color.green || 0}, B:${color.blue || 0}`;
+
+    const applyRanges = (ranges, spoiled) => {
+      const kind = spoiled ? "spoiled" : "healthy";
+
+      for (const range of ranges) {
+        if (range.maxPixelFraction !== undefined) {
+          // Area-based range: only counts once matching colors cover enough of the image
+          const fraction = dominantColors
+            .filter(colorData => inRange(colorData.color, range))
+            .reduce((sum, colorData) => sum + (colorData.pixelFraction || 0), 0);
+
+          if (fraction > range.maxPixelFraction) {
+            adjustment += range.weight;
+            contributions.push({ rule: `${kind}:${range.name}`, trigger: `pixelFraction ${roundTrace(fraction)}`, weight: range.weight, delta: range.weight });
+            if (spoiled) badColorDetected = true;
+          }
+          continue;
+        }
+
+        for (const colorData of dominantColors) {
+          if (inRange(colorData.color, range)) {
+            const delta = range.weight * colorData.score; // Weight by color prominence
+            adjustment += delta;
+            contributions.push({ rule: `${kind}:${range.name}`, trigger: rgbText(colorData.color), weight: range.weight, delta });
+            if (spoiled) badColorDetected = true;
+          }
+        }
+      }
+    };
+
+    applyRanges(food.colors.spoiled, true);
+    applyRanges(food.colors.healthy, false);
+    
+    return { adjustment, badColorDetected, contributions };
+  }
+
+  // Helper function for food-specific label rules from the knowledge base
+  function applyFoodSpecificRules(foodName, labels, imageAnalysis, adjustCallback) {
+    const food = knowledgeBase.findFood(foodName);
+    if (!food) return;
+
+    for (const label of labels) {
+      const description = label.description.toLowerCase();
+
+      for (const rule of food.labelRules) {
+        if (label.score > rule.minScore && rule.terms.some(term => description.includes(term))) {
+          adjustCallback(rule.weight, { rule: `${food.name}:${rule.terms.join("|")}`, trigger: label.description });
+        }
+      }
+    }
+  }
+
+  // Helper function to check for spoilage descriptions in text
+  function checkTextDescriptions(labels) {
+    let adjustment = 0;
+    let isSpoiled = false;
+    const contributions = [];
+    const { spoilageWeight } = rules.text;
+    
+    for (const label of labels) {
+      const description = label.description.toLowerCase();
+      
+      for (const { term, rule } of spoilageTerms) {
+        if (description.includes(term)) {
+          adjustment += spoilageWeight * label.score;
+          contributions.push({ rule: rule || term, trigger: label.description, weight: spoilageWeight, delta: spoilageWeight * label.score });
+          isSpoiled = true;
+        }
+      }
+    }
+    
+    return { adjustment, isSpoiled, contributions };
+  }
+
+  // Shelf life profile of a detected item (see knowledgeBase.getShelfLifeProfile).
+  // A catalog product's typical shelf life replaces the knowledge base value for
+  // the condition it is stored in; other conditions come from the food it is,
+  // or its category when the catalog names no food.
+  function shelfLifeProfile(foodInfo) {
+    const { product } = foodInfo;
+    if (!product) return knowledgeBase.getShelfLifeProfile(foodInfo.name, foodInfo.category);
+
+    const profile = knowledgeBase.getShelfLifeProfile(product.food || "", foodInfo.category);
+    const storage = product.storage || profile.defaultStorage;
+    return {
+      defaultStorage: storage,
+      shelfLife: { ...profile.shelfLife, [storage]: product.shelfLifeDays },
+      openedShelfLife: product.openedShelfLifeDays === undefined
+        ? profile.openedShelfLife
+        : { ...profile.openedShelfLife, [storage]: product.openedShelfLifeDays }
+    };
+  }
+
+  // Remaining days of life given the freshness score and optional storage context
+  // ({ storage, opened, purchaseDate }). Baselines come from the knowledge base for
+  // the given storage condition; a purchase date caps the result by the time the
+  // item has already spent in storage.
+  function estimateRemainingDays(foodInfo, freshnessScore, storageContext = {}) {
+    const baseExpiry = knowledgeBase.shelfLifeFromProfile(shelfLifeProfile(foodInfo), storageContext.storage, storageContext.opened);
+    
+    // Use exponential rather than linear scale to better reflect reality
+    // Very low freshness scores get dramatically reduced expiry times
+    let expiryRatio;
+    if (freshnessScore < 0.3) {
+      expiryRatio = freshnessScore * 0.5; // Very short shelf life
+    } else if (freshnessScore < 0.6) {
+      expiryRatio = 0.15 + (freshnessScore - 0.3) * 0.8; // Medium shelf life
+    } else {
+      expiryRatio = 0.39 + (freshnessScore - 0.6) * 1.01; // Close to full shelf life
+    }
+    
+    // Calculate adjusted expiry in days
+    let days = Math.round(baseExpiry * expiryRatio);
+    let pastShelfLife = false;
+
+    if (storageContext.purchaseDate) {
+      const daysStored = Math.floor((Date.now() - storageContext.purchaseDate.getTime()) / DAY_MS);
+      const remainingByAge = baseExpiry - daysStored;
+      pastShelfLife = remainingByAge <= 0;
+      days = Math.max(0, Math.min(days, remainingByAge));
+    }
+
+    return { days, baseExpiry, pastShelfLife };
+  }
+
+  // Improved expiry estimation, as a message in `locale`
+  function estimateExpiry(foodInfo, freshnessScore, storageContext = {}, locale = defaultLocale()) {
+    const { days: adjustedExpiry, pastShelfLife } = estimateRemainingDays(foodInfo, freshnessScore, storageContext);
+    
+    // If the food is almost spoiled (very low freshness score)
+    if (freshnessScore < SPOILED_THRESHOLD) {
+      return locale.t("expiry.spoiled");
+    } else if (pastShelfLife) {
+      return locale.t("expiry.pastShelfLife");
+    } else if (freshnessScore < 0.4 || adjustedExpiry === 0) {
+      return adjustedExpiry === 0 ? locale.t("expiry.consumeNow") : locale.t("expiry.consumeWithin", { count: adjustedExpiry });
+    } else if (freshnessScore < 0.6) {
+      return locale.t("expiry.useWithin", { count: adjustedExpiry });
+    } else if (freshnessScore < 0.8) {
+      return locale.t("expiry.goodFor", { count: adjustedExpiry });
+    } else {
+      return locale.t("expiry.freshFor", { count: adjustedExpiry });
+    }
+  }
+
+  // Concrete expiry timestamp matching estimateExpiry
+  function estimateExpiresAt(foodInfo, freshnessScore, storageContext = {}) {
+    if (freshnessScore < SPOILED_THRESHOLD) {
+      return new Date().toISOString();
+    }
+
+    const { days } = estimateRemainingDays(foodInfo, freshnessScore, storageContext);
+    return new Date(Date.now() + days * DAY_MS).toISOString();
+  }
+
+  // Describe the days left until a printed date
+  function formatDaysLeft(date, locale) {
+    const daysLeft = Math.ceil((date.getTime() - Date.now()) / DAY_MS);
+    if (daysLeft <= 0) return locale.t("printed.today");
+    return locale.t("printed.daysLeft", { count: daysLeft });
+  }
+
+  // Combine the heuristic expiry with dates printed on the package. A use-by
+  // date takes precedence over best-before. Unopened packages that show no
+  // visible spoilage keep until the printed date; otherwise the earlier of the
+  // two wins. Returns the message, timestamp and where the expiry came from.
+  // Printed dates appear in the locale's date format.
+  function applyPrintedDates(freshnessScore, heuristicExpiry, packageInfo, storageContext = {}, locale = defaultLocale()) {
+    const heuristic = { ...heuristicExpiry, expirySource: "heuristic" };
+    const type = packageInfo.useBy ? "useBy" : packageInfo.bestBefore ? "bestBefore" : null;
+    if (!type) return heuristic;
+
+    const printedDate = new Date(`${packageInfo[type]}T23:59:59.999Z`);
+    const expirySource = type === "useBy" ? "printed-use-by" : "printed-best-before";
+    const date = locale.formatDate(printedDate);
+
+    if (printedDate.getTime() < Date.now()) {
+      return {
+        estimatedExpiry: locale.t(type === "useBy" ? "printed.useByPassed" : "printed.bestBeforePassed", { date }),
+        expiresAt: printedDate.toISOString(),
+        expirySource
+      };
+    }
+
+    const trustPrinted = storageContext.opened !== true && freshnessScore >= 0.4;
+    if (trustPrinted || printedDate.getTime() < new Date(heuristic.expiresAt).getTime()) {
+      return {
+        estimatedExpiry: locale.t(type === "useBy" ? "printed.useBy" : "printed.bestBefore", { date, left: formatDaysLeft(printedDate, locale) }),
+        expiresAt: printedDate.toISOString(),
+        expirySource
+      };
+    }
+
+    return heuristic;
+  }
+
+  // Suggest a storage location that extends the item's life. Prefers the best
+  // pantry/fridge option; only suggests freezing when the item is about to expire.
+  function suggestStorage(foodInfo, freshnessScore, storageContext = {}, locale = defaultLocale()) {
+    const profile = shelfLifeProfile(foodInfo);
+    const current = storageContext.storage && profile.shelfLife[storageContext.storage] !== undefined
+      ? storageContext.storage
+      : profile.defaultStorage;
+    const currentDays = profile.shelfLife[current];
+
+    const advice = {
+      current,
+      assumed: !storageContext.storage,
+      recommended: null,
+      extraDays: 0,
+      message: locale.t("storage.keep", { storage: locale.storageName(current) })
+    };
+
+    if (freshnessScore < SPOILED_THRESHOLD) {
+      advice.message = locale.t("storage.discard");
+      return advice;
+    }
+
+    const { days: remainingDays } = estimateRemainingDays(foodInfo, freshnessScore, storageContext);
+    const candidates = Object.entries(profile.shelfLife)
+      .filter(([condition, days]) => condition !== current && days > currentDays)
+      .filter(([condition]) => condition !== "freezer" || remainingDays <= 3)
+      .sort((a, b) => b[1] - a[1]);
+
+    if (candidates.length > 0) {
+      const [recommended, days] = candidates[0];
+      advice.recommended = recommended;
+      advice.extraDays = days - currentDays;
+      advice.message = recommended === "freezer"
+        ? locale.t("storage.freeze")
+        : locale.t("storage.move", { storage: locale.storageName(recommended), count: days - currentDays });
+    }
+
+    return advice;
+  }
+
+
+  // Whole-image box used when no food objects are localized
+  const FULL_IMAGE_BOX = { x: 0, y: 0, width: 1, height: 1 };
+
+  // Score the freshness of one food item against the colors of its region.
+  // Depends only on the annotation and the rules, so results can be cached.
+  function assessFoodItem(foodInfo, labels, colors, boundingBox, hasText) {
+    const imageAnalysis = {
+      colors: colors.map(c => ({
+        color: c.color,
+        score: c.score,
+        pixelFraction: c.pixelFraction
+      })),
+      hasText
+    };
+
+    // Calculate freshness score with enhanced algorithm, keeping the rule trace
+    const trace = [];
+    const freshnessScore = estimateFreshness(foodInfo, labels, imageAnalysis, trace);
+
+    return { foodInfo, freshnessScore, trace, labels, colors, boundingBox };
+  }
+
+  // Add expiry and storage advice to an assessed item. `scanContext` carries
+  // what applies to the whole photo: storageContext, packageInfo and the
+  // locale messages are written in.
+  function estimateItemExpiry(item, scanContext) {
+    const { storageContext, packageInfo, locale = defaultLocale() } = scanContext;
+    const { foodInfo, freshnessScore } = item;
+
+    // Estimate expiry for the storage conditions the item is kept in
+    const heuristicExpiry = {
+      estimatedExpiry: estimateExpiry(foodInfo, freshnessScore, storageContext, locale),
+      expiresAt: estimateExpiresAt(foodInfo, freshnessScore, storageContext)
+    };
+
+    // Printed dates on the package override or bound the heuristic
+    const { estimatedExpiry, expiresAt, expirySource } = applyPrintedDates(freshnessScore, heuristicExpiry, packageInfo, storageContext, locale);
+    const storageAdvice = suggestStorage(foodInfo, freshnessScore, storageContext, locale);
+
+    return { ...item, estimatedExpiry, expiresAt, expirySource, storageAdvice };
+  }
+
+  // Split an image into food items: one per localized food object, scored against
+  // the dominant colors of its own crop. Image-level labels still feed freshness
+  // (a "mold" label applies to the whole scene), but the food type comes from the
+  // object alone. Falls back to a single whole-image item when nothing food-like
+  // is localized (e.g. providers without object localization). Without image
+  // bytes (replayed annotations) objects are scored against whole-image colors.
+  // Returns assessed items without expiry (see estimateItemExpiry).
+  function detectFoodItems(imageBuffer, labels, colors, objects, hasText) {
+    let image = null;
+    if (imageBuffer && objects.length > 0) {
+      try {
+        image = decodeImage(imageBuffer);
+      } catch (error) {
+        log.info("Using whole-image colors for items", { error: error.message });
+      }
+    }
+
+    const items = [];
+    for (const object of objects) {
+      const objectLabel = { description: object.name, score: object.score, topicality: object.score };
+      const foodInfo = detectFoodType([objectLabel], []);
+
+      if (foodInfo.category === "unknown") continue; // Not food (table, person, ...)
+
+      const itemColors = image ? computeDominantColors(cropImage(image, object.boundingBox)) : colors;
+      items.push(assessFoodItem(foodInfo, [objectLabel, ...labels], itemColors, object.boundingBox, hasText));
+    }
+
+    if (items.length === 0) {
+      // Detect food type with confidence
+      const foodInfo = detectFoodType(labels, colors);
+      items.push(assessFoodItem(foodInfo, labels, colors, FULL_IMAGE_BOX, hasText));
+    }
+
+    return items;
+  }
+
+  return {
+    setLearnedRules,
+    learnedVersion: () => learned.version,
+    addTextLabels,
+    detectFoodType,
+    estimateFreshness,
+    estimateExpiry,
+    estimateExpiresAt,
+    applyPrintedDates,
+    suggestStorage,
+    assessFoodItem,
+    estimateItemExpiry,
+    detectFoodItems
+  };
+}
+
+module.exports = { createScorer, DAY_MS, SPOILED_THRESHOLD };
@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+
+// What an API key may be granted. Routes name the scope they need; "admin"
+// also unlocks debug output and test routes.
+const SCOPES = ["analyze", "inventory", "catalog", "reports", "admin"];
+
+// Keys shorter than this are too easy to guess
+const MIN_KEY_LENGTH = 24;
+
+function digest(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+// Parse the API_KEYS secret: a JSON array of { name, key, scopes, rateLimit? }
+// where rateLimit overrides the per-key requests per window. Returns the keys
+// indexed by their SHA-256, so lookups never compare raw keys. Throws with
+// every problem found.
+function parseApiKeys(json) {
+  if (!json) return new Map();
+
+  let entries;
+  try {
+    entries = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid API_KEYS: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error("Invalid API_KEYS: expected a JSON array of { name, key, scopes }");
+  }
+
+  const problems = [];
+  const keys = new Map();
+  const names = new Set();
+  entries.forEach((entry, index) => {
+    const at = `API_KEYS/${index}`;
+    if (!entry || typeof entry.name !== "string" || !entry.name) {
+      problems.push(`${at}: name is required`);
+      return;
+    }
+    if (names.has(entry.name)) problems.push(`${at}: duplicate name "${entry.name}"`);
+    if (typeof entry.key !== "string" || entry.key.length < MIN_KEY_LENGTH) {
+      problems.push(`${at} (${entry.name}): key must be a string of at least ${MIN_KEY_LENGTH} characters`);
+    }
+    if (!Array.isArray(entry.scopes) || entry.scopes.length === 0) {
+      problems.push(`${at} (${entry.name}): scopes must be a non-empty array`);
+    } else {
+      for (const scope of entry.scopes.filter(s => !SCOPES.includes(s))) {
+        problems.push(`${at} (${entry.name}): unknown scope "${scope}", expected any of ${SCOPES.join(", ")}`);
+      }
+    }
+    if (entry.rateLimit !== undefined && !(Number.isInteger(entry.rateLimit) && entry.rateLimit > 0)) {
+      problems.push(`${at} (${entry.name}): rateLimit must be a positive integer`);
+    }
+
+    names.add(entry.name);
+    if (typeof entry.key === "string") {
+      keys.set(digest(entry.key), { name: entry.name, scopes: entry.scopes, rateLimit: entry.rateLimit || null });
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid API_KEYS: ${problems.join("; ")}`);
+  }
+  return keys;
+}
+
+// API key checks for client applications, separate from user sign-in: the
+// key identifies the app (X-API-Key header), a bearer token the user. With
+// `required` every request needs a valid key; otherwise requests without one
+// pass as anonymous clients. In `devMode` admin-only output is open to all.
+function createApiKeyAuth({ keys, required, devMode }) {
+  // Attach req.apiKey ({ name, scopes, rateLimit }) for a valid key; reject unknown keys
+  function identifyClient(req, res, next) {
+    const key = req.get("X-API-Key");
+    if (!key) {
+      if (required) return res.status(401).json({ error: "API key required" });
+      req.apiKey = null;
+      return next();
+    }
+
+    const apiKey = keys.get(digest(key));
+    if (!apiKey) return res.status(401).json({ error: "Invalid API key" });
+    req.apiKey = apiKey;
+    next();
+  }
+
+  // Reject keys without `scope`. Anonymous clients only get here when keys are optional.
+  function requireScope(scope) {
+    return (req, res, next) => {
+      if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ error: `API key lacks the "${scope}" scope` });
+      }
+      next();
+    };
+  }
+
+  // Routes never open to anonymous clients, such as reports across users: a
+  // key with `scope` or the admin scope (anyone in devMode)
+  function requireKeyScope(scope) {
+    return (req, res, next) => {
+      if (devMode || req.apiKey?.scopes.includes(scope) || req.apiKey?.scopes.includes("admin")) return next();
+      if (!req.apiKey) return res.status(401).json({ error: `API key with the "${scope}" scope required` });
+      res.status(403).json({ error: `API key lacks the "${scope}" scope` });
+    };
+  }
+
+  function isAdmin(req) {
+    return devMode || Boolean(req.apiKey?.scopes.includes("admin"));
+  }
+
+  // Admin-only routes: test endpoints and diagnostics
+  function requireAdmin(req, res, next) {
+    if (!isAdmin(req)) return res.status(403).json({ error: "Admin access required" });
+    next();
+  }
+
+  return { identifyClient, requireScope, requireKeyScope, isAdmin, requireAdmin };
+}
+
+module.exports = { parseApiKeys, createApiKeyAuth, SCOPES };
@@ -0,0 +1,72 @@
+const { parseApiKeys, createApiKeyAuth } = require("./apiKeys");
+const { createRateLimiter, rateLimit } = require("./rateLimit");
+
+// Express "trust proxy" value: environment overrides arrive as strings
+function trustProxySetting(value) {
+  if (value === "true" || value === "false") return value === "true";
+  if (typeof value === "string" && /^\d+$/.test(value)) return Number(value);
+  return value;
+}
+
+// An allowlist entry as a matcher: an exact origin, or a "*." wildcard for
+// any subdomain of the rest
+function originMatcher(entry) {
+  const origin = entry.replace(/\/+$/, "");
+  if (!origin.includes("*")) return candidate => candidate === origin;
+
+  const [scheme, host] = origin.split("://");
+  const suffix = host.replace(/^\*\./, ".");
+  return candidate => {
+    const [candidateScheme, candidateHost] = candidate.split("://");
+    return candidateScheme === scheme && Boolean(candidateHost) && candidateHost.endsWith(suffix);
+  };
+}
+
+// Options for the cors middleware from the origin allowlist. Unlisted
+// origins get no CORS headers, so browsers block their requests; "*" allows
+// every origin but without credentials, as browsers require.
+function corsOptions(origins) {
+  const base = {
+    methods: ["POST", "GET", "PUT", "PATCH", "DELETE"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "X-Request-Id"],
+    exposedHeaders: ["Retry-After", "X-RateLimit-Limit", "X-RateLimit-Remaining", "X-Request-Id"]
+  };
+  if (origins.includes("*")) return { ...base, origin: "*", credentials: false };
+
+  const matchers = origins.map(originMatcher);
+  return {
+    ...base,
+    origin: (origin, callback) => callback(null, Boolean(origin) && matchers.some(matches => matches(origin))),
+    credentials: true
+  };
+}
+
+// Request security from the `security` settings and the API_KEYS secret:
+// CORS options, API key checks (see createApiKeyAuth) and sliding-window rate
+// limits per client IP and per API key. Throws for invalid API_KEYS.
+function createSecurityFromConfig(config) {
+  const settings = config.security;
+  const keys = parseApiKeys(config.secrets.apiKeys);
+  const auth = createApiKeyAuth({ keys, required: settings.requireApiKey, devMode: settings.devMode });
+
+  const limits = settings.rateLimit;
+  const limiter = createRateLimiter({ windowMs: limits.windowSeconds * 1000 });
+  const skip = (req, res, next) => next();
+
+  return {
+    keyCount: keys.size,
+    trustProxy: trustProxySetting(settings.trustProxy),
+    corsOptions: corsOptions(settings.corsOrigins),
+    ...auth,
+    // Every request counts against its IP; run before identifyClient so
+    // guessing keys is limited too
+    limitByIp: limits.enabled ? rateLimit(limiter, req => ({ id: `ip:${req.ip}`, limit: limits.perIp })) : skip,
+    // Requests with a key also count against the key, wherever they come from
+    limitByKey: limits.enabled
+      ? rateLimit(limiter, req => req.apiKey && { id: `key:${req.apiKey.name}`, limit: req.apiKey.rateLimit || limits.perKey })
+      : skip,
+    stop: () => limiter.stop()
+  };
+}
+
+module.exports = { createSecurityFromConfig, corsOptions };
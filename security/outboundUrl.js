@@ -0,0 +1,117 @@
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+// Addresses user-supplied URLs must not reach: this host, private networks,
+// link-local (including cloud metadata endpoints), carrier-grade NAT,
+// multicast and reserved ranges. BlockList also applies the IPv4 ranges to
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1); NAT64 is blocked outright.
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv6");
+}
+
+function isBlockedAddress(address) {
+  return BLOCKED.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+function rejected(message) {
+  const error = new Error(message);
+  error.expose = true;
+  error.status = 400;
+  return error;
+}
+
+// Check that a user-supplied URL (callbacks, webhooks) is http(s) and that
+// every address its host resolves to is public, so requests to it cannot
+// reach services behind the firewall; `allowPrivate` skips the address
+// check (local stand-ins in development). Run it when the URL is accepted;
+// postOutbound checks again for each request. Throws an exposed 400 naming
+// the problem; resolves with the parsed URL.
+async function checkOutboundUrl(value, { allowPrivate = false } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw rejected("expected an http(s) URL");
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw rejected("expected an http(s) URL");
+  }
+
+  const host = url.hostname.replace(/^\[(.*)\]$/, "$1");
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw rejected(`host ${host} cannot be resolved`);
+  }
+  if (!allowPrivate && (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address)))) {
+    throw rejected(`host ${host} is not a public address`);
+  }
+
+  return url;
+}
+
+// DNS lookup for outbound connections that fails for blocked addresses. The
+// connection uses the addresses checked here, so a host cannot answer the
+// check with a public address and the connection with a private one.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) return callback(rejected(`host ${hostname} cannot be resolved`));
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(rejected(`host ${hostname} is not a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST `body` to a user-supplied URL; resolves with the response's HTTP
+// status. Unless `allowPrivate`, the URL is checked (see checkOutboundUrl)
+// and the connection pinned to the checked addresses. Redirects are not
+// followed. Gives up after `timeoutMs`.
+async function postOutbound(value, { headers = {}, body, timeoutMs, allowPrivate = false }) {
+  const url = await checkOutboundUrl(value, { allowPrivate });
+  const client = url.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: allowPrivate ? undefined : publicLookup,
+      signal: AbortSignal.timeout(timeoutMs)
+    }, response => {
+      response.resume();
+      response.on("end", () => resolve({ status: response.statusCode }));
+      response.on("error", reject);
+    });
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+module.exports = { checkOutboundUrl, postOutbound, isBlockedAddress };
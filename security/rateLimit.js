@@ -0,0 +1,57 @@
+// Sliding-window request counter. Each client keeps the timestamps of its
+// requests within the last window, so limits hold over any window-long span
+// instead of resetting on clock boundaries. In-process: every instance of the
+// server counts on its own.
+function createRateLimiter({ windowMs }) {
+  const hits = new Map();
+
+  // Count a request from `id` against `limit`. Rejected requests are not
+  // counted. Returns { allowed, limit, remaining, retryAfterMs }.
+  function hit(id, limit, now = Date.now()) {
+    const since = now - windowMs;
+    const times = (hits.get(id) || []).filter(time => time > since);
+
+    if (times.length >= limit) {
+      hits.set(id, times);
+      // A slot frees up when the oldest counted request leaves the window
+      return { allowed: false, limit, remaining: 0, retryAfterMs: times[times.length - limit] + windowMs - now };
+    }
+
+    times.push(now);
+    hits.set(id, times);
+    return { allowed: true, limit, remaining: limit - times.length, retryAfterMs: 0 };
+  }
+
+  // Forget clients with no requests in the last window
+  function sweep(now = Date.now()) {
+    for (const [id, times] of hits) {
+      if (times[times.length - 1] <= now - windowMs) hits.delete(id);
+    }
+  }
+
+  const timer = setInterval(sweep, windowMs);
+  timer.unref();
+
+  return { hit, sweep, size: () => hits.size, stop: () => clearInterval(timer) };
+}
+
+// Express middleware limiting requests per client. `identify(req)` returns
+// { id, limit } for the client to count, or null to let the request through
+// uncounted. Over the limit the response is 429 with Retry-After (seconds).
+function rateLimit(limiter, identify) {
+  return (req, res, next) => {
+    const client = identify(req);
+    if (!client) return next();
+
+    const { allowed, limit, remaining, retryAfterMs } = limiter.hit(client.id, client.limit);
+    res.set("X-RateLimit-Limit", String(limit));
+    res.set("X-RateLimit-Remaining", String(remaining));
+    if (allowed) return next();
+
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({ error: `Too many requests: try again in ${retryAfter}s`, retryAfter });
+  };
+}
+
+module.exports = { createRateLimiter, rateLimit };
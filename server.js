@@ -1,636 +1,1438 @@
 const express = require("express");
 const multer = require("multer");
-const vision = require("@google-cloud/vision");
-const { createClient } = require("@supabase/supabase-js");
-const { S3Client, ListBucketsCommand, PutObjectCommand } = require("@aws-sdk/client-s3");
+const crypto = require("crypto");
 const dotenv = require("dotenv");
 const cors = require("cors");
+const { loadConfig } = require("./config");
+const { createSupabaseClients } = require("./supabase");
+const { createStorage } = require("./storage");
+const { createVisionProvider } = require("./providers");
+const { mapWithConcurrency, expandUploads } = require("./batch");
+const { loadKnowledgeBase } = require("./knowledgeBase");
+const { loadRules } = require("./rules");
+const { createScorer, DAY_MS, SPOILED_THRESHOLD } = require("./scoring");
+const { loadNutrition, createNutritionEstimator } = require("./nutrition");
+const { loadRecipes, createRecipeRanker } = require("./recipes");
+const { loadLocales, createLocalizer } = require("./locales");
+const { loadCatalog, createCatalog, parseCatalogFile, validateProducts } = require("./catalog");
+const { loadPrices, createWasteReporter } = require("./waste");
+const { loadSafetyRules, createSafetyEngine } = require("./safety");
+const { createCodeDecoder } = require("./barcode");
+const { parsePackageText } = require("./packageText");
+const { preprocessImage } = require("./preprocess");
+const { createCacheFromConfig } = require("./cache");
+const { predictSpoilage } = require("./trend");
+const { createAuth } = require("./auth");
+const { createSecurityFromConfig } = require("./security");
+const { checkOutboundUrl } = require("./security/outboundUrl");
+const { log, runWithContext, bindContext, requestContext, protectMetrics, createMetrics, createHealthChecks } = require("./observability");
+const { createInventoryRouter } = require("./routes/inventory");
+const { createAlertsRouter } = require("./routes/alerts");
+const { createChannelsFromConfig } = require("./alerts/channels");
+const { createAlertScheduler } = require("./alerts/scheduler");
+const { createLearningJob } = require("./learning/job");
+const { createJobQueue, toJobStatus } = require("./jobs/queue");
+const { createJobsRouter } = require("./routes/jobs");
+const { createFilesRouter } = require("./routes/files");
+const { createSuggestionsRouter } = require("./routes/suggestions");
+const { createCatalogRouter } = require("./routes/catalog");
+const { createFeedbackRouter } = require("./routes/feedback");
+const { createLearningRouter } = require("./routes/learning");
+const { createReportsRouter } = require("./routes/reports");
+const { createLiveScanServer } = require("./live/socket");
 
 dotenv.config();
 
-// Initialize before creating Express app for early validation
-console.log("Environment Verification:");
-console.log("Supabase URL:", process.env.SUPABASE_URL);
-console.log("Bucket Name: food-images");
+// Load and validate the configuration (config/*.json, environment overrides,
+// secrets from the environment) before anything else is set up
+let config;
+try {
+  config = loadConfig();
+  log.setLevel(config.observability.logLevel);
+  log.info(`Configuration loaded (${config.env}): ${config.storage.backend} storage, bucket '${config.storage.bucket}'`);
+} catch (error) {
+  log.error(error.message);
+  process.exit(1);
+}
+
+if (config.secrets.generatedStorageSigningSecret) {
+  log.warn("STORAGE_SIGNING_SECRET is not set: file links stop working when the server restarts");
+}
+
+// API keys, rate limits and the CORS allowlist
+let security;
+try {
+  security = createSecurityFromConfig(config);
+  log.info(`Security: ${security.keyCount} API key(s)${config.security.requireApiKey ? " (required)" : ""}, ` +
+    `CORS origins ${config.security.corsOrigins.length > 0 ? config.security.corsOrigins.join(", ") : "none"}` +
+    `${config.security.devMode ? ", development mode" : ""}`);
+} catch (error) {
+  log.error("Failed to set up request security", { error: error.message });
+  process.exit(1);
+}
 
 const app = express();
-const port = 5000;
-
-// Enhanced CORS configuration
-app.use(cors({
-    origin: "*",
-    methods: ["POST", "GET"],
-    allowedHeaders: ["Content-Type"],
-    credentials: true,
-}));
+const port = config.server.port;
+app.set("trust proxy", security.trustProxy);
+
+// Request ids for logs (X-Request-Id) and, when enabled, Prometheus metrics
+// (request latency, Vision calls, freshness scores) served at /metrics
+const metrics = config.observability.metricsEnabled ? createMetrics() : null;
+app.use(requestContext);
+if (metrics) app.use(metrics.observeRequests);
+
+// Browsers may only call the API from allowlisted origins
+app.use(cors(security.corsOptions));
+
+// Every request counts against its client IP's rate limit
+app.use(security.limitByIp);
+
+// Client checks for API routes: a valid API key when keys are required, the
+// key's own rate limit, and the scope the route needs (none for public reads)
+function clientAccess(scope) {
+  return [security.identifyClient, security.limitByKey, ...(scope ? [security.requireScope(scope)] : [])];
+}
+
+// Initialize Supabase clients (service role for data and storage, anon for auth)
+const { supabase, anon: supabaseAnon } = createSupabaseClients(config);
+
+// Supabase JWT verification for bearer tokens
+const { requireAuth, optionalAuth } = createAuth({
+  supabase: supabaseAnon,
+  jwtSecret: config.secrets.supabaseJwtSecret
+});
+
+// Expiry alerts: notification channels and the background scheduler
+const alertChannels = createChannelsFromConfig(config);
+const alertScheduler = createAlertScheduler({
+  supabase,
+  channels: alertChannels,
+  intervalMs: config.alerts.intervalMinutes * 60 * 1000,
+  maxAttempts: config.alerts.maxAttempts,
+  retryBaseMs: config.alerts.retryBaseMs
+});
+
+// Asynchronous analysis: durable job queue and its worker pool
+const jobQueue = createJobQueue({
+  supabase,
+  handler: runAnalysisJob,
+  concurrency: config.jobs.concurrency,
+  maxAttempts: config.jobs.maxAttempts,
+  retryBaseMs: config.jobs.retryBaseMs,
+  pollIntervalMs: config.jobs.pollIntervalMs,
+  callbackSecret: config.secrets.jobsCallbackSecret,
+  callbackTimeoutMs: config.jobs.callbackTimeoutMs
+});
+
+// Object storage for uploaded images (s3, supabase or local filesystem)
+const storage = createStorage(config, { supabase });
+
+// Load the food knowledge base (categories, shelf life, color ranges)
+let knowledgeBase;
+try {
+  knowledgeBase = loadKnowledgeBase(config.knowledgeBase.dir);
+  log.info(`Food knowledge base v${knowledgeBase.version} loaded: ${knowledgeBase.foods.length} foods`);
+} catch (error) {
+  log.error("Failed to load food knowledge base", { error: error.message });
+  process.exit(1);
+}
 
-// Validate environment variables before proceeding
-if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY || !process.env.S3_ENDPOINT || !process.env.S3_REGION || !process.env.S3_ACCESS_KEY || !process.env.S3_SECRET_KEY) {
-  console.error("❌ Missing required environment variables");
+// Load the detection and freshness rules (thresholds and weights, tunable offline)
+let scoringRules;
+try {
+  scoringRules = loadRules(config.rules.file);
+  log.info(`Scoring rules v${scoringRules.version} loaded`);
+} catch (error) {
+  log.error("Failed to load scoring rules", { error: error.message });
   process.exit(1);
 }
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
-// Initialize S3 client
-const s3Client = new S3Client({
-  endpoint: process.env.S3_ENDPOINT,
-  region: process.env.S3_REGION,
-  credentials: {
-    accessKeyId: process.env.S3_ACCESS_KEY,
-    secretAccessKey: process.env.S3_SECRET_KEY,
-  },
-  forcePathStyle: true,
+// Load translations, message templates and date formats per language
+let localizer;
+try {
+  localizer = createLocalizer(loadLocales(knowledgeBase, config.locales.dir), knowledgeBase, { defaultLanguage: config.locales.defaultLanguage });
+  log.info(`Locales loaded: ${localizer.languages.join(", ")} (default ${localizer.defaultLanguage})`);
+} catch (error) {
+  log.error("Failed to load locales", { error: error.message });
+  process.exit(1);
+}
+
+const { addTextLabels, detectFoodItems, estimateItemExpiry, setLearnedRules, learnedVersion } = createScorer(knowledgeBase, scoringRules, {
+  locale: localizer.forLanguage(localizer.defaultLanguage)
+});
+
+// Rules learned from user corrections: relearned on a schedule, applied by the scorer
+const learningJob = createLearningJob({
+  supabase,
+  knowledgeBase,
+  settings: config.learning,
+  intervalMs: config.learning.intervalMinutes * 60 * 1000,
+  onChange: setLearnedRules
 });
 
-// Initialize Google Vision client - FIXED INITIALIZATION
-let client;
+// Load the offline nutrition dataset (per 100 g values and portion settings)
+let nutritionData;
 try {
-  // Check which format the credentials are in
-  if (process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
-    // If using the full JSON string in an environment variable
-    const credentials = JSON.parse(process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON);
-    client = new vision.ImageAnnotatorClient({ credentials });
-    console.log("✅ Vision API client initialized using JSON credentials");
-  } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-    // If using a path to a JSON file
-    client = new vision.ImageAnnotatorClient();
-    console.log("✅ Vision API client initialized using credentials file path");
-  } else {
-    console.error("❌ Missing Google Vision API credentials");
-    process.exit(1);
-  }
+  nutritionData = loadNutrition(knowledgeBase, config.nutrition.file);
+  log.info(`Nutrition data v${nutritionData.version} loaded: ${Object.keys(nutritionData.foods).length} foods`);
 } catch (error) {
-  console.error("❌ Failed to initialize Vision API client:", error);
+  log.error("Failed to load nutrition data", { error: error.message });
   process.exit(1);
 }
 
+const { findScale, estimatePortion, estimateNutrition, sumNutrition } = createNutritionEstimator(nutritionData, knowledgeBase);
+
+// Load the bundled recipe dataset used for inventory-based suggestions
+let recipeData;
+try {
+  recipeData = loadRecipes(knowledgeBase, config.recipes.file);
+  log.info(`Recipes v${recipeData.version} loaded: ${recipeData.recipes.length} recipes`);
+} catch (error) {
+  log.error("Failed to load recipes", { error: error.message });
+  process.exit(1);
+}
+
+const recipeRanker = createRecipeRanker(recipeData, knowledgeBase, {
+  spoiledThreshold: SPOILED_THRESHOLD,
+  locale: localizer.forLanguage(localizer.defaultLanguage)
+});
+
+// Load the bundled product catalog for barcode and QR lookups (users import their own on top)
+let catalog;
+try {
+  const catalogData = loadCatalog(knowledgeBase, config.catalog.file);
+  catalog = createCatalog(catalogData, { supabase });
+  log.info(`Product catalog v${catalogData.version} loaded: ${catalogData.products.length} products`);
+} catch (error) {
+  log.error("Failed to load product catalog", { error: error.message });
+  process.exit(1);
+}
+
+// Load food prices for costing waste in reports
+let wasteReporter;
+try {
+  const prices = loadPrices(knowledgeBase, config.reports.pricesFile);
+  wasteReporter = createWasteReporter(prices, { knowledgeBase, estimatePortion, spoiledThreshold: SPOILED_THRESHOLD });
+  log.info(`Prices v${prices.version} loaded: ${Object.keys(prices.foods).length} foods in ${prices.currency}`);
+} catch (error) {
+  log.error("Failed to load prices", { error: error.message });
+  process.exit(1);
+}
+
+// Load the food-safety rules checked after scoring (warnings and discard overrides)
+let safetyEngine;
+try {
+  const safetyRules = loadSafetyRules(knowledgeBase, config.safety.file);
+  safetyEngine = createSafetyEngine(safetyRules, { locale: localizer.forLanguage(localizer.defaultLanguage) });
+  log.info(`Safety rules v${safetyRules.version} loaded: ${safetyRules.rules.length} rules`);
+} catch (error) {
+  log.error("Failed to load safety rules", { error: error.message });
+  process.exit(1);
+}
+
+// Initialize the configured vision provider (google, fixture or local)
+let visionProvider;
+try {
+  visionProvider = createVisionProvider(config.vision, config.secrets);
+  if (metrics) visionProvider = metrics.instrumentProvider(visionProvider);
+  log.info(`Vision provider ready: ${visionProvider.name}`);
+} catch (error) {
+  log.error("Failed to initialize vision provider", { error });
+  process.exit(1);
+}
+
+// Caches for raw annotations (image hash + requested features) and for the
+// derived detection/freshness results (also keyed by rules version), so a rules
+// change re-scores cached annotations without calling the vision API again
+let annotationCache;
+let resultCache;
+try {
+  annotationCache = createCacheFromConfig("annotations", config.cache);
+  resultCache = createCacheFromConfig("results", config.cache);
+  log.info(`Analysis cache: ${annotationCache ? annotationCache.stats().backend : "disabled"}`);
+} catch (error) {
+  log.error("Failed to initialize analysis cache", { error: error.message });
+  process.exit(1);
+}
+
+// Dependency checks behind /healthz and /readyz: the bucket, the database
+// and the vision provider, each reached the way requests reach them
+const health = createHealthChecks({
+  timeoutMs: config.observability.healthCheckTimeoutMs,
+  checks: {
+    storage: () => storage.verify(),
+    database: async () => {
+      const { error } = await supabase.from("food_freshness").select("id").limit(1);
+      if (error) throw new Error(error.message);
+    },
+    vision: () => visionProvider.check()
+  }
+});
+
+// Graceful shutdown: fail readiness so load balancers stop sending traffic,
+// stop the schedulers, finish in-flight requests and running analysis jobs,
+// close live scans and the barcode workers, then exit. Gives up after
+// observability.shutdownTimeoutMs.
+let shuttingDown = false;
+function shutdown(server, signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  const timeoutMs = config.observability.shutdownTimeoutMs;
+  log.info("Shutting down", { signal, timeoutMs });
+  health.markShuttingDown();
+
+  const forceExit = setTimeout(() => {
+    log.error("Shutdown timed out, exiting with work in progress", { timeoutMs });
+    process.exit(1);
+  }, timeoutMs);
+  forceExit.unref();
+
+  alertScheduler.stop();
+  learningJob.stop();
+
+  const serverClosed = new Promise(resolve => server.close(resolve));
+  Promise.all([serverClosed, jobQueue.stop(), liveScans.close()])
+    .then(() => codeDecoder.close())
+    .then(() => {
+      security.stop();
+      log.info("Shutdown complete");
+      process.exit(0);
+    })
+    .catch(error => {
+      log.error("Shutdown failed", { error });
+      process.exit(1);
+    });
+}
+
 // Add bucket verification before starting server
 async function initializeServer() {
   try {
-    // Verify bucket exists using S3
-    const { Buckets } = await s3Client.send(new ListBucketsCommand({}));
-    const bucketExists = Buckets.some(b => b.Name === "food-images");
-
-    if (!bucketExists) {
-      console.error("❌ Bucket verification failed: Bucket 'food-images' not found");
-      console.log("ℹ️ Create the bucket in Supabase Dashboard: Storage → Buckets");
-      process.exit(1);
+    // The local backend only needs its directory; cloud buckets are checked
+    // unless storage.verifyOnStartup is off
+    if (storage.backend === "local" || config.storage.verifyOnStartup) {
+      try {
+        await storage.verify();
+      } catch (error) {
+        log.error(`Bucket verification failed: ${error.message}`);
+        log.info("Create the bucket (Supabase Dashboard: Storage → Buckets) or set STORAGE_BUCKET");
+        process.exit(1);
+      }
+      log.info(`Verified bucket exists: ${storage.bucket} (${storage.backend})`);
     }
 
-    console.log("✅ Verified bucket exists: food-images");
-
     // Start server after successful verification
-    app.listen(port, () => {
-      console.log(`🚀 Server running at http://localhost:${port}`);
+    const server = app.listen(port, () => {
+      log.info(`Server running at http://localhost:${port}`);
+
+      if (config.alerts.enabled) {
+        alertScheduler.start();
+      }
+
+      if (config.jobs.workersEnabled) {
+        jobQueue.start();
+      }
+
+      // Scans use the active learned rules from the start; runs only add new ones
+      learningJob.refresh()
+        .then(({ rules }) => log.info(`Learned rules loaded: ${rules.length} active`))
+        .catch(error => log.error("Failed to load learned rules", { error: error.message }))
+        .then(() => {
+          if (config.learning.enabled) learningJob.start();
+        });
     });
 
+    // WebSocket handshakes for live scans (GET /live)
+    if (config.live.enabled) {
+      server.on("upgrade", liveScans.handleUpgrade(app));
+    }
+
+    process.on("SIGTERM", () => shutdown(server, "SIGTERM"));
+    process.on("SIGINT", () => shutdown(server, "SIGINT"));
+
   } catch (error) {
-    console.error("❌ Server initialization failed:", error);
+    log.error("Server initialization failed", { error });
     process.exit(1);
   }
 }
 
-const upload = multer({ storage: multer.memoryStorage() });
-
-// Improved food detection from labels
-function detectFoodType(labels, colors) {
-  // Food categories with common foods
-  const foodCategories = {
-    fruits: ["apple", "banana", "orange", "strawberry", "grape", "watermelon", "kiwi", 
-             "pineapple", "mango", "peach", "pear", "blueberry", "raspberry", "apricot", 
-             "cherry", "lemon", "lime", "plum", "fig", "date", "pomegranate", "coconut"],
-    vegetables: ["tomato", "potato", "carrot", "broccoli", "cucumber", "lettuce", "spinach", 
-                "pepper", "onion", "garlic", "cauliflower", "cabbage", "eggplant", "peas", 
-                "beans", "corn", "asparagus", "celery", "radish", "beet", "turnip", "zucchini"],
-    grains: ["rice", "bread", "pasta", "cereal", "oats", "wheat", "quinoa", "barley", "flour",
-             "tortilla", "cracker", "bagel", "biscuit", "muffin", "croissant", "pancake"],
-    dairy: ["milk", "cheese", "yogurt", "butter", "cream", "ice cream", "sour cream", 
-            "cottage cheese", "whipped cream", "custard"],
-    proteins: ["chicken", "beef", "pork", "fish", "egg", "tofu", "beans", "nuts", "turkey", 
-              "lamb", "shrimp", "salmon", "tuna", "crab", "lobster", "ham", "bacon", "sausage"]
+// Batch limits: uploaded files per request, images after ZIP expansion, parallel analyses
+const BATCH_MAX_FILES = config.batch.maxFiles;
+const BATCH_MAX_IMAGES = config.batch.maxImages;
+const BATCH_CONCURRENCY = config.batch.concurrency;
+
+// Single images up to images.maxBytes; /analyze/batch accepts larger files
+// (batch.maxUploadBytes) because ZIP archives hold many images
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: config.images.maxBytes } });
+const batchUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: config.batch.maxUploadBytes } });
+const catalogUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: config.catalog.maxImportBytes } });
+
+// Run a multer middleware, answering upload limit violations with a JSON
+// error. Its callback keeps the request's log context.
+function acceptUpload(middleware) {
+  return (req, res, next) => middleware(req, res, bindContext(error => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return res.status(status).json({ error: error.code === "LIMIT_FILE_SIZE" ? "Uploaded file is too large" : error.message });
+    }
+    next(error);
+  }));
+}
+
+// Use `cache` when caching is enabled; `hit` reports whether compute was skipped
+function withCache(cache, key, compute) {
+  return cache ? cache.wrap(key, compute) : compute().then(value => ({ value, hit: false }));
+}
+
+// Provider name plus requested features, so changing the features misses the cache
+function annotationKey(hash) {
+  const features = (visionProvider.features || [])
+    .map(f => (f.maxResults ? `${f.type}:${f.maxResults}` : f.type))
+    .join(",");
+  return `${visionProvider.name}:${features}:${hash}`;
+}
+
+// Run the vision provider, reusing the annotation of an identical upload
+async function annotateImage(imageBuffer, hash) {
+  const started = Date.now();
+  const { value, hit } = await withCache(annotationCache, annotationKey(hash), () => visionProvider.annotate(imageBuffer, { hash }));
+  log.info("Image annotated", { provider: visionProvider.name, hash, cached: hit, durationMs: Date.now() - started });
+  return { annotation: value, cached: hit };
+}
+
+// Detect and score food items, reusing results computed with the same
+// annotation, rules, learned rules and knowledge base versions
+async function assessImage(imageBuffer, hash, labels, colors, objects, hasText) {
+  const key = `${annotationKey(hash)}:rules-${scoringRules.version}:learned-${learnedVersion()}:kb-${knowledgeBase.version}`;
+  const { value, hit } = await withCache(resultCache, key, async () => detectFoodItems(imageBuffer, labels, colors, objects, hasText));
+  return { items: value, cached: hit };
+}
+
+// Barcodes and QR codes in the image (see barcode.decodeCodes), decoded on
+// worker threads. Decoding is local and only depends on the pixels, so
+// results are cached by image hash.
+const codeDecoder = createCodeDecoder({ workers: config.images.decodeWorkers });
+
+async function readCodes(imageBuffer, hash) {
+  const { value } = await withCache(resultCache, `barcodes:${hash}`, () => codeDecoder.decode(imageBuffer));
+  return value;
+}
+
+// Catalog product for the decoded codes, or null. A failed lookup only costs
+// the catalog match, not the analysis.
+async function findProduct(codes, userId) {
+  try {
+    return await catalog.lookup(codes, userId);
+  } catch (error) {
+    log.error("Catalog lookup error", { error });
+    return null;
+  }
+}
+
+// Identify the item a matched code is printed on by the catalog product: the
+// smallest item whose box contains the code, else the most prominent item.
+// That item moves first so the top-level response describes the product.
+function applyCatalogMatch(items, codes, match) {
+  const position = codes.find(c => c.code === match.code)?.position;
+  const contains = box => position && position.x >= box.x && position.x <= box.x + box.width &&
+    position.y >= box.y && position.y <= box.y + box.height;
+  const candidates = items.filter(item => contains(item.boundingBox))
+    .sort((a, b) => a.boundingBox.width * a.boundingBox.height - b.boundingBox.width * b.boundingBox.height);
+  const target = candidates[0] || items[0];
+
+  const { product } = match;
+  const identified = {
+    ...target,
+    foodInfo: { name: product.name, category: product.category, confidence: 1, product },
+    catalogMatch: match
   };
+  return [identified, ...items.filter(item => item !== target)];
+}
 
-  // Check for specific foods with higher confidence first
-  for (const label of labels) {
-    const description = label.description.toLowerCase();
-    
-    // Check if the label directly matches a food
-    for (const category in foodCategories) {
-      if (foodCategories[category].includes(description) && label.score > 0.7) {
-        return {
-          name: label.description,
-          confidence: label.score,
-          category
-        };
-      }
+// Parse optional storage context fields sent with an analysis request.
+// Throws an exposed error for invalid values.
+function parseStorageContext(body = {}) {
+  const context = {};
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.expose = true;
+    error.status = 400;
+    return error;
+  };
+
+  if (body.storage !== undefined && body.storage !== "") {
+    if (!knowledgeBase.storageConditions.includes(body.storage)) {
+      throw invalid(`Invalid storage: expected one of ${knowledgeBase.storageConditions.join(", ")}`);
     }
-    
-    // Check if the label contains a food name
-    for (const category in foodCategories) {
-      for (const food of foodCategories[category]) {
-        if (description.includes(food) && label.score > 0.65) {
-          return {
-            name: food.charAt(0).toUpperCase() + food.slice(1),
-            confidence: label.score,
-            category
-          };
-        }
-      }
+    context.storage = body.storage;
+  }
+
+  if (body.opened !== undefined && body.opened !== "") {
+    const value = String(body.opened).toLowerCase();
+    if (!["true", "false", "1", "0", "yes", "no"].includes(value)) {
+      throw invalid("Invalid opened: expected true or false");
     }
+    context.opened = ["true", "1", "yes"].includes(value);
   }
 
-  // If no specific food match found with high confidence,
-  // look for food categories or general food terms
-  const foodKeywords = ["food", "fruit", "vegetable", "produce", "meal", "dish"];
-  for (const label of labels) {
-    const description = label.description.toLowerCase();
-    for (const keyword of foodKeywords) {
-      if (description.includes(keyword) && label.score > 0.6) {
-        return {
-          name: label.description,
-          confidence: label.score,
-          category: "other"
-        };
-      }
+  if (body.purchaseDate !== undefined && body.purchaseDate !== "") {
+    const purchaseDate = new Date(body.purchaseDate);
+    if (isNaN(purchaseDate.getTime())) {
+      throw invalid("Invalid purchaseDate: expected an ISO date");
+    }
+    if (purchaseDate.getTime() > Date.now() + DAY_MS) {
+      throw invalid("Invalid purchaseDate: date is in the future");
+    }
+    context.purchaseDate = purchaseDate;
+  }
+
+  return context;
+}
+
+// Parse the optional portion reference sent with an analysis request:
+// plateDiameterCm, the diameter of the plate the food is photographed on.
+// Throws an exposed error for invalid values.
+function parsePortionOptions(body = {}) {
+  const options = {};
+
+  if (body.plateDiameterCm !== undefined && body.plateDiameterCm !== "") {
+    const diameter = Number(body.plateDiameterCm);
+    if (!isFinite(diameter) || diameter < 5 || diameter > 60) {
+      const error = new Error("Invalid plateDiameterCm: expected a number between 5 and 60");
+      error.expose = true;
+      error.status = 400;
+      throw error;
     }
+    options.plateDiameterCm = diameter;
+  }
+
+  return options;
+}
+
+// Upload an object to the configured storage
+async function uploadImage(imageBuffer, key, contentType = "image/jpeg") {
+  try {
+    const started = Date.now();
+    await storage.put(key, imageBuffer, contentType);
+    log.info("Image uploaded", { bucket: storage.bucket, key, bytes: imageBuffer.length, durationMs: Date.now() - started });
+    return true;
+  } catch (error) {
+    log.error("Upload error", { bucket: storage.bucket, key, error });
+    return false;
   }
+}
 
-  // Default return if no food detected
+// Delete an object from the configured storage
+async function deleteImage(key) {
+  try {
+    await storage.remove(key);
+    log.info("Deleted image", { key });
+    return true;
+  } catch (error) {
+    log.error("Delete error", { key, error });
+    return false;
+  }
+}
+
+// Expiring link to a stored object (objects are never public), or null
+async function signImageUrl(key) {
+  if (!key) return null;
+  try {
+    return await storage.signedUrl(key, config.storage.signedUrlTtlSeconds);
+  } catch (error) {
+    log.error("Error signing image URL", { error });
+    return null;
+  }
+}
+
+// Fresh signed URLs for an analysis response, whose image info carries the keys
+async function withImageUrls(response) {
+  if (!response.image?.key) return response;
   return {
-    name: labels[0]?.description || "Unknown Food",
-    confidence: labels[0]?.score || 0,
-    category: "unknown"
+    ...response,
+    imageUrl: await signImageUrl(response.image.key),
+    thumbnailUrl: await signImageUrl(response.image.thumbnailKey)
   };
 }
 
-// Significantly enhanced freshness detection algorithm
-function estimateFreshness(foodInfo, labels, imageAnalysis) {
-  // Start with a neutral base score
-  let freshnessScore = 0.5;
-  
-  // Explicit spoilage and freshness indicators with weights
-  const spoilageIndicators = [
-    { term: "mold", weight: -0.5 },
-    { term: "rotten", weight: -0.5 },
-    { term: "spoiled", weight: -0.5 },
-    { term: "stale", weight: -0.4 },
-    { term: "bad", weight: -0.3 },
-    { term: "decay", weight: -0.4 },
-    { term: "black spot", weight: -0.25 },
-    { term: "bruise", weight: -0.2 },
-    { term: "soft spot", weight: -0.25 },
-    { term: "discolored", weight: -0.3 },
-    { term: "fermented", weight: -0.3 },
-    { term: "mushy", weight: -0.25 },
-    { term: "slimy", weight: -0.4 },
-    { term: "wilted", weight: -0.25 },
-    { term: "old", weight: -0.2 },
-    { term: "shriveled", weight: -0.3 },
-    { term: "wrinkled", weight: -0.2 },
-    { term: "dry", weight: -0.2 },
-    { term: "overripe", weight: -0.2 }
-  ];
-  
-  const freshnessIndicators = [
-    { term: "fresh", weight: 0.2 },
-    { term: "ripe", weight: 0.15 },
-    { term: "crisp", weight: 0.15 },
-    { term: "firm", weight: 0.1 },
-    { term: "bright", weight: 0.05 },
-    { term: "vibrant", weight: 0.05 },
-    { term: "juicy", weight: 0.1 }
-  ];
-
-  // Check for explicit spoilage or freshness indicators in labels
-  let spoilageFound = false;
-  let freshnessFound = false;
-  
-  for (const label of labels) {
-    const description = label.description.toLowerCase();
-    
-    // Check for spoilage indicators
-    for (const indicator of spoilageIndicators) {
-      if (description.includes(indicator.term)) {
-        freshnessScore += indicator.weight * label.score;
-        spoilageFound = true;
-      }
-    }
-    
-    // Check for freshness indicators
-    for (const indicator of freshnessIndicators) {
-      if (description.includes(indicator.term)) {
-        freshnessScore += indicator.weight * label.score;
-        freshnessFound = true;
-      }
-    }
+// Stored images are named by content hash; each has a thumbnail alongside
+function thumbnailKeyFor(key) {
+  return key.replace(/\.jpg$/, "_thumb.jpg");
+}
+
+// Store a preprocessed image and its thumbnail under the content hash.
+// Repeated uploads of the same photo reuse the stored objects.
+// Returns the object keys, or null keys when an upload failed.
+async function storeImage(prepared) {
+  const imageKey = `food_${prepared.hash}.jpg`;
+  const thumbnailKey = thumbnailKeyFor(imageKey);
+
+  let reused = false;
+  try {
+    reused = await storage.exists(imageKey) && await storage.exists(thumbnailKey);
+  } catch (error) {
+    log.error("Error checking stored image", { error });
   }
-  
-  // If neither explicit indicators are found, rely more on visual cues and color analysis
-  if (!spoilageFound && !freshnessFound) {
-    // Analyze colors based on food type
-    if (foodInfo.category === "fruits" || foodInfo.category === "vegetables") {
-      const colorAnalysis = analyzeColorsForProduce(foodInfo.name.toLowerCase(), imageAnalysis.colors);
-      freshnessScore += colorAnalysis.adjustment;
-      
-      // If we detect very bad color issues, ensure a low score
-      if (colorAnalysis.badColorDetected) {
-        freshnessScore = Math.min(freshnessScore, 0.3);
-      }
+
+  if (reused) {
+    log.info("Reusing stored image", { key: imageKey });
+    return { imageKey, thumbnailKey, reused };
+  }
+
+  const imageStored = await uploadImage(prepared.image.buffer, imageKey, prepared.image.contentType);
+  const thumbnailStored = imageStored && await uploadImage(prepared.thumbnail.buffer, thumbnailKey, prepared.thumbnail.contentType);
+
+  return { imageKey: imageStored ? imageKey : null, thumbnailKey: thumbnailStored ? thumbnailKey : null, reused };
+}
+
+// Delete a stored image together with its thumbnail
+async function deleteStoredImage(key) {
+  const deleted = await deleteImage(key);
+  await deleteImage(thumbnailKeyFor(key));
+  return deleted;
+}
+
+// Color statistics kept with every scan so changes can be tracked over time
+function summarizeColors(colors) {
+  const totalFraction = colors.reduce((sum, c) => sum + (c.pixelFraction || 0), 0);
+  const meanColor = { red: 0, green: 0, blue: 0 };
+
+  if (totalFraction > 0) {
+    for (const c of colors) {
+      const weight = (c.pixelFraction || 0) / totalFraction;
+      meanColor.red += c.color.red * weight;
+      meanColor.green += c.color.green * weight;
+      meanColor.blue += c.color.blue * weight;
     }
   }
-  
-  // Food-specific freshness indicators
-  applyFoodSpecificRules(foodInfo.name.toLowerCase(), labels, imageAnalysis, (adjustment) => {
-    freshnessScore += adjustment;
-  });
-  
-  // Always check for text indicators that might be missed in other steps
-  const textIndicators = checkTextDescriptions(labels);
-  freshnessScore += textIndicators.adjustment;
-  
-  if (textIndicators.isSpoiled) {
-    freshnessScore = Math.min(freshnessScore, 0.3); // Cap at low value if spoilage text found
+
+  return {
+    meanColor: {
+      red: Math.round(meanColor.red),
+      green: Math.round(meanColor.green),
+      blue: Math.round(meanColor.blue)
+    },
+    dominantColors: colors.slice(0, 3).map(c => ({ color: c.color, pixelFraction: c.pixelFraction }))
+  };
+}
+
+// Validate and store an upload. Invalid images throw exposed 4xx errors.
+// Returns the preprocessed image (see preprocessImage) with its storage keys.
+async function prepareUpload(imageBuffer) {
+  // Sniff the format, apply EXIF orientation, strip metadata, downscale and thumbnail
+  const prepared = await preprocessImage(imageBuffer, config.images);
+
+  // Store under the content hash (identical photos share one object)
+  const { imageKey, thumbnailKey, reused } = await storeImage(prepared);
+
+  if (!imageKey || !thumbnailKey) {
+    const error = new Error("Failed to upload image");
+    error.expose = true;
+    throw error;
   }
-  
-  // Ensure score stays within bounds
-  return Math.max(0.1, Math.min(1.0, freshnessScore));
-}
-
-// Helper function for color analysis
-function analyzeColorsForProduce(foodName, colors) {
-  let adjustment = 0;
-  let badColorDetected = false;
-  
-  // Get dominant colors (top 3)
-  const dominantColors = colors.slice(0, 3);
-  
-  // Analyze based on food type
-  if (foodName.includes("apple")) {
-    // For apples, check for brown colors which indicate spoilage
-    for (const colorData of dominantColors) {
-      const color = colorData.color;
-      const r = color.red || 0;
-      const g = color.green || 0;
-      const b = color.blue || 0;
-      
-      // Detect brown colors (high red, medium green, low blue)
-      if (r > 150 && g > 70 && g < 120 && b < 80) {
-        adjustment -= 0.3 * colorData.score; // Weight by color prominence
-        badColorDetected = true;
-      }
-      
-      // Detect black/very dark colors which might indicate rot
-      if (r < 80 && g < 80 && b < 80) {
-        adjustment -= 0.4 * colorData.score;
-        badColorDetected = true;
-      }
-      
-      // Good colors for apples (red or green)
-      if ((r > 150 && g < 100 && b < 100) || (g > 150 && r < 120 && b < 120)) {
-        adjustment += 0.2 * colorData.score;
-      }
-    }
-  } else if (foodName.includes("banana")) {
-    // For bananas, yellow is good, brown spots are okay, too much brown is bad
-    let brownishPixels = 0;
-    
-    for (const colorData of dominantColors) {
-      const color = colorData.color;
-      const r = color.red || 0;
-      const g = color.green || 0;
-      const b = color.blue || 0;
-      
-      // Detect bright yellow (good)
-      if (r > 200 && g > 180 && b < 100) {
-        adjustment += 0.2 * colorData.score;
-      }
-      
-      // Detect brown (overripe)
-      if (r > 120 && g > 80 && g < 120 && b < 80) {
-        brownishPixels += colorData.pixelFraction;
-      }
-    }
-    
-    // Too much brown is bad
-    if (brownishPixels > 0.5) {
-      adjustment -= 0.3;
-      badColorDetected = true;
-    }
+
+  return { ...prepared, imageKey, thumbnailKey, reused };
+}
+
+// Analyze a live scan's camera frame without storing it (see analyzeUpload
+// for the options); only the frames a confirmed scan keeps are stored, by
+// saveLiveScan. Returns { prepared, records, response }.
+async function analyzeFrame(imageBuffer, options) {
+  const prepared = await preprocessImage(imageBuffer, config.images);
+  const { records, response } = await analyzeUpload({ ...prepared, imageKey: null, thumbnailKey: null, reused: false }, options);
+  return { prepared, records, response };
+}
+
+// Store the frames kept by a confirmed live scan, one object per distinct
+// frame, and save its rows. Returns the inserted rows, or throws an exposed error.
+async function saveLiveScan(entries) {
+  const stored = new Map();
+  for (const { prepared } of entries) {
+    if (!stored.has(prepared.hash)) stored.set(prepared.hash, await storeImage(prepared));
   }
-  // Add more specific food color analysis as needed
-  
-  return { adjustment, badColorDetected };
-}
-
-// Helper function for food-specific rules
-function applyFoodSpecificRules(foodName, labels, imageAnalysis, adjustCallback) {
-  if (foodName.includes("apple")) {
-    // Check for shiny surface (good indicator for apples)
-    for (const label of labels) {
-      if (label.description.toLowerCase().includes("shiny") && label.score > 0.6) {
-        adjustCallback(0.15);
-      }
-      
-      // Keywords that indicate apple spoilage
-      if (label.description.toLowerCase().includes("bruised") && label.score > 0.6) {
-        adjustCallback(-0.25);
-      }
-      
-      if (label.description.toLowerCase().includes("mealy") && label.score > 0.6) {
-        adjustCallback(-0.4);
-      }
-      
-      // Brown spots are bad for apples
-      if ((label.description.toLowerCase().includes("brown") || 
-           label.description.toLowerCase().includes("spot")) && 
-          label.score > 0.6) {
-        adjustCallback(-0.3);
-      }
+
+  const records = entries.map(({ prepared, record }) => {
+    const { imageKey, thumbnailKey } = stored.get(prepared.hash);
+    if (!imageKey || !thumbnailKey) {
+      const error = new Error("Failed to upload image");
+      error.expose = true;
+      throw error;
     }
-  } else if (foodName.includes("banana")) {
-    // Check for banana-specific indicators
-    for (const label of labels) {
-      // Green bananas are underripe but fresh
-      if (label.description.toLowerCase().includes("green") && label.score > 0.7) {
-        adjustCallback(0.2);
-      }
-      
-      // Black bananas are overripe
-      if (label.description.toLowerCase().includes("black") && label.score > 0.7) {
-        adjustCallback(-0.3);
-      }
+    return { ...record, image_key: imageKey, thumbnail_key: thumbnailKey };
+  });
+
+  return saveScanRecords(records);
+}
+
+const liveScans = createLiveScanServer({ settings: config.live, analyzeFrame, saveScan: saveLiveScan });
+
+// A prepared upload without its pixel data, as kept with queued jobs
+function describeUpload(prepared) {
+  const { buffer, ...image } = prepared.image;
+  const { thumbnail, ...rest } = prepared;
+  return { ...rest, image };
+}
+
+// Load a described upload's image back from storage
+async function loadUpload(description) {
+  const buffer = await storage.get(description.imageKey || `food_${description.hash}.jpg`);
+  return { ...description, image: { ...description.image, buffer } };
+}
+
+// Validate, upload, annotate and score a single image. Returns the
+// `food_freshness` rows to persist (one per detected item, sharing a scan id)
+// and the API response, leaving the insert to the caller so batch requests can
+// save every row at once. Options: storageContext, portionOptions (see
+// parsePortionOptions), userId (owner of the scan), locale (language of names
+// and messages) and explain (include the freshness rule trace in the
+// response; it is always stored in analysis_data). Invalid images throw
+// exposed 4xx errors.
+async function analyzeImage(imageBuffer, options = {}) {
+  return analyzeUpload(await prepareUpload(imageBuffer), options);
+}
+
+// Annotate and score an upload that is already prepared and stored
+async function analyzeUpload(prepared, options = {}) {
+  const { storageContext = {}, portionOptions = {}, userId = null, explain = false, debug = false } = options;
+  const locale = options.locale || localizer.forLanguage(localizer.defaultLanguage);
+  const { imageKey, thumbnailKey, reused } = prepared;
+
+  // Run the configured vision provider on the downscaled image (normalized
+  // labels, colors, OCR text and objects), reusing the annotation of a repeated upload
+  const { annotation: result, cached } = await annotateImage(prepared.image.buffer, prepared.hash);
+
+  // Extract data from response
+  const colors = result.colors;
+  const text = result.text;
+  const objects = result.objects || [];
+
+  // Add text data to labels for more comprehensive analysis
+  const labels = addTextLabels(result.labelAnnotations, text);
+
+  // Printed dates, lot codes and product name from the OCR text
+  const packageInfo = parsePackageText(text, { dateOrder: config.ocr.dateOrder });
+
+  // A printed packed-on date stands in for a missing purchase date
+  const effectiveStorageContext = !storageContext.purchaseDate && packageInfo.packedOn
+    ? { ...storageContext, purchaseDate: new Date(packageInfo.packedOn) }
+    : storageContext;
+
+  // Food items and freshness (cacheable), then expiry for this request's storage context
+  const { items: assessed, cached: resultsCached } = await assessImage(prepared.image.buffer, prepared.hash, labels, colors, objects, text.length > 0);
+
+  // Barcodes and QR codes decoded locally; a catalog product takes precedence
+  // over the food the labels suggested for the item it is printed on
+  const codes = await readCodes(prepared.image.buffer, prepared.hash);
+  const catalogMatch = await findProduct(codes, userId);
+  const identified = catalogMatch ? applyCatalogMatch(assessed, codes, catalogMatch) : assessed;
+
+  // Portion size from each item's area against a reference of known size, then
+  // nutrition totals for that many grams. Safety rules run on the scored item
+  // and may override its expiry estimate.
+  const imageSize = { width: prepared.image.width, height: prepared.image.height };
+  const scale = findScale(objects, imageSize, portionOptions);
+  const items = identified.map(identifiedItem => {
+    const scanContext = { storageContext: effectiveStorageContext, packageInfo, locale };
+    const item = safetyEngine.apply(estimateItemExpiry(identifiedItem, scanContext), scanContext);
+    const portion = estimatePortion(item, scale, imageSize);
+    const { product } = item.foodInfo;
+    return { ...item, portion, nutrition: estimateNutrition(product ? product.food || "" : item.foodInfo.name, portion) };
+  });
+  const scanId = crypto.randomUUID();
+  if (metrics) items.forEach(item => metrics.recordFreshness(item.foodInfo.category, item.freshnessScore));
+
+  // Add debug information for development
+  const debugInfo = {
+    topLabels: labels.slice(0, 10).map(l => ({ description: l.description, score: l.score })),
+    dominantColors: colors.slice(0, 3).map(c => ({
+      rgb: `R:${c.color.red}, G:${c.color.green}, B:${c.color.blue}`,
+      score: c.score,
+      pixelFraction: c.pixelFraction
+    })),
+    textFound: text || "None",
+    objects: objects.map(o => ({ name: o.name, score: o.score })),
+    provider: visionProvider.name,
+    annotationCached: cached,
+    resultsCached,
+    rulesVersion: scoringRules.version,
+    portionScale: scale,
+    barcodes: codes
+  };
+
+  // What preprocessing did to the upload
+  const imageInfo = {
+    hash: prepared.hash,
+    format: prepared.format,
+    width: prepared.image.width,
+    height: prepared.image.height,
+    originalWidth: prepared.originalSize.width,
+    originalHeight: prepared.originalSize.height,
+    orientation: prepared.orientation,
+    metadataStripped: prepared.metadataStripped,
+    key: imageKey,
+    thumbnailKey,
+    reused
+  };
+
+  const records = items.map((item, index) => ({
+    scan_id: scanId,
+    user_id: userId,
+    item_index: index,
+    bounding_box: item.boundingBox,
+    food_name: item.foodInfo.name,
+    food_category: item.foodInfo.category,
+    confidence: item.foodInfo.confidence,
+    match_source: item.catalogMatch ? "catalog" : "labels",
+    product: item.catalogMatch ? productInfo(item.catalogMatch) : null,
+    freshness_score: item.freshnessScore,
+    estimated_expiry: item.estimatedExpiry,
+    language: locale.language,
+    expires_at: item.expiresAt,
+    expiry_source: item.expirySource,
+    safety: item.safety,
+    package_info: packageInfo,
+    storage_location: item.storageAdvice.current,
+    opened: storageContext.opened ?? null,
+    purchase_date: storageContext.purchaseDate ? storageContext.purchaseDate.toISOString().slice(0, 10) : null,
+    image_key: imageKey,
+    thumbnail_key: thumbnailKey,
+    image_hash: prepared.hash,
+    portion_grams: item.portion.grams,
+    portion_grams_low: item.portion.low,
+    portion_grams_high: item.portion.high,
+    portion_method: item.portion.method,
+    nutrition: item.nutrition,
+    labels: item.labels.map(l => ({ description: l.description, score: l.score })),
+    color_stats: summarizeColors(item.colors),
+    analysis_data: {
+      ...debugInfo,
+      freshnessTrace: item.trace,
+      dominantColors: item.colors.slice(0, 3).map(c => ({
+        rgb: `R:${c.color.red}, G:${c.color.green}, B:${c.color.blue}`,
+        score: c.score,
+        pixelFraction: c.pixelFraction
+      }))
     }
+  }));
+
+  const formattedItems = items.map(item => ({
+    foodName: item.foodInfo.name,
+    // Catalog product names are shown as they are
+    displayName: item.catalogMatch ? item.foodInfo.name : locale.foodName(item.foodInfo.name),
+    category: item.foodInfo.category,
+    categoryName: locale.categoryName(item.foodInfo.category),
+    confidence: Math.round(item.foodInfo.confidence * 100) / 100,
+    matchSource: item.catalogMatch ? "catalog" : "labels",
+    product: item.catalogMatch ? productInfo(item.catalogMatch) : null,
+    freshnessScore: Math.round(item.freshnessScore * 100) / 100,
+    estimatedExpiry: item.estimatedExpiry,
+    expiresAt: item.expiresAt,
+    expirySource: item.expirySource,
+    safety: item.safety,
+    storageAdvice: item.storageAdvice,
+    boundingBox: item.boundingBox,
+    portion: item.portion,
+    nutrition: item.nutrition,
+    ...(explain ? { explanation: item.trace } : {})
+  }));
+
+  // Top-level fields describe the most prominent item for existing clients
+  const primaryItem = formattedItems[0];
+  const response = {
+    scanId,
+    language: locale.language,
+    foodName: primaryItem.foodName,
+    displayName: primaryItem.displayName,
+    category: primaryItem.category,
+    categoryName: primaryItem.categoryName,
+    confidence: primaryItem.confidence,
+    matchSource: primaryItem.matchSource,
+    product: primaryItem.product,
+    freshnessScore: primaryItem.freshnessScore,
+    estimatedExpiry: primaryItem.estimatedExpiry,
+    expiresAt: primaryItem.expiresAt,
+    expirySource: primaryItem.expirySource,
+    safety: primaryItem.safety,
+    storageAdvice: primaryItem.storageAdvice,
+    packageInfo,
+    // Every code decoded in the image, matched or not
+    barcodes: codes.map(({ format, text, code }) => ({ format, text, code })),
+    portion: primaryItem.portion,
+    nutrition: primaryItem.nutrition,
+    // Every item together, e.g. for logging a whole meal
+    nutritionSummary: {
+      datasetVersion: nutritionData.version,
+      units: nutritionData.nutrients,
+      grams: items.reduce((sum, item) => sum + item.portion.grams, 0),
+      totals: sumNutrition(items.map(item => item.nutrition))
+    },
+    ...(explain ? { explanation: primaryItem.explanation } : {}),
+    // Expiring links; GET /jobs/:id signs them again for stored job results
+    imageUrl: await signImageUrl(imageKey),
+    thumbnailUrl: await signImageUrl(thumbnailKey),
+    image: imageInfo,
+    items: formattedItems,
+    topLabels: labels.slice(0, 5).map(l => ({ description: l.description, score: Math.round(l.score * 100) / 100 })),
+    // Provider and cache internals: admin clients and development mode only
+    ...(debug ? { debug: debugInfo } : {})
+  };
+
+  return { records, response };
+}
+
+// What the response and food_freshness row keep of a catalog match
+function productInfo(match) {
+  const { product } = match;
+  return {
+    code: match.code,
+    format: match.format,
+    text: match.text,
+    source: match.source,
+    name: product.name,
+    brand: product.brand || null,
+    food: product.food || null,
+    shelfLifeDays: product.shelfLifeDays,
+    openedShelfLifeDays: product.openedShelfLifeDays ?? null
+  };
+}
+
+// explain=true as a query parameter or form field adds the freshness rule trace to responses
+function isExplainRequested(req) {
+  return req.query.explain === "true" || req.body?.explain === "true";
+}
+
+// History row recording one scan of an inventory item
+function toHistoryRow(itemId, record) {
+  return {
+    item_id: itemId,
+    user_id: record.user_id,
+    scan_id: record.scan_id,
+    freshness_score: record.freshness_score,
+    color_stats: record.color_stats,
+    image_key: record.image_key,
+    scanned_at: new Date().toISOString()
+  };
+}
+
+// Insert analysis rows plus the first entry of each item's freshness history.
+// Returns the inserted rows, or throws an exposed error.
+async function saveScanRecords(records) {
+  const { data: rows, error } = await supabase.from("food_freshness").insert(records).select();
+
+  if (error) {
+    log.error("Error inserting data", { items: records.length, error });
+    const saveError = new Error("Failed to save analysis");
+    saveError.expose = true;
+    throw saveError;
   }
-  // Add more food-specific rules
-}
-
-// Helper function to check for spoilage descriptions in text
-function checkTextDescriptions(labels) {
-  let adjustment = 0;
-  let isSpoiled = false;
-  
-  const spoilageTerms = [
-    "rotten", "spoiled", "moldy", "decayed", "bad", "stale", "inedible",
-    "overripe", "expired", "off", "sour", "fermented", "decomposed"
-  ];
-  
-  for (const label of labels) {
-    const description = label.description.toLowerCase();
-    
-    for (const term of spoilageTerms) {
-      if (description.includes(term)) {
-        adjustment -= 0.3 * label.score;
-        isSpoiled = true;
-      }
-    }
+
+  const { error: historyError } = await supabase
+    .from("freshness_history")
+    .insert(rows.map((row, index) => toHistoryRow(row.id, records[index])));
+
+  if (historyError) {
+    // The analysis itself is saved; only trend tracking misses this scan
+    log.error("Error inserting freshness history", { error: historyError });
+  }
+
+  log.info("Analysis saved", { scanIds: [...new Set(rows.map(row => row.scan_id))], itemIds: rows.map(row => row.id) });
+
+  return rows;
+}
+
+// Attach a re-scan to an existing inventory item: append it to the item's
+// history, refresh the item with the latest scan and, once enough scans
+// exist, replace the single-shot expiry with the trend prediction
+async function attachScanToItem(item, records) {
+  const record = records.find(r => r.food_name.toLowerCase() === item.food_name.toLowerCase()) || records[0];
+
+  const { error: historyError } = await supabase
+    .from("freshness_history")
+    .insert([toHistoryRow(item.id, record)]);
+
+  if (historyError) {
+    log.error("Error inserting freshness history", { error: historyError });
+    const saveError = new Error("Failed to save analysis");
+    saveError.expose = true;
+    throw saveError;
+  }
+
+  const { data: history, error: loadError } = await supabase
+    .from("freshness_history")
+    .select("*")
+    .eq("item_id", item.id)
+    .order("scanned_at", { ascending: true });
+
+  if (loadError) {
+    log.error("Error loading freshness history", { error: loadError });
   }
-  
-  return { adjustment, isSpoiled };
-}
-
-// Improved expiry estimation
-function estimateExpiry(foodInfo, freshnessScore) {
-  // Baseline expiry days by category (when at 100% freshness)
-  const baseExpiryByCategory = {
-    fruits: 7,
-    vegetables: 5,
-    grains: 90,
-    dairy: 7,
-    proteins: 3,
-    unknown: 4,
-    other: 4
+
+  const prediction = history ? predictSpoilage(history, SPOILED_THRESHOLD) : null;
+
+  const changes = {
+    freshness_score: record.freshness_score,
+    estimated_expiry: record.estimated_expiry,
+    language: record.language,
+    expires_at: record.expires_at,
+    expiry_source: record.expiry_source,
+    safety: record.safety,
+    labels: record.labels,
+    color_stats: record.color_stats,
+    analysis_data: record.analysis_data,
+    image_key: record.image_key,
+    thumbnail_key: record.thumbnail_key,
+    image_hash: record.image_hash,
+    portion_grams: record.portion_grams,
+    portion_grams_low: record.portion_grams_low,
+    portion_grams_high: record.portion_grams_high,
+    portion_method: record.portion_method,
+    nutrition: record.nutrition,
+    product: record.product,
+    match_source: record.match_source,
+    updated_at: new Date().toISOString()
   };
-  
-  // Food-specific overrides
-  const specificFoodExpiry = {
-    "banana": 5,
-    "strawberry": 3,
-    "bread": 6,
-    "milk": 7,
-    "yogurt": 10,
-    "chicken": 2,
-    "fish": 1,
-    "lettuce": 4,
-    "spinach": 3,
-    "avocado": 3,
-    "tomato": 5,
-    "apple": 14,
-    "orange": 10,
-    "carrot": 21,
-    "potato": 28,
-    "onion": 30,
-    "garlic": 90,
-    "rice": 365,
-    "pasta": 365,
-    "egg": 21
+
+  // Printed use-by dates and safety overrides stay authoritative; otherwise the trend wins
+  if (prediction?.spoilDate && !["printed-use-by", "safety"].includes(record.expiry_source)) {
+    const days = Math.floor(prediction.daysLeft);
+    changes.expires_at = prediction.spoilDate;
+    changes.expiry_source = "trend";
+    const locale = localizer.forLanguage(record.language);
+    changes.estimated_expiry = days === 0
+      ? locale.t("trend.spoilNow")
+      : locale.t("trend.spoilIn", { count: days });
+  }
+
+  const { data: updated, error } = await supabase
+    .from("food_freshness")
+    .update(changes)
+    .eq("id", item.id)
+    .select()
+    .single();
+
+  if (error) {
+    log.error("Error updating item", { error });
+    const saveError = new Error("Failed to save analysis");
+    saveError.expose = true;
+    throw saveError;
+  }
+
+  return { updated, prediction, record };
+}
+
+// Load an item from the user's inventory for a re-scan. Throws exposed errors.
+async function loadItemForRescan(itemId, userId) {
+  const fail = (message, status) => {
+    const error = new Error(message);
+    error.expose = true;
+    error.status = status;
+    return error;
   };
-  
-  // Get base expiry days
-  let baseExpiry = baseExpiryByCategory[foodInfo.category] || 4;
-  
-  // Override with specific food values if available
-  for (const [food, days] of Object.entries(specificFoodExpiry)) {
-    if (foodInfo.name.toLowerCase().includes(food)) {
-      baseExpiry = days;
-      break;
-    }
+
+  if (!userId) {
+    throw fail("Authentication required to re-scan an item", 401);
   }
-  
-  // Use exponential rather than linear scale to better reflect reality
-  // Very low freshness scores get dramatically reduced expiry times
-  let expiryRatio;
-  if (freshnessScore < 0.3) {
-    expiryRatio = freshnessScore * 0.5; // Very short shelf life
-  } else if (freshnessScore < 0.6) {
-    expiryRatio = 0.15 + (freshnessScore - 0.3) * 0.8; // Medium shelf life
-  } else {
-    expiryRatio = 0.39 + (freshnessScore - 0.6) * 1.01; // Close to full shelf life
+
+  const { data, error } = await supabase
+    .from("food_freshness")
+    .select("*")
+    .eq("id", itemId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    log.error("Error loading item", { error });
+    throw fail("Failed to load item", 500);
   }
-  
-  // Calculate adjusted expiry in days
-  let adjustedExpiry = Math.round(baseExpiry * expiryRatio);
-  
-  // If the food is almost spoiled (very low freshness score)
-  if (freshnessScore < 0.2) {
-    return "Already spoiled or unsafe to consume";
-  } else if (freshnessScore < 0.4) {
-    return `Consume immediately${adjustedExpiry === 0 ? '' : ` or within ${adjustedExpiry} day${adjustedExpiry !== 1 ? 's' : ''}`}`;
-  } else if (freshnessScore < 0.6) {
-    return `Use within ${adjustedExpiry} day${adjustedExpiry !== 1 ? 's' : ''}`;
-  } else if (freshnessScore < 0.8) {
-    return `Good for about ${adjustedExpiry} day${adjustedExpiry !== 1 ? 's' : ''}`;
-  } else {
-    return `Fresh for approximately ${adjustedExpiry} day${adjustedExpiry !== 1 ? 's' : ''}`;
+  if (!data) {
+    throw fail("Item not found", 404);
   }
+
+  return data;
 }
 
-// Upload Image to Supabase Storage
-async function uploadImageToSupabase(imageBuffer, fileName) {
-  try {
-    console.log(`📤 Attempting upload to bucket 'food-images' as ${fileName}`);
+// Persist an analysis: attach it to `existingItem` as a re-scan, or save one
+// inventory row per detected item. Returns the final API response.
+async function saveAnalysis(records, response, existingItem) {
+  if (existingItem) {
+    const { updated, prediction, record } = await attachScanToItem(existingItem, records);
 
-    const params = {
-      Bucket: "food-images",
-      Key: fileName,
-      Body: imageBuffer,
-      ContentType: "image/jpeg",
+    return {
+      ...response,
+      itemId: updated.id,
+      rescan: {
+        freshnessScore: Math.round(record.freshness_score * 100) / 100,
+        estimatedExpiry: updated.estimated_expiry,
+        expiresAt: updated.expires_at,
+        expirySource: updated.expiry_source,
+        prediction
+      }
     };
+  }
 
-    await s3Client.send(new PutObjectCommand(params));
+  // Save one row per detected item to Supabase DB
+  const rows = await saveScanRecords(records);
 
-    console.log("✅ Upload successful:", fileName);
-    return `${process.env.SUPABASE_URL}/storage/v1/object/public/food-images/${fileName}`;
-  } catch (error) {
-    console.error("❌ Upload error:", error);
-    return null;
-  }
+  // Report inventory ids so clients can attach later re-scans
+  rows.forEach((row, index) => {
+    response.items[index].itemId = row.id;
+  });
+  response.itemId = rows[0].id;
+
+  return response;
 }
 
-// API Route: Upload & Analyze Image
-app.post("/analyze", upload.single("image"), async (req, res) => {
+// async=true (query or form field) or a callbackUrl queues the analysis
+function isAsyncRequested(req) {
+  return req.query.async === "true" || req.body?.async === "true" || Boolean(req.body?.callbackUrl);
+}
+
+// Run a queued analysis job: reload the stored upload, analyze and save it.
+// Its log lines carry the job id and the id of the request that queued it.
+function runAnalysisJob(job) {
+  return runWithContext({ requestId: job.options.requestId || null, jobId: job.id }, () => analyzeJob(job));
+}
+
+async function analyzeJob(job) {
+  const { userId, itemId, explain, debug, storage, portion, lang } = job.options;
+  const storageContext = parseStorageContext(storage);
+  const portionOptions = parsePortionOptions(portion);
+  const locale = localizer.forLanguage(lang);
+  const existingItem = itemId ? await loadItemForRescan(itemId, userId) : null;
+  const prepared = await loadUpload(job.upload);
+
+  const { records, response } = await analyzeUpload(prepared, { storageContext, portionOptions, userId, explain, debug, locale });
+  return saveAnalysis(records, response, existingItem);
+}
+
+// API Route: Upload & Analyze Image. With async=true or a callbackUrl the
+// upload is validated and stored, then analyzed by the job workers: the
+// response is 202 with a job id to poll at GET /jobs/:id.
+app.post("/analyze", clientAccess("analyze"), optionalAuth, acceptUpload(upload.single("image")), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: "No image uploaded" });
     }
 
-    console.log("📨 Received analysis request");
-
-    // Upload to Supabase
-    const fileName = `food_${Date.now()}.jpg`;
-    const imageUrl = await uploadImageToSupabase(req.file.buffer, fileName);
+    log.info("Received analysis request");
 
-    if (!imageUrl) {
-      return res.status(500).json({ error: "Failed to upload image" });
+    // Optional storage context: storage (pantry/fridge/freezer), opened, purchaseDate,
+    // plateDiameterCm as the reference for portion sizes, and lang for names and messages
+    let storageContext;
+    let portionOptions;
+    let locale;
+    try {
+      storageContext = parseStorageContext(req.body);
+      portionOptions = parsePortionOptions(req.body);
+      locale = localizer.fromRequest(req, res);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
     }
 
-    // Google Vision API - Use multiple features for better analysis
-    const features = [
-      { type: 'LABEL_DETECTION', maxResults: 20 },
-      { type: 'IMAGE_PROPERTIES' },
-      { type: 'TEXT_DETECTION' }
-    ];
+    // Optional itemId: this photo is a re-scan of an item already in the user's inventory
+    const existingItem = req.body.itemId ? await loadItemForRescan(req.body.itemId, req.user?.id) : null;
 
-    const request = {
-      image: { content: req.file.buffer },
-      features: features
-    };
-
-    // Use annotateImage instead of annotate
-    const [result] = await client.annotateImage(request);
-
-    // Extract data from response
-    const labels = result.labelAnnotations || [];
-    const colors = result.imagePropertiesAnnotation?.dominantColors?.colors || [];
-    const textAnnotations = result.textAnnotations || [];
-
-    // Add text data to labels for more comprehensive analysis
-    if (textAnnotations.length > 0) {
-      const text = textAnnotations[0].description;
-      const words = text.split(/\s+/);
-
-      words.forEach(word => {
-        if (word.length > 2) { // Skip very short words
-          labels.push({
-            description: word,
-            score: 0.8, // Assume text detected with high confidence
-            topicality: 0.8
-          });
+    if (isAsyncRequested(req)) {
+      // Callbacks go to public addresses only, and only for signed-in users
+      const { callbackUrl } = req.body;
+      if (callbackUrl !== undefined) {
+        if (!req.user) {
+          return res.status(401).json({ error: "Authentication required for callbackUrl" });
+        }
+        try {
+          await checkOutboundUrl(callbackUrl);
+        } catch (error) {
+          return res.status(400).json({ error: `Invalid callbackUrl: ${error.message}` });
         }
+      }
+
+      const prepared = await prepareUpload(req.file.buffer);
+      const job = await jobQueue.enqueue({
+        userId: req.user?.id,
+        upload: describeUpload(prepared),
+        options: {
+          userId: req.user?.id || null,
+          itemId: existingItem ? existingItem.id : null,
+          explain: isExplainRequested(req),
+          debug: security.isAdmin(req),
+          storage: { storage: req.body.storage, opened: req.body.opened, purchaseDate: req.body.purchaseDate },
+          portion: portionOptions,
+          lang: locale.language,
+          requestId: req.id
+        },
+        callbackUrl
       });
+
+      return res.status(202).location(`/jobs/${job.id}`).json(toJobStatus(job));
     }
 
-    const imageAnalysis = {
-      colors: colors.map(c => ({
-        color: c.color,
-        score: c.score,
-        pixelFraction: c.pixelFraction
-      })),
-      hasText: textAnnotations.length > 0
-    };
+    // Scans from signed-in users land in their inventory
+    const { records, response } = await analyzeImage(req.file.buffer, {
+      storageContext,
+      portionOptions,
+      userId: req.user?.id,
+      locale,
+      explain: isExplainRequested(req),
+      debug: security.isAdmin(req)
+    });
+
+    res.json(await saveAnalysis(records, response, existingItem));
+
+  } catch (error) {
+    log.error("Internal Server Error", { error });
+    res.status(error.expose ? error.status || 500 : 500).json({ error: error.expose ? error.message : "Internal Server Error" });
+  }
+});
 
-    // Detect food type with confidence
-    const foodInfo = detectFoodType(labels, colors);
+// Live camera scan over WebSocket (see live/socket.js): frames are sampled,
+// analyzed and tracked until the client confirms the scan. Query parameters:
+// storage, opened, purchaseDate, plateDiameterCm and lang, as for /analyze.
+if (config.live.enabled) {
+  app.get("/live", clientAccess("analyze"), optionalAuth, (req, res) => {
+    let options;
+    try {
+      options = {
+        storageContext: parseStorageContext(req.query),
+        portionOptions: parsePortionOptions(req.query),
+        locale: localizer.fromRequest(req, res),
+        userId: req.user?.id,
+        debug: security.isAdmin(req)
+      };
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
 
-    // Calculate freshness score with enhanced algorithm
-    const freshnessScore = estimateFreshness(foodInfo, labels, imageAnalysis);
+    liveScans.accept(req, res, options);
+  });
+}
 
-    // Estimate expiry
-    const estimatedExpiry = estimateExpiry(foodInfo, freshnessScore);
+// API Route: Upload & Analyze many images (multipart files and/or ZIP archives)
+app.post("/analyze/batch", clientAccess("analyze"), optionalAuth, acceptUpload(batchUpload.array("images", BATCH_MAX_FILES)), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: "No images uploaded" });
+    }
 
-    // Add debug information for development
-    const debugInfo = {
-      topLabels: labels.slice(0, 10).map(l => ({ description: l.description, score: l.score })),
-      dominantColors: colors.slice(0, 3).map(c => ({
-        rgb: `R:${c.color.red}, G:${c.color.green}, B:${c.color.blue}`,
-        score: c.score,
-        pixelFraction: c.pixelFraction
-      })),
-      textFound: textAnnotations.length > 0 ? textAnnotations[0].description : "None"
-    };
+    // Storage context, plate diameter and language apply to every image in the batch
+    let images;
+    let storageContext;
+    let portionOptions;
+    let locale;
+    try {
+      storageContext = parseStorageContext(req.body);
+      portionOptions = parsePortionOptions(req.body);
+      locale = localizer.fromRequest(req, res);
+      images = expandUploads(req.files, {
+        maxImages: BATCH_MAX_IMAGES,
+        maxImageBytes: config.images.maxBytes,
+        maxTotalBytes: config.batch.maxUploadBytes
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (images.length === 0) {
+      return res.status(400).json({ error: "No images found in upload" });
+    }
+
+    log.info("Received batch analysis request", { images: images.length });
+
+    // Analyze with bounded concurrency; a failing image only fails its own entry
+    const outcomes = await mapWithConcurrency(images, BATCH_CONCURRENCY, async (image) => {
+      try {
+        return await analyzeImage(image.buffer, {
+          storageContext,
+          portionOptions,
+          userId: req.user?.id,
+          locale,
+          explain: isExplainRequested(req),
+          debug: security.isAdmin(req)
+        });
+      } catch (error) {
+        log.error("Batch item failed", { fileName: image.name, error });
+        return { error: error.expose ? error.message : "Analysis failed" };
+      }
+    });
 
-    // Save result to Supabase DB
-    const { data, error } = await supabase.from("food_freshness").insert([
-      {
-        food_name: foodInfo.name,
-        food_category: foodInfo.category,
-        confidence: foodInfo.confidence,
-        freshness_score: freshnessScore,
-        estimated_expiry: estimatedExpiry,
-        image_url: imageUrl,
-        labels: labels.map(l => ({ description: l.description, score: l.score })),
-        analysis_data: debugInfo
+    // Save every successful analysis in a single insert
+    const succeeded = outcomes.filter(o => !o.error);
+    const records = succeeded.flatMap(o => o.records);
+    if (records.length > 0) {
+      let rows;
+      try {
+        rows = await saveScanRecords(records);
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
       }
-    ]);
 
-    if (error) {
-      console.error("❌ Error inserting data:", error);
-      return res.status(500).json({ error: "Failed to save analysis" });
+      // Rows come back in record order: report each image's inventory ids
+      let next = 0;
+      for (const { response } of succeeded) {
+        for (const item of response.items) item.itemId = rows[next++].id;
+        response.itemId = response.items[0]?.itemId ?? null;
+      }
     }
 
+    const results = outcomes.map((outcome, index) => outcome.error
+      ? { index, fileName: images[index].name, status: "error", error: outcome.error }
+      : { index, fileName: images[index].name, status: "ok", ...outcome.response });
+
     res.json({
-      foodName: foodInfo.name,
-      category: foodInfo.category,
-      confidence: Math.round(foodInfo.confidence * 100) / 100,
-      freshnessScore: Math.round(freshnessScore * 100) / 100,
-      estimatedExpiry,
-      imageUrl,
-      topLabels: labels.slice(0, 5).map(l => ({ description: l.description, score: Math.round(l.score * 100) / 100 })),
-      debug: debugInfo // Include in development, remove in production
+      total: results.length,
+      succeeded: succeeded.length,
+      failed: results.length - succeeded.length,
+      results
     });
 
   } catch (error) {
-    console.error("❌ Internal Server Error:", error);
+    log.error("Internal Server Error", { error });
     res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
-// Test Endpoint for Bucket Connectivity
-app.post("/test-upload", async (req, res) => {
+// API Route: List foods in the knowledge base (optional ?category= and ?q=
+// filters; ?q= also matches names in the request language)
+app.get("/foods", clientAccess(null), (req, res) => {
+  const category = req.query.category;
+  const query = (req.query.q || "").toLowerCase();
+
+  if (category && !knowledgeBase.categories[category]) {
+    return res.status(400).json({ error: `Unknown category: ${category}` });
+  }
+
+  let locale;
   try {
-    console.log("🧪 Running bucket connectivity test");
-    const testContent = Buffer.from("Integration test - delete me");
+    locale = localizer.fromRequest(req, res);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
 
-    const params = {
-      Bucket: "food-images",
-      Key: "connection-test.txt",
-      Body: testContent,
-    };
+  const foods = knowledgeBase.foods
+    .filter(food => !category || food.category === category)
+    .filter(food => !query || [food.name, ...food.synonyms, locale.foodName(food.name).toLowerCase()].some(term => term.includes(query)))
+    .map(food => ({
+      name: food.name,
+      displayName: locale.foodName(food.name),
+      category: food.category,
+      categoryName: locale.categoryName(food.category),
+      synonyms: food.synonyms,
+      defaultStorage: food.defaultStorage,
+      shelfLife: food.shelfLife,
+      hasColorProfile: food.colors.healthy.length > 0 || food.colors.spoiled.length > 0
+    }));
 
-    await s3Client.send(new PutObjectCommand(params));
+  res.json({
+    version: knowledgeBase.version,
+    language: locale.language,
+    categories: Object.keys(knowledgeBase.categories),
+    storageConditions: knowledgeBase.storageConditions,
+    count: foods.length,
+    foods
+  });
+});
 
-    console.log("✅ Bucket connectivity verified");
-    res.json({ status: "success", message: "Bucket connection working" });
+// API Routes: Per-user inventory (list, get, update, delete)
+app.use("/inventory", clientAccess("inventory"), createInventoryRouter({
+  supabase,
+  requireAuth,
+  deleteImage: deleteStoredImage,
+  signUrl: signImageUrl,
+  storageConditions: knowledgeBase.storageConditions,
+  spoiledThreshold: SPOILED_THRESHOLD,
+  localizer
+}));
+
+// API Routes: Recipe suggestions that use up expiring inventory
+app.use("/suggestions", clientAccess("inventory"), createSuggestionsRouter({
+  supabase,
+  requireAuth,
+  rankRecipes: recipeRanker.rankRecipes,
+  diets: recipeRanker.diets,
+  allergens: recipeRanker.allergens,
+  localizer
+}));
+
+// API Routes: Product catalog for barcode and QR lookups (imports, listing and lookups)
+app.use("/catalog", clientAccess("catalog"), createCatalogRouter({
+  catalog,
+  requireAuth,
+  optionalAuth,
+  acceptFile: acceptUpload(catalogUpload.single("file")),
+  parseCatalogFile,
+  validateProducts: products => validateProducts(products, knowledgeBase),
+  maxImportBytes: config.catalog.maxImportBytes,
+  maxImportProducts: config.catalog.maxImportProducts
+}));
+
+// API Routes: Expiry alert settings and delivery history
+app.use("/alerts", clientAccess("inventory"), createAlertsRouter({
+  supabase,
+  requireAuth,
+  channels: alertChannels,
+  allowPrivateWebhooks: config.alerts.allowPrivateWebhooks
+}));
+
+// API Routes: Corrections to stored analyses, the input of rule learning
+app.use("/feedback", clientAccess("inventory"), createFeedbackRouter({ supabase, requireAuth, knowledgeBase }));
+
+// Admin API Routes: Review, run and roll back learned rules
+app.use("/admin/learning", clientAccess(null), security.requireAdmin, createLearningRouter({ supabase, learningJob }));
+
+// API Routes: Food-waste reports across users, for keys with the reports scope
+app.use("/reports", clientAccess(null), security.requireKeyScope("reports"), createReportsRouter({
+  supabase,
+  reporter: wasteReporter,
+  maxRangeDays: config.reports.maxRangeDays,
+  defaultRangeDays: config.reports.defaultRangeDays
+}));
+
+// API Routes: Asynchronous analysis job status
+app.use("/jobs", clientAccess("analyze"), createJobsRouter({ jobQueue, optionalAuth, signResultUrls: withImageUrls }));
+
+// Signed links to objects of the local storage backend
+if (storage.backend === "local") {
+  app.use("/files", createFilesRouter({ storage }));
+}
+
+// API Route: Hit/miss counts for the annotation and result caches
+app.get("/cache/stats", clientAccess(null), security.requireAdmin, (req, res) => {
+  res.json({
+    annotations: annotationCache ? annotationCache.stats() : { enabled: false },
+    results: resultCache ? resultCache.stats() : { enabled: false }
+  });
+});
+
+// Test Endpoint for Bucket Connectivity (writes to the bucket: admin only)
+app.post("/test-upload", clientAccess(null), security.requireAdmin, async (req, res) => {
+  try {
+    log.info("Running bucket connectivity test");
+    const testContent = Buffer.from("Integration test - delete me");
+
+    await storage.put("connection-test.txt", testContent, "text/plain");
+
+    log.info("Bucket connectivity verified");
+    res.json({
+      status: "success",
+      message: "Bucket connection working",
+      backend: storage.backend,
+      bucket: storage.bucket,
+      url: await signImageUrl("connection-test.txt")
+    });
 
   } catch (error) {
-    console.error("❌ Bucket test failed:", error);
+    log.error("Bucket test failed", { error });
     res.status(500).json({ status: "error", error: error.message });
   }
 });
 
+// Health endpoints for orchestrators and load balancers (see createHealthChecks)
+app.get("/healthz", health.liveness);
+app.get("/readyz", health.readiness);
+
+// Prometheus scrape endpoint
+if (metrics) {
+  app.get("/metrics", protectMetrics(config.secrets.metricsToken), metrics.handler);
+}
+
 // Initialize the server after all setup
 initializeServer();
@@ -0,0 +1,38 @@
+const { createS3Storage } = require("./s3");
+const { createSupabaseStorage } = require("./supabase");
+const { createLocalStorage } = require("./local");
+
+// Object storage selected by config.storage.backend (s3 | supabase | local).
+// Backends expose { backend, bucket, verify(), put(key, buffer, contentType),
+// get(key), exists(key), remove(key), signedUrl(key, expiresInSeconds) };
+// objects are never assumed public, clients get expiring signed URLs.
+// The local backend also has verifySignature(key, expires, signature) and
+// contentType(key) for the /files route that serves its URLs.
+function createStorage(config, { supabase } = {}) {
+  const { storage, secrets } = config;
+
+  switch (storage.backend) {
+    case "s3":
+      return createS3Storage({
+        bucket: storage.bucket,
+        endpoint: storage.s3.endpoint,
+        region: storage.s3.region,
+        forcePathStyle: storage.s3.forcePathStyle,
+        accessKeyId: secrets.s3AccessKey,
+        secretAccessKey: secrets.s3SecretKey
+      });
+    case "supabase":
+      return createSupabaseStorage({ supabase, bucket: storage.bucket });
+    case "local":
+      return createLocalStorage({
+        dir: storage.local.dir,
+        bucket: storage.bucket,
+        baseUrl: config.server.publicUrl || `http://localhost:${config.server.port}`,
+        signingSecret: secrets.storageSigningSecret
+      });
+    default:
+      throw new Error(`Unknown storage backend: ${storage.backend}`);
+  }
+}
+
+module.exports = { createStorage };
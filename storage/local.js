@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".txt": "text/plain"
+};
+
+// Object keys are relative paths without "." or ".." segments
+function isValidKey(key) {
+  return typeof key === "string" &&
+    /^[A-Za-z0-9_-][A-Za-z0-9._\/-]*$/.test(key) &&
+    key.split("/").every(segment => segment && segment !== "." && segment !== "..");
+}
+
+function invalidKey(key) {
+  const error = new Error(`Invalid storage key: ${key}`);
+  error.code = "EINVALIDKEY";
+  return error;
+}
+
+// Objects as files under <dir>/<bucket>, so the service runs without any
+// cloud storage. Signed URLs point at the server's /files route and carry an
+// expiry plus an HMAC of bucket, key and expiry under `signingSecret`.
+function createLocalStorage({ dir, bucket, baseUrl, signingSecret }) {
+  const root = path.resolve(dir, bucket);
+
+  function filePath(key) {
+    if (!isValidKey(key)) throw invalidKey(key);
+    return path.join(root, key);
+  }
+
+  function sign(key, expires) {
+    return crypto.createHmac("sha256", signingSecret).update(`${bucket}/${key}:${expires}`).digest("hex");
+  }
+
+  async function verify() {
+    await fs.promises.mkdir(root, { recursive: true });
+  }
+
+  // Written to a temporary file and renamed so readers never see partial objects
+  async function put(key, buffer) {
+    const file = filePath(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const temp = `${file}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+    await fs.promises.writeFile(temp, buffer);
+    await fs.promises.rename(temp, file);
+  }
+
+  async function get(key) {
+    return fs.promises.readFile(filePath(key));
+  }
+
+  async function exists(key) {
+    try {
+      await fs.promises.access(filePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  }
+
+  async function remove(key) {
+    await fs.promises.rm(filePath(key), { force: true });
+  }
+
+  async function signedUrl(key, expiresIn) {
+    if (!isValidKey(key)) throw invalidKey(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+    return `${baseUrl.replace(/\/$/, "")}/files/${encodedKey}?expires=${expires}&signature=${sign(key, expires)}`;
+  }
+
+  // Whether a /files request carries a valid, unexpired signature for `key`
+  function verifySignature(key, expires, signature) {
+    const expiresAt = parseInt(expires, 10);
+    if (!isValidKey(key) || !expiresAt || expiresAt * 1000 < Date.now() || typeof signature !== "string") return false;
+
+    const expected = Buffer.from(sign(key, expiresAt));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  function contentType(key) {
+    return CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream";
+  }
+
+  return { backend: "local", bucket, verify, put, get, exists, remove, signedUrl, verifySignature, contentType };
+}
+
+module.exports = { createLocalStorage };
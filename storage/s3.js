@@ -0,0 +1,55 @@
+const { S3Client, HeadBucketCommand, HeadObjectCommand, GetObjectCommand, PutObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+function isNotFound(error) {
+  return error.name === "NotFound" || error.name === "NoSuchKey" || error.$metadata?.httpStatusCode === 404;
+}
+
+// S3-compatible object storage (AWS, MinIO or Supabase's S3 endpoint)
+function createS3Storage({ bucket, endpoint, region, forcePathStyle, accessKeyId, secretAccessKey }) {
+  const client = new S3Client({
+    ...(endpoint ? { endpoint } : {}),
+    region,
+    credentials: { accessKeyId, secretAccessKey },
+    forcePathStyle
+  });
+
+  async function verify() {
+    try {
+      await client.send(new HeadBucketCommand({ Bucket: bucket }));
+    } catch (error) {
+      throw new Error(isNotFound(error) ? `Bucket '${bucket}' not found` : `Cannot access bucket '${bucket}': ${error.message}`);
+    }
+  }
+
+  async function put(key, buffer, contentType) {
+    await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+  }
+
+  async function get(key) {
+    const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return Buffer.from(await Body.transformToByteArray());
+  }
+
+  async function exists(key) {
+    try {
+      await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) return false;
+      throw error;
+    }
+  }
+
+  async function remove(key) {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  }
+
+  async function signedUrl(key, expiresIn) {
+    return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+  }
+
+  return { backend: "s3", bucket, verify, put, get, exists, remove, signedUrl };
+}
+
+module.exports = { createS3Storage };
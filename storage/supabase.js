@@ -0,0 +1,50 @@
+// Supabase Storage through the client API. Writes need a key allowed by the
+// bucket's policies, normally the service role key.
+function createSupabaseStorage({ supabase, bucket }) {
+  const objects = () => supabase.storage.from(bucket);
+
+  function check(error, action, key) {
+    if (error) throw new Error(`Failed to ${action} ${key}: ${error.message}`);
+  }
+
+  async function verify() {
+    const { error } = await supabase.storage.getBucket(bucket);
+    if (error) throw new Error(`Cannot access bucket '${bucket}': ${error.message}`);
+  }
+
+  async function put(key, buffer, contentType) {
+    const { error } = await objects().upload(key, buffer, { contentType, upsert: true });
+    check(error, "upload", key);
+  }
+
+  async function get(key) {
+    const { data, error } = await objects().download(key);
+    check(error, "download", key);
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async function exists(key) {
+    const slash = key.lastIndexOf("/");
+    const { data, error } = await objects().list(slash === -1 ? "" : key.slice(0, slash), {
+      search: key.slice(slash + 1),
+      limit: 100
+    });
+    check(error, "look up", key);
+    return data.some(entry => entry.name === key.slice(slash + 1));
+  }
+
+  async function remove(key) {
+    const { error } = await objects().remove([key]);
+    check(error, "delete", key);
+  }
+
+  async function signedUrl(key, expiresIn) {
+    const { data, error } = await objects().createSignedUrl(key, expiresIn);
+    check(error, "sign", key);
+    return data.signedUrl;
+  }
+
+  return { backend: "supabase", bucket, verify, put, get, exists, remove, signedUrl };
+}
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,7 @@
+-- One food_freshness row per detected item; rows from the same photo share a scan id
+alter table food_freshness
+  add column if not exists scan_id uuid,
+  add column if not exists item_index integer not null default 0,
+  add column if not exists bounding_box jsonb;
+
+create index if not exists food_freshness_scan_id_idx on food_freshness (scan_id);
@@ -0,0 +1,8 @@
+-- Storage context supplied with a scan and the concrete expiry computed from it
+alter table food_freshness
+  add column if not exists storage_location text,
+  add column if not exists opened boolean,
+  add column if not exists purchase_date date,
+  add column if not exists expires_at timestamptz;
+
+create index if not exists food_freshness_expires_at_idx on food_freshness (expires_at);
@@ -0,0 +1,4 @@
+-- Dates, lot codes and product name read from the package, and which source the expiry came from
+alter table food_freshness
+  add column if not exists expiry_source text not null default 'heuristic',
+  add column if not exists package_info jsonb;
@@ -0,0 +1,32 @@
+-- Link scans to Supabase users and track them as inventory items
+alter table food_freshness
+  add column if not exists user_id uuid references auth.users (id) on delete cascade,
+  add column if not exists quantity numeric not null default 1 check (quantity >= 0),
+  add column if not exists status text not null default 'active'
+    check (status in ('active', 'consumed', 'discarded')),
+  add column if not exists status_changed_at timestamptz,
+  add column if not exists updated_at timestamptz;
+
+create index if not exists food_freshness_user_status_idx on food_freshness (user_id, status);
+create index if not exists food_freshness_user_expires_idx on food_freshness (user_id, expires_at);
+create index if not exists food_freshness_image_url_idx on food_freshness (image_url);
+
+-- Users reach only their own items; the server uses the service role, which
+-- bypasses these policies, and anonymous scans (no user_id) match none
+alter table food_freshness enable row level security;
+
+drop policy if exists food_freshness_select_own on food_freshness;
+create policy food_freshness_select_own on food_freshness
+  for select to authenticated using (auth.uid() = user_id);
+
+drop policy if exists food_freshness_insert_own on food_freshness;
+create policy food_freshness_insert_own on food_freshness
+  for insert to authenticated with check (auth.uid() = user_id);
+
+drop policy if exists food_freshness_update_own on food_freshness;
+create policy food_freshness_update_own on food_freshness
+  for update to authenticated using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+drop policy if exists food_freshness_delete_own on food_freshness;
+create policy food_freshness_delete_own on food_freshness
+  for delete to authenticated using (auth.uid() = user_id);
@@ -0,0 +1,38 @@
+-- Per-user expiry alert configuration
+create table if not exists alert_settings (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  enabled boolean not null default true,
+  window_days numeric not null default 2 check (window_days >= 0),
+  channels text[] not null default '{}',
+  email text,
+  webhook_url text,
+  webhook_secret text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+-- One row per item, channel and expiry: the dedupe_key keeps alerts from repeating
+create table if not exists alert_deliveries (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  item_id bigint not null,
+  channel text not null check (channel in ('email', 'webhook')),
+  dedupe_key text not null unique,
+  status text not null default 'pending' check (status in ('pending', 'sending', 'sent', 'failed')),
+  attempts integer not null default 0,
+  last_error text,
+  payload jsonb not null,
+  next_attempt_at timestamptz not null default now(),
+  claimed_at timestamptz,
+  sent_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists alert_deliveries_due_idx on alert_deliveries (status, next_attempt_at);
+create index if not exists alert_deliveries_user_idx on alert_deliveries (user_id, created_at desc);
+
+-- Only the server (service role) reads or writes alert data: with row-level
+-- security on and no policies, the anon and authenticated roles see no rows,
+-- so webhook secrets never leave the server
+alter table alert_settings enable row level security;
+alter table alert_deliveries enable row level security;
@@ -0,0 +1,23 @@
+-- Latest color statistics on each item, plus one history row per scan for trend prediction
+alter table food_freshness
+  add column if not exists color_stats jsonb;
+
+create table if not exists freshness_history (
+  id bigint generated always as identity primary key,
+  item_id bigint not null references food_freshness (id) on delete cascade,
+  user_id uuid references auth.users (id) on delete cascade,
+  scan_id uuid,
+  freshness_score double precision not null,
+  color_stats jsonb,
+  image_url text,
+  scanned_at timestamptz not null default now()
+);
+
+create index if not exists freshness_history_item_idx on freshness_history (item_id, scanned_at);
+
+-- Users read only their own history; the server writes it with the service role
+alter table freshness_history enable row level security;
+
+drop policy if exists freshness_history_select_own on freshness_history;
+create policy freshness_history_select_own on freshness_history
+  for select to authenticated using (auth.uid() = user_id);
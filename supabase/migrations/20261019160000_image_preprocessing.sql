@@ -0,0 +1,4 @@
+-- Stored images are named by the content hash of the upload and get a thumbnail
+alter table food_freshness
+  add column if not exists image_hash text,
+  add column if not exists thumbnail_url text;
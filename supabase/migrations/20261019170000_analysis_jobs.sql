@@ -0,0 +1,35 @@
+-- Asynchronous /analyze requests. The prepared image is already in storage
+-- (`upload` describes it), so a job can be retried by any instance.
+create table if not exists analysis_jobs (
+  id uuid primary key,
+  user_id uuid references auth.users (id) on delete cascade,
+  status text not null default 'queued' check (status in ('queued', 'processing', 'succeeded', 'failed')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 5,
+  next_attempt_at timestamptz not null default now(),
+  claimed_at timestamptz,
+  last_error text,
+  upload jsonb not null,
+  options jsonb not null default '{}',
+  result jsonb,
+  callback_url text,
+  callback_status text check (callback_status in ('pending', 'sending', 'sent', 'failed')),
+  callback_attempts integer not null default 0,
+  callback_next_attempt_at timestamptz,
+  callback_claimed_at timestamptz,
+  callback_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  completed_at timestamptz
+);
+
+create index if not exists analysis_jobs_due_idx on analysis_jobs (status, next_attempt_at);
+create index if not exists analysis_jobs_callback_idx on analysis_jobs (callback_status, callback_next_attempt_at);
+
+-- Users read only their own jobs; the server queues and runs them with the
+-- service role
+alter table analysis_jobs enable row level security;
+
+drop policy if exists analysis_jobs_select_own on analysis_jobs;
+create policy analysis_jobs_select_own on analysis_jobs
+  for select to authenticated using (auth.uid() = user_id);
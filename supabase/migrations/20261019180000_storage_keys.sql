@@ -0,0 +1,25 @@
+-- Images are private: rows keep the object key and the API hands out signed,
+-- expiring URLs. image_url/thumbnail_url are no longer written.
+alter table food_freshness
+  add column if not exists image_key text,
+  add column if not exists thumbnail_key text;
+
+alter table freshness_history
+  add column if not exists image_key text;
+
+-- Keys of existing rows are the last segment of their public URL
+update food_freshness
+  set image_key = regexp_replace(image_url, '^.*/', '')
+  where image_key is null and image_url is not null;
+
+update food_freshness
+  set thumbnail_key = regexp_replace(thumbnail_url, '^.*/', '')
+  where thumbnail_key is null and thumbnail_url is not null;
+
+update freshness_history
+  set image_key = regexp_replace(image_url, '^.*/', '')
+  where image_key is null and image_url is not null;
+
+-- Deleting an item counts the rows still using its image
+create index if not exists food_freshness_image_key_idx on food_freshness (image_key);
+create index if not exists freshness_history_image_key_idx on freshness_history (image_key);
@@ -0,0 +1,8 @@
+-- Estimated portion (grams with a low/high range and how it was measured) and
+-- nutrition totals for that portion, per detected item
+alter table food_freshness
+  add column if not exists portion_grams integer,
+  add column if not exists portion_grams_low integer,
+  add column if not exists portion_grams_high integer,
+  add column if not exists portion_method text,
+  add column if not exists nutrition jsonb;
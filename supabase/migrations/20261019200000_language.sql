@@ -0,0 +1,3 @@
+-- Language (ISO 639-1) the stored expiry message was written in
+alter table food_freshness
+  add column if not exists language text;
@@ -0,0 +1,33 @@
+-- Products a user imported for barcode and QR lookups; they take precedence
+-- over the bundled catalog. All-digit codes must be EAN-13, UPC-A or GTIN-14
+-- and are stored as 13-digit GTINs; any other code is the exact text of a QR
+-- code, stored trimmed.
+create table if not exists product_catalog (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  code text not null,
+  name text not null,
+  brand text,
+  food_category text not null,
+  food text,
+  storage text,
+  shelf_life_days integer not null check (shelf_life_days >= 0),
+  opened_shelf_life_days integer check (opened_shelf_life_days >= 0),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  unique (user_id, code)
+);
+
+-- The catalog product an item was identified by (code, format, name, brand,
+-- food, source) and whether the item came from the catalog or image labels
+alter table food_freshness
+  add column if not exists product jsonb,
+  add column if not exists match_source text;
+
+-- Users read only their own products; imports and lookups run on the server
+-- with the service role
+alter table product_catalog enable row level security;
+
+drop policy if exists product_catalog_select_own on product_catalog;
+create policy product_catalog_select_own on product_catalog
+  for select to authenticated using (auth.uid() = user_id);
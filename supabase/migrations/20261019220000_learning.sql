@@ -0,0 +1,63 @@
+-- User corrections to stored analyses, kept with the labels and colors the
+-- analysis saw so the learning job can tell which labels misled detection
+create table if not exists analysis_feedback (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  item_id bigint not null references food_freshness (id) on delete cascade,
+  scan_id uuid,
+  original_food_name text,
+  original_category text,
+  original_freshness_score numeric,
+  -- Learned freshness adjustment already included in the original score
+  applied_adjustment numeric not null default 0,
+  corrected_food_name text,
+  corrected_category text,
+  freshness_verdict text check (freshness_verdict in ('fresh', 'spoiled')),
+  comment text,
+  labels jsonb,
+  color_stats jsonb,
+  -- Package text; its words were scored as labels too
+  ocr_text text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists analysis_feedback_user_idx on analysis_feedback (user_id, created_at desc);
+
+create table if not exists learning_runs (
+  id bigint generated always as identity primary key,
+  feedback_count integer not null,
+  rules_added integer not null default 0,
+  rules_superseded integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+-- Label → food synonyms and per-food freshness adjustments. A relearned rule
+-- supersedes the previous one; rolled-back rules are never learned again.
+create table if not exists learned_rules (
+  id bigint generated always as identity primary key,
+  run_id bigint references learning_runs (id),
+  kind text not null check (kind in ('synonym', 'freshness')),
+  label text,
+  food text not null,
+  delta numeric,
+  support integer not null,
+  agreement numeric not null,
+  status text not null default 'active' check (status in ('active', 'superseded', 'rolled_back')),
+  created_at timestamptz not null default now(),
+  superseded_at timestamptz,
+  rolled_back_at timestamptz,
+  rollback_reason text,
+  check ((kind = 'synonym') = (label is not null))
+);
+
+create index if not exists learned_rules_status_idx on learned_rules (status);
+
+-- Users read only their own corrections. Learned rules and runs are the
+-- server's alone (service role): no policies, so no other role sees them.
+alter table analysis_feedback enable row level security;
+alter table learning_runs enable row level security;
+alter table learned_rules enable row level security;
+
+drop policy if exists analysis_feedback_select_own on analysis_feedback;
+create policy analysis_feedback_select_own on analysis_feedback
+  for select to authenticated using (auth.uid() = user_id);
@@ -0,0 +1,24 @@
+-- Households group users who share a kitchen, so waste reports can cover
+-- everyone's items together. Membership is managed by the operators.
+create table if not exists households (
+  id bigint generated always as identity primary key,
+  name text not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists household_members (
+  household_id bigint not null references households (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (household_id, user_id)
+);
+
+create index if not exists household_members_user_idx on household_members (user_id);
+
+-- Waste reports select items by user and by when they were scanned
+create index if not exists food_freshness_user_created_idx on food_freshness (user_id, created_at);
+
+-- Households are managed by the operators and read by the server (service
+-- role) for reports: no policies, so no other role sees them
+alter table households enable row level security;
+alter table household_members enable row level security;
@@ -0,0 +1,4 @@
+-- Food-safety assessment of an item at scan time (see safety.js): the highest
+-- severity, every warning raised and the rule that overrode the expiry estimate
+alter table food_freshness
+  add column if not exists safety jsonb;
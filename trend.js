@@ -0,0 +1,76 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fewest scans needed before the trend replaces the single-shot estimate
+const MIN_TREND_POINTS = 3;
+
+// Least-squares fit of freshness score against days since the first scan
+function fitLine(points) {
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (const p of points) {
+    covariance += (p.x - meanX) * (p.y - meanY);
+    varianceX += (p.x - meanX) ** 2;
+    varianceY += (p.y - meanY) ** 2;
+  }
+
+  if (varianceX === 0) return null; // All scans at the same moment
+
+  const slope = covariance / varianceX;
+  const intercept = meanY - slope * meanX;
+  const r2 = varianceY === 0 ? 1 : (covariance * covariance) / (varianceX * varianceY);
+
+  return { slope, intercept, r2 };
+}
+
+// Predict when an item's freshness crosses `threshold` from its scan history
+// ([{ scanned_at, freshness_score }]). Returns null while there are too few
+// scans; spoilDate is null when freshness is not declining.
+function predictSpoilage(history, threshold, options = {}) {
+  const minPoints = options.minPoints || MIN_TREND_POINTS;
+  const scans = [...history]
+    .filter(h => h.freshness_score !== null && h.freshness_score !== undefined)
+    .sort((a, b) => new Date(a.scanned_at) - new Date(b.scanned_at));
+
+  if (scans.length < minPoints) return null;
+
+  const origin = new Date(scans[0].scanned_at).getTime();
+  const points = scans.map(h => ({
+    x: (new Date(h.scanned_at).getTime() - origin) / DAY_MS,
+    y: h.freshness_score
+  }));
+
+  const fit = fitLine(points);
+  if (!fit) return null;
+
+  const latest = scans[scans.length - 1];
+  const prediction = {
+    points: scans.length,
+    slopePerDay: Math.round(fit.slope * 10000) / 10000,
+    r2: Math.round(fit.r2 * 100) / 100,
+    threshold,
+    spoilDate: null,
+    daysLeft: null
+  };
+
+  if (latest.freshness_score < threshold) {
+    // Already past the threshold at the latest scan
+    prediction.spoilDate = new Date(latest.scanned_at).toISOString();
+    prediction.daysLeft = 0;
+  } else if (fit.slope < 0) {
+    const spoilTime = Math.max(
+      origin + ((threshold - fit.intercept) / fit.slope) * DAY_MS,
+      new Date(latest.scanned_at).getTime()
+    );
+    prediction.spoilDate = new Date(spoilTime).toISOString();
+    prediction.daysLeft = Math.max(0, Math.round((spoilTime - Date.now()) / DAY_MS * 10) / 10);
+  }
+
+  return prediction;
+}
+
+module.exports = { predictSpoilage, MIN_TREND_POINTS };
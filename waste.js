@@ -0,0 +1,249 @@
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+
+const DEFAULT_FILE = path.join(__dirname, "knowledge", "prices.json");
+const SCHEMA_FILE = path.join(__dirname, "knowledge", "schema", "prices.schema.json");
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Report sections that can be exported as CSV, with their columns
+const CSV_SECTIONS = {
+  weekly: ["week", "weekStart", "scanned", "consumed", "discarded", "wastedKg", "wastedCost"],
+  categories: ["category", "discarded", "wastedKg", "wastedCost"],
+  foods: ["food", "category", "spoiled", "discarded", "wastedKg", "wastedCost", "averageDaysToSpoil"]
+};
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+const round1 = value => Math.round(value * 10) / 10;
+const round2 = value => Math.round(value * 100) / 100;
+const round3 = value => Math.round(value * 1000) / 1000;
+
+// Load and validate the price list used to cost wasted food: every food must
+// exist in the knowledge base and every category needs a fallback price.
+// Throws with every problem found.
+function loadPrices(knowledgeBase, file) {
+  const pricesFile = file || DEFAULT_FILE;
+  const name = path.basename(pricesFile);
+  const data = readJson(pricesFile);
+
+  const ajv = new Ajv({ allErrors: true });
+  const validate = ajv.compile(readJson(SCHEMA_FILE));
+  if (!validate(data)) {
+    throw new Error(`Invalid prices: ${validate.errors.map(e => `${name}${e.instancePath || ""}: ${e.message}`).join("; ")}`);
+  }
+
+  const problems = [];
+  const knownFoods = new Set(knowledgeBase.foods.map(food => food.name));
+  for (const food of Object.keys(data.foods || {}).filter(f => !knownFoods.has(f))) {
+    problems.push(`${name}/foods/${food}: not in the knowledge base`);
+  }
+  for (const category of Object.keys(knowledgeBase.categories).filter(c => data.categories[c] === undefined)) {
+    problems.push(`${name}/categories: no price for category "${category}"`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid prices: ${problems.join("; ")}`);
+  }
+
+  return { ...data, foods: data.foods || {} };
+}
+
+// Monday 00:00 UTC of the week a date falls in
+function weekStart(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+// ISO 8601 week label ("2026-W42") of a week starting on `monday`
+function isoWeek(monday) {
+  const thursday = new Date(monday.getTime() + 3 * DAY_MS);
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.floor((thursday.getTime() - yearStart) / WEEK_MS) + 1;
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+const dateOnly = date => date.toISOString().slice(0, 10);
+
+function parseTime(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+}
+
+// Food-waste analytics over food_freshness rows. An item counts as scanned
+// in the week it was created and as consumed or discarded in the week its
+// status changed. Discarded items are the waste: their weight is the
+// estimated portion (the food's typical portion when none was measured)
+// times the quantity, and their cost that weight at the food's price per
+// kilogram, or its category's. Items discarded or scanned below the spoiled
+// threshold count as spoiled; days-to-spoil run from purchase (or scan) to
+// discarding. `estimatePortion` is the nutrition estimator's.
+function createWasteReporter(prices, { knowledgeBase, estimatePortion, spoiledThreshold }) {
+  // Knowledge base food of a row: the catalog product's food when scanned by code
+  function foodOf(row) {
+    const name = row.product ? row.product.food || row.product.name : row.food_name;
+    return knowledgeBase.findFood(name || "")?.name || name || "unknown";
+  }
+
+  function wastedGrams(row, food, category) {
+    let grams = row.portion_grams;
+    if (grams === null || grams === undefined) {
+      const item = { foodInfo: { name: food, category, product: row.product || null }, boundingBox: null };
+      grams = estimatePortion(item, { method: "typical" }).grams;
+    }
+    return grams * Number(row.quantity ?? 1);
+  }
+
+  function pricePerKg(food, category) {
+    return prices.foods[food] ?? prices.categories[category] ?? prices.categories.unknown;
+  }
+
+  // A report for [from, to] (Dates) built a page of rows at a time: `add(rows)`
+  // counts rows, `finish()` returns the report. Only the weekly, category and
+  // food totals are kept, not the rows. Rows may include items scanned
+  // earlier; only events inside the range are counted.
+  function createReport({ from, to }) {
+    const inRange = time => time !== null && time >= from.getTime() && time <= to.getTime();
+
+    // Every week of the range, including empty ones, so spreadsheets chart evenly
+    const weeks = new Map();
+    for (let monday = weekStart(from); monday <= to; monday = new Date(monday.getTime() + WEEK_MS)) {
+      weeks.set(monday.getTime(), {
+        week: isoWeek(monday),
+        weekStart: dateOnly(monday),
+        scanned: 0,
+        consumed: 0,
+        discarded: 0,
+        wastedKg: 0,
+        wastedCost: 0
+      });
+    }
+    const weekOf = time => weeks.get(weekStart(new Date(time)).getTime());
+
+    const categories = new Map();
+    const foods = new Map();
+    const totals = { scanned: 0, consumed: 0, discarded: 0, wastedKg: 0, wastedCost: 0 };
+    const spoilDays = { total: 0, count: 0 };
+    const addSpoilDays = (target, days) => {
+      target.total += days;
+      target.count++;
+    };
+
+    function addRow(row) {
+      const food = foodOf(row);
+      const category = row.food_category || "unknown";
+      const created = parseTime(row.created_at);
+      const changed = parseTime(row.status_changed_at);
+
+      if (!foods.has(food)) {
+        foods.set(food, { food, category, spoiled: 0, discarded: 0, wastedKg: 0, wastedCost: 0, spoilDays: { total: 0, count: 0 } });
+      }
+      const foodStats = foods.get(food);
+
+      const scannedSpoiled = inRange(created) && row.freshness_score !== null && row.freshness_score !== undefined &&
+        row.freshness_score < spoiledThreshold;
+
+      if (inRange(created)) {
+        weekOf(created).scanned++;
+        totals.scanned++;
+        if (scannedSpoiled) foodStats.spoiled++;
+      }
+
+      if (row.status === "consumed" && inRange(changed)) {
+        weekOf(changed).consumed++;
+        totals.consumed++;
+      }
+
+      if (row.status === "discarded" && inRange(changed)) {
+        const kg = wastedGrams(row, food, category) / 1000;
+        const cost = kg * pricePerKg(food, category);
+
+        const week = weekOf(changed);
+        week.discarded++;
+        week.wastedKg += kg;
+        week.wastedCost += cost;
+
+        if (!categories.has(category)) categories.set(category, { category, discarded: 0, wastedKg: 0, wastedCost: 0 });
+        const categoryStats = categories.get(category);
+        categoryStats.discarded++;
+        categoryStats.wastedKg += kg;
+        categoryStats.wastedCost += cost;
+
+        // Scanned spoiled and then discarded is one spoiled item, not two
+        if (!scannedSpoiled) foodStats.spoiled++;
+        foodStats.discarded++;
+        foodStats.wastedKg += kg;
+        foodStats.wastedCost += cost;
+
+        const start = parseTime(row.purchase_date) ?? created;
+        if (start !== null && changed >= start) {
+          const days = (changed - start) / DAY_MS;
+          addSpoilDays(foodStats.spoilDays, days);
+          addSpoilDays(spoilDays, days);
+        }
+
+        totals.discarded++;
+        totals.wastedKg += kg;
+        totals.wastedCost += cost;
+      }
+    }
+
+    const average = ({ total, count }) => (count > 0 ? round1(total / count) : null);
+    const money = stats => ({ ...stats, wastedKg: round3(stats.wastedKg), wastedCost: round2(stats.wastedCost) });
+
+    const finish = () => ({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      currency: prices.currency,
+      pricesVersion: prices.version,
+      totals: {
+        ...money(totals),
+        // Share of the items used up or thrown away that were thrown away
+        wasteRate: totals.consumed + totals.discarded > 0 ? round2(totals.discarded / (totals.consumed + totals.discarded)) : null,
+        averageDaysToSpoil: average(spoilDays)
+      },
+      weekly: [...weeks.values()].map(money),
+      categories: [...categories.values()].map(money).sort((a, b) => b.wastedCost - a.wastedCost),
+      // Most often spoiled first
+      foods: [...foods.values()]
+        .filter(stats => stats.spoiled > 0)
+        .map(({ spoilDays: days, ...stats }) => ({ ...money(stats), averageDaysToSpoil: average(days) }))
+        .sort((a, b) => b.spoiled - a.spoiled || b.wastedCost - a.wastedCost || a.food.localeCompare(b.food))
+    });
+
+    return {
+      add: rows => {
+        for (const row of rows) addRow(row);
+      },
+      finish
+    };
+  }
+
+  return { createReport };
+}
+
+// One CSV field. Text starting like a formula is prefixed with a quote so
+// spreadsheets show it instead of evaluating it.
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+// One report section (see CSV_SECTIONS) as RFC 4180 CSV with a header row
+function toCsv(report, section) {
+  const columns = CSV_SECTIONS[section];
+  const lines = [columns, ...report[section].map(row => columns.map(column => row[column]))];
+  return lines.map(values => values.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = { loadPrices, createWasteReporter, toCsv, CSV_SECTIONS, DEFAULT_PRICES_FILE: DEFAULT_FILE };